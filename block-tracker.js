@@ -0,0 +1,92 @@
+const metrics = require('./metrics');
+
+// Remembers the hash of every block a scanner processed so chain
+// reorganizations can be detected and rolled back
+const MAX_REORG_DEPTH = 100;
+
+const chainHeight = metrics.gauge('scanner_chain_height', 'Chain tip height last seen by each scanner');
+const lastScannedBlock = metrics.gauge('scanner_last_scanned_block', 'Last block each scanner has processed');
+const scanLag = metrics.gauge('scanner_lag_blocks', 'Blocks between the chain tip and the last scanned block');
+const reorgs = metrics.counter('chain_reorgs_total', 'Chain reorganizations rolled back per scanner');
+
+/**
+ * Returns the stored hash for a height, or null if it was never recorded
+ */
+function getBlockHash(db, scanner, height) {
+    const row = db.prepare('SELECT hash FROM scanned_blocks WHERE scanner = ? AND height = ?').get(scanner, height);
+    return row ? row.hash : null;
+}
+
+/**
+ * Records a processed block and prunes history older than MAX_REORG_DEPTH
+ * @param {Object} block - Block returned by getblock (hash, height, previousblockhash)
+ */
+function recordBlock(db, scanner, block) {
+    db.prepare(`
+        INSERT OR REPLACE INTO scanned_blocks (scanner, height, hash, prev_hash)
+        VALUES (?, ?, ?, ?)
+    `).run(scanner, block.height, block.hash, block.previousblockhash || null);
+
+    db.prepare('DELETE FROM scanned_blocks WHERE scanner = ? AND height < ?')
+        .run(scanner, block.height - MAX_REORG_DEPTH);
+}
+
+/**
+ * Checks a freshly fetched block against the parent we recorded
+ * @returns {boolean} - true if the block doesn't build on what we scanned
+ */
+function isReorg(db, scanner, block) {
+    const storedParent = getBlockHash(db, scanner, block.height - 1);
+    return storedParent !== null && block.previousblockhash !== storedParent;
+}
+
+/**
+ * Walks back from `height` until the stored hash matches the chain
+ * @param {Function} rpcCall - Shared RPC client
+ * @returns {Promise<number|null>} - Last height both agree on, or null if the node couldn't be reached
+ */
+async function findForkPoint(db, scanner, height, rpcCall) {
+    const lowestHeight = height - MAX_REORG_DEPTH;
+
+    for (let h = height; h > lowestHeight; h--) {
+        const storedHash = getBlockHash(db, scanner, h);
+        if (!storedHash) return h; // Nothing recorded this far back - assume it's fine
+
+        const chainHash = await rpcCall('getblockhash', [h], 5);
+        if (!chainHash) return null;
+
+        if (chainHash === storedHash) return h;
+    }
+
+    console.error(`❌ Reorg deeper than ${MAX_REORG_DEPTH} blocks - rolling back to ${lowestHeight}`);
+    return lowestHeight;
+}
+
+/**
+ * Drops every recorded block above the fork point
+ */
+function forgetBlocksAbove(db, scanner, height) {
+    db.prepare('DELETE FROM scanned_blocks WHERE scanner = ? AND height > ?').run(scanner, height);
+    reorgs.inc({ scanner }); // Only rollbacks forget blocks
+}
+
+/**
+ * Updates a scanner's progress metrics
+ * @param {number} tipHeight - Current chain height
+ * @param {number} lastScanned - Last block the scanner has processed
+ */
+function recordScanProgress(scanner, tipHeight, lastScanned) {
+    chainHeight.set({ scanner }, tipHeight);
+    lastScannedBlock.set({ scanner }, lastScanned);
+    scanLag.set({ scanner }, Math.max(0, tipHeight - lastScanned));
+}
+
+module.exports = {
+    MAX_REORG_DEPTH,
+    getBlockHash,
+    recordBlock,
+    isReorg,
+    findForkPoint,
+    forgetBlocksAbove,
+    recordScanProgress
+};
@@ -0,0 +1,207 @@
+const axios = require('axios');
+
+const { getConfig } = require('./config');
+const metrics = require('./metrics');
+
+const config = getConfig();
+const DAILY_CU_LIMIT = config.rpcDailyCuLimit;
+const MAX_FAILURES = 3;
+
+function createEndpoint(name, url) {
+    return {
+        name: name,
+        url: url,
+        dailyLimit: DAILY_CU_LIMIT,
+        cuUsedToday: 0,
+        lastReset: new Date().toDateString(),
+        enabled: true,
+        failCount: 0
+    };
+}
+
+/**
+ * Short log name for an endpoint: GetBlock URLs by the first characters of
+ * their key, anything else (e.g. a local node) by host
+ */
+function endpointName(url) {
+    const parsed = new URL(url);
+    if (parsed.host === 'go.getblock.io') {
+        return `zec-${parsed.pathname.slice(1, 6)}`;
+    }
+    return parsed.host;
+}
+
+// Rotate across config.rpcUrls (the GetBlock free tier APIs unless ZCASH_RPC_URL
+// points every service at its own node, e.g. the local mock node)
+const API_ENDPOINTS = config.rpcUrls.map(url => createEndpoint(endpointName(url), url));
+
+const rpcCalls = metrics.counter('rpc_calls_total', 'Successful RPC calls per endpoint and method');
+const rpcFailures = metrics.counter('rpc_failures_total', 'Failed RPC calls per endpoint (reason: rpc_error or request_failed)');
+const rpcCuUsed = metrics.counter('rpc_cu_used_total', 'Compute units charged per endpoint');
+const rpcCuToday = metrics.gauge('rpc_cu_used_today', 'Compute units used today per endpoint');
+const rpcCuLimit = metrics.gauge('rpc_cu_daily_limit', 'Daily compute unit limit per endpoint');
+const rpcEnabled = metrics.gauge('rpc_endpoint_enabled', 'Whether an endpoint is in rotation (1) or disabled after failures (0)');
+
+metrics.onCollect(() => {
+    API_ENDPOINTS.forEach(api => {
+        rpcCuToday.set({ endpoint: api.name }, api.cuUsedToday);
+        rpcCuLimit.set({ endpoint: api.name }, api.dailyLimit);
+        rpcEnabled.set({ endpoint: api.name }, api.enabled ? 1 : 0);
+    });
+});
+
+/**
+ * Smart API selector - chooses best available API
+ */
+function selectBestApi() {
+    const today = new Date().toDateString();
+
+    // Reset daily counters if new day
+    API_ENDPOINTS.forEach(api => {
+        if (api.lastReset !== today) {
+            api.cuUsedToday = 0;
+            api.lastReset = today;
+            api.failCount = 0;
+            api.enabled = true;
+            console.log(`📅 Reset daily counter for ${api.name}`);
+        }
+    });
+
+    // Find APIs with available capacity
+    const availableApis = API_ENDPOINTS.filter(api =>
+        api.enabled &&
+        api.cuUsedToday < api.dailyLimit * 0.9 && // Keep 10% buffer
+        api.failCount < MAX_FAILURES
+    );
+
+    if (availableApis.length === 0) {
+        console.error('❌ ALL APIs exhausted or disabled!');
+        console.error(`   ${API_ENDPOINTS.length} APIs configured (${getTotalDailyCapacity()} CU/day total)`);
+        console.error('   Check your usage patterns or add more APIs');
+        return null;
+    }
+
+    // Select API with most remaining capacity
+    const bestApi = availableApis.reduce((best, current) => {
+        const bestRemaining = best.dailyLimit - best.cuUsedToday;
+        const currentRemaining = current.dailyLimit - current.cuUsedToday;
+        return currentRemaining > bestRemaining ? current : best;
+    });
+
+    return bestApi;
+}
+
+/**
+ * Enhanced RPC call with multi-API support
+ * @param {string} method - The RPC method (e.g., "getblockcount")
+ * @param {Array} params - The parameters for the method
+ * @param {number} estimatedCU - Compute units charged against the endpoint's daily limit
+ * @returns {Promise<any>} - The result from the RPC call, or null if every API failed
+ */
+async function rpcCall(method, params, estimatedCU = 10) {
+    const maxRetries = API_ENDPOINTS.length;
+
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+        const api = selectBestApi();
+
+        if (!api) {
+            console.error('❌ No available APIs - waiting for daily reset');
+            return null;
+        }
+
+        try {
+            const response = await axios.post(api.url, {
+                jsonrpc: '2.0',
+                method: method,
+                params: params,
+                id: 1
+            }, { timeout: 10000 });
+
+            if (response.data.error) {
+                console.error(`RPC Error on ${api.name}:`, response.data.error.message);
+                api.failCount++;
+                rpcFailures.inc({ endpoint: api.name, reason: 'rpc_error' });
+
+                // Try next API
+                continue;
+            }
+
+            // Success! Update usage
+            api.cuUsedToday += estimatedCU;
+            api.failCount = 0; // Reset fail count on success
+            rpcCalls.inc({ endpoint: api.name, method });
+            rpcCuUsed.inc({ endpoint: api.name }, estimatedCU);
+
+            // Log usage periodically (every ~1000 CU)
+            if (api.cuUsedToday % 1000 < estimatedCU) {
+                const remaining = api.dailyLimit - api.cuUsedToday;
+                const percentUsed = ((api.cuUsedToday / api.dailyLimit) * 100).toFixed(1);
+                console.log(`📊 ${api.name}: ${api.cuUsedToday}/${api.dailyLimit} CU (${percentUsed}%) - ${remaining} remaining`);
+            }
+
+            return response.data.result;
+
+        } catch (err) {
+            console.error(`${api.name} failed: ${err.message}`);
+            api.failCount++;
+            rpcFailures.inc({ endpoint: api.name, reason: 'request_failed' });
+
+            // Disable API if too many failures
+            if (api.failCount >= MAX_FAILURES) {
+                api.enabled = false;
+                console.error(`❌ ${api.name} DISABLED after ${MAX_FAILURES} failures`);
+            }
+
+            // Try next API
+            continue;
+        }
+    }
+
+    // All APIs failed
+    console.error(`❌ All APIs failed for ${method}`);
+    return null;
+}
+
+/**
+ * Get total available capacity across all APIs
+ */
+function getTotalAvailableCapacity() {
+    let total = 0;
+    let enabled = 0;
+    API_ENDPOINTS.forEach(api => {
+        if (api.enabled) {
+            enabled++;
+            total += Math.max(0, api.dailyLimit - api.cuUsedToday);
+        }
+    });
+    return { total, enabledApis: enabled };
+}
+
+/**
+ * Get the combined daily limit of every configured API
+ */
+function getTotalDailyCapacity() {
+    return API_ENDPOINTS.reduce((sum, api) => sum + api.dailyLimit, 0);
+}
+
+/**
+ * Print the configured endpoints on service startup
+ */
+function logEndpoints() {
+    console.log(`🔄 Using ${API_ENDPOINTS.length} API endpoint(s)`);
+    console.log(`📊 Total capacity: ${getTotalDailyCapacity()} CU/day`);
+    API_ENDPOINTS.forEach(api => {
+        const status = api.enabled ? '✅' : '❌';
+        console.log(`   ${status} ${api.name}: ${api.url.substring(0, 50)}...`);
+    });
+}
+
+module.exports = {
+    DAILY_CU_LIMIT,
+    API_ENDPOINTS,
+    rpcCall,
+    selectBestApi,
+    getTotalAvailableCapacity,
+    getTotalDailyCapacity,
+    logEndpoints
+};
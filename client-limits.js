@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+// Limits on how much of the supply one client can hold in unpaid ('pending')
+// sessions, so nobody can reserve everything without paying. A client is
+// counted both by IP and by fingerprint: the frontend sends a hash of stable
+// browser properties, and requests without one are fingerprinted by headers.
+// Refused attempts (limits and proof of work) are kept in intent_rejections
+// so operators can spot hoarding via /admin/intent-rejections.
+const REJECTION_RETENTION_DAYS = 30;
+const MAX_FINGERPRINT_LENGTH = 256;
+
+/**
+ * Identifies the client behind a request
+ * @returns {{ip: string, fingerprint: string}} - fingerprint is a 32 character hex hash
+ */
+function getClientIdentity(req) {
+    const provided = req.body && typeof req.body.fingerprint === 'string' && req.body.fingerprint.length <= MAX_FINGERPRINT_LENGTH
+        ? `client:${req.body.fingerprint}`
+        : `headers:${req.get('user-agent') || ''}|${req.get('accept-language') || ''}`;
+
+    return {
+        ip: req.ip,
+        fingerprint: crypto.createHash('sha256').update(provided).digest('hex').slice(0, 32)
+    };
+}
+
+/**
+ * Checks a new reservation against the client's open sessions
+ * Run inside the session-creating transaction so concurrent requests see each other
+ * @param {Object} client - From getClientIdentity
+ * @param {number} quantity - NFTs the new session would reserve
+ * @param {Object} limits - { maxOpenSessions, maxReserved }
+ * @returns {{reason: string, message: string}|null} - Why the session is refused, or null
+ */
+function checkClientLimits(db, client, quantity, { maxOpenSessions, maxReserved }) {
+    const openBy = column => db.prepare(`
+        SELECT COUNT(*) as sessions, COALESCE(SUM(quantity), 0) as reserved FROM sessions
+        WHERE status = 'pending' AND ${column} = ?
+    `);
+
+    for (const [column, value] of [['client_ip', client.ip], ['client_fingerprint', client.fingerprint]]) {
+        const open = openBy(column).get(value);
+
+        if (open.sessions >= maxOpenSessions) {
+            return {
+                reason: 'open_sessions',
+                message: `You already have ${open.sessions} unpaid payment session(s). Pay for or wait out one before starting another.`
+            };
+        }
+        if (open.reserved + quantity > maxReserved) {
+            return {
+                reason: 'reserved_quantity',
+                message: `You can hold at most ${maxReserved} unpaid NFTs at a time (${open.reserved} already reserved).`
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Records a refused /create-payment-intent call
+ * @param {Object} attempt - { collectionId, client, quantity, reason, message }
+ */
+function recordIntentRejection(db, { collectionId, client, quantity, reason, message }) {
+    db.prepare(`
+        INSERT INTO intent_rejections (collection_id, client_ip, client_fingerprint, quantity, reason, message)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(collectionId, client.ip, client.fingerprint, Number.isInteger(quantity) ? quantity : null, reason, message);
+}
+
+/**
+ * Refused attempts of the last `hours`, grouped by client, most refused first
+ * @param {Object} [options] - { hours, limit }
+ * @returns {{total: number, byReason: Object, clients: Object[]}}
+ */
+function getRejectionSummary(db, { hours = 24, limit = 50 } = {}) {
+    const since = `datetime('now', '-${hours} hours')`;
+
+    const byReason = Object.fromEntries(db.prepare(`
+        SELECT reason, COUNT(*) as count FROM intent_rejections WHERE created_at >= ${since} GROUP BY reason
+    `).all().map(r => [r.reason, r.count]));
+
+    const clients = db.prepare(`
+        SELECT client_ip as ip, client_fingerprint as fingerprint, COUNT(*) as rejections,
+               GROUP_CONCAT(DISTINCT reason) as reasons, MIN(created_at) as firstAt, MAX(created_at) as lastAt,
+               (SELECT COUNT(*) FROM sessions s
+                WHERE s.status = 'pending' AND (s.client_ip = r.client_ip OR s.client_fingerprint = r.client_fingerprint)) as openSessions
+        FROM intent_rejections r
+        WHERE created_at >= ${since}
+        GROUP BY client_ip, client_fingerprint
+        ORDER BY rejections DESC
+        LIMIT ?
+    `).all(limit).map(c => ({ ...c, reasons: c.reasons.split(',') }));
+
+    return {
+        total: Object.values(byReason).reduce((sum, count) => sum + count, 0),
+        byReason,
+        clients
+    };
+}
+
+/**
+ * Deletes rejections older than REJECTION_RETENTION_DAYS
+ */
+function pruneIntentRejections(db) {
+    db.prepare(`DELETE FROM intent_rejections WHERE datetime(created_at, '+${REJECTION_RETENTION_DAYS} days') < datetime('now')`).run();
+}
+
+module.exports = {
+    getClientIdentity,
+    checkClientLimits,
+    recordIntentRejection,
+    getRejectionSummary,
+    pruneIntentRejections
+};
@@ -0,0 +1,200 @@
+const { isValidZcashAddress } = require('./payment-addresses');
+const { parsePricing } = require('./pricing');
+const { computeRarity } = require('./rarity');
+
+// One deployment can sell several collections (drops). Each has its own supply,
+// price, payment address and set of CIDs; nfts.token_number is a token's number
+// within its collection while nfts.id stays unique across the whole database.
+// The default collection is defined by config.js and served from the root
+// routes (/mint-progress, ...); every collection is also served under
+// /collections/:slug/...
+const DEFAULT_COLLECTION_SLUG = 'zec-dogs';
+const DEFAULT_COLLECTION = {
+    name: 'Zec Dogs',
+    tokenName: 'Zec Dog'
+};
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Checks a collection definition
+ * @param {Object} collection - { slug, name, tokenName, maxSupply, priceZat, paymentAddress }
+ * @throws {Error} - Describing the first invalid field
+ */
+function validateCollection(collection) {
+    if (!SLUG_PATTERN.test(collection.slug || '')) {
+        throw new Error(`Invalid slug "${collection.slug}" (lowercase letters, digits and dashes).`);
+    }
+    if (!collection.name) {
+        throw new Error('A collection needs a name.');
+    }
+    if (!Number.isInteger(collection.maxSupply) || collection.maxSupply < 1) {
+        throw new Error('Max supply must be a positive integer.');
+    }
+    if (!Number.isInteger(collection.priceZat) || collection.priceZat < 1) {
+        throw new Error('Price must be a positive integer number of zatoshis.');
+    }
+    if (!isValidZcashAddress(collection.paymentAddress)) {
+        throw new Error(`Invalid payment address "${collection.paymentAddress}".`);
+    }
+    if (collection.pricing) {
+        parsePricing(collection.pricing, 0); // A Dutch auction without startsAt starts with its phase, or at creation
+    }
+}
+
+/**
+ * Adds a collection
+ * @param {Object} collection - { slug, name, tokenName, description, maxSupply, priceZat, paymentAddress, mintPhasesPath, pricing }
+ * @returns {Object} - The new collections row
+ */
+function createCollection(db, collection) {
+    validateCollection(collection);
+
+    if (getCollection(db, collection.slug)) {
+        throw new Error(`Collection "${collection.slug}" already exists.`);
+    }
+
+    db.prepare(`
+        INSERT INTO collections (slug, name, token_name, description, max_supply, price_per_nft_zat, payment_address, mint_phases_path, pricing)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        collection.slug,
+        collection.name,
+        collection.tokenName || collection.name,
+        collection.description || null,
+        collection.maxSupply,
+        collection.priceZat,
+        collection.paymentAddress,
+        collection.mintPhasesPath || null,
+        collection.pricing ? JSON.stringify(collection.pricing) : null
+    );
+    return getCollection(db, collection.slug);
+}
+
+/**
+ * Creates or updates the default collection from the configuration, and adopts
+ * NFTs and sessions from before collections existed (see migration 007)
+ * @param {Object} config - From config.js
+ * @returns {Object} - The default collections row
+ */
+function syncDefaultCollection(db, config) {
+    const description = `${config.maxSupply} ${DEFAULT_COLLECTION.name}, paid for in ZEC and inscribed on Zcash.`;
+    const pricing = config.pricing ? JSON.stringify(config.pricing) : null;
+
+    return db.transaction(() => {
+        // Not an upsert: a conflicting INSERT would still use up an AUTOINCREMENT id
+        const updated = db.prepare(`
+            UPDATE collections
+            SET description = ?, max_supply = ?, price_per_nft_zat = ?, payment_address = ?, mint_phases_path = ?, pricing = ?
+            WHERE slug = ?
+        `).run(description, config.maxSupply, config.pricePerNftZat, config.paymentAddress, config.mintPhasesPath, pricing, DEFAULT_COLLECTION_SLUG);
+
+        if (updated.changes === 0) {
+            db.prepare(`
+                INSERT INTO collections (slug, name, token_name, description, max_supply, price_per_nft_zat, payment_address, mint_phases_path, pricing)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                DEFAULT_COLLECTION_SLUG,
+                DEFAULT_COLLECTION.name,
+                DEFAULT_COLLECTION.tokenName,
+                description,
+                config.maxSupply,
+                config.pricePerNftZat,
+                config.paymentAddress,
+                config.mintPhasesPath,
+                pricing
+            );
+        }
+
+        const collection = getCollection(db, DEFAULT_COLLECTION_SLUG);
+        const adopted = db.prepare('UPDATE nfts SET collection_id = ?, token_number = id WHERE collection_id IS NULL')
+            .run(collection.id).changes;
+        db.prepare(`
+            UPDATE sessions
+            SET collection_id = ?, quote_zat = COALESCE(quote_zat, quantity * ?)
+            WHERE collection_id IS NULL
+        `).run(collection.id, collection.price_per_nft_zat);
+
+        if (adopted > 0) {
+            console.log(`📦 Moved ${adopted} NFTs from before collections into ${DEFAULT_COLLECTION_SLUG}`);
+            computeRarity(db, collection);
+        }
+        return collection;
+    })();
+}
+
+/**
+ * Looks up a collection by slug
+ * @returns {Object|undefined} - collections row
+ */
+function getCollection(db, slug) {
+    return db.prepare('SELECT * FROM collections WHERE slug = ?').get(slug);
+}
+
+/**
+ * Looks up a collection by id
+ * @returns {Object|undefined} - collections row
+ */
+function getCollectionById(db, id) {
+    return db.prepare('SELECT * FROM collections WHERE id = ?').get(id);
+}
+
+/**
+ * Lists every collection, oldest first
+ */
+function listCollections(db) {
+    return db.prepare('SELECT * FROM collections ORDER BY id').all();
+}
+
+/**
+ * Mint counts for a collection (tokens above max_supply are never sold)
+ * @returns {{total: number, minted: number, reserved: number, withheld: number, available: number}}
+ */
+function getCollectionProgress(db, collection) {
+    const counts = db.prepare(`
+        SELECT
+            SUM(claimed = 1) as minted,
+            SUM(session_id IS NOT NULL AND claimed = 0) as reserved,
+            SUM(withheld = 1 AND claimed = 0) as withheld
+        FROM nfts
+        WHERE collection_id = ? AND token_number <= ?
+    `).get(collection.id, collection.max_supply);
+
+    const minted = counts.minted || 0;
+    const reserved = counts.reserved || 0;
+    const withheld = counts.withheld || 0;
+    return {
+        total: collection.max_supply,
+        minted,
+        reserved,
+        withheld,
+        available: collection.max_supply - minted - reserved - withheld
+    };
+}
+
+/**
+ * Public view of a collection
+ */
+function describeCollection(collection) {
+    return {
+        slug: collection.slug,
+        name: collection.name,
+        description: collection.description,
+        maxSupply: collection.max_supply,
+        priceZat: collection.price_per_nft_zat,
+        pricing: collection.pricing ? JSON.parse(collection.pricing).strategy : 'fixed',
+        paymentAddress: collection.payment_address
+    };
+}
+
+module.exports = {
+    DEFAULT_COLLECTION_SLUG,
+    DEFAULT_COLLECTION,
+    createCollection,
+    syncDefaultCollection,
+    getCollection,
+    getCollectionById,
+    listCollections,
+    getCollectionProgress,
+    describeCollection
+};
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { migrateUp } = require('./migrator');
+const { MOCK_CONFIG } = require('./mock-database');
+const { syncDefaultCollection, listCollections, DEFAULT_COLLECTION_SLUG } = require('./collections');
+
+test.beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+});
+
+test('the default collection adopts NFTs and sessions from before collections', () => {
+    const db = new Database(':memory:');
+    migrateUp(db, { to: 6 });
+    db.prepare('INSERT INTO nfts (id, filename, cid) VALUES (?, ?, ?)').run(7, '7.png', 'cid-7');
+    db.prepare('INSERT INTO nfts (id, filename, cid) VALUES (?, ?, ?)').run(8, '8.png', 'cid-8');
+    db.prepare('INSERT INTO sessions (session_uuid, amount_due_zat, quantity, status) VALUES (?, ?, ?, ?)')
+        .run('legacy', 1000123, 2, 'complete');
+
+    migrateUp(db);
+    // The migrations are structural: no collection until a service syncs the configuration
+    assert.deepEqual(listCollections(db), []);
+    db.prepare(`INSERT INTO nft_traits (nft_id, trait_type, value) VALUES (7, 'Hat', 'Crown'), (8, 'Hat', 'Cap')`).run();
+
+    const collection = syncDefaultCollection(db, MOCK_CONFIG);
+    assert.equal(collection.slug, DEFAULT_COLLECTION_SLUG);
+    assert.equal(collection.max_supply, MOCK_CONFIG.maxSupply);
+    assert.deepEqual(db.prepare('SELECT id, collection_id, token_number FROM nfts ORDER BY id').all(), [
+        { id: 7, collection_id: collection.id, token_number: 7 },
+        { id: 8, collection_id: collection.id, token_number: 8 }
+    ]);
+    assert.deepEqual(db.prepare('SELECT collection_id, quote_zat FROM sessions').get(),
+        { collection_id: collection.id, quote_zat: 2 * MOCK_CONFIG.pricePerNftZat });
+    // Ranked once they belong to a collection
+    assert.deepEqual(db.prepare('SELECT rarity_rank FROM nfts ORDER BY rarity_rank').all().map(n => n.rarity_rank), [1, 2]);
+
+    // Later syncs only update the row
+    const resynced = syncDefaultCollection(db, { ...MOCK_CONFIG, maxSupply: 20 });
+    assert.equal(resynced.id, collection.id);
+    assert.equal(resynced.max_supply, 20);
+    assert.equal(listCollections(db).length, 1);
+});
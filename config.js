@@ -0,0 +1,291 @@
+const fs = require('fs');
+const { isValidZcashAddress, deriveAddress } = require('./payment-addresses');
+const { parsePricing } = require('./pricing');
+
+// Every service reads its settings from here. Values come from the defaults
+// below, then the JSON file at CONFIG_PATH (default config.json, optional),
+// then environment variables, and are validated once at startup.
+// `node config.js check` prints the effective values with secrets redacted.
+const DEFAULT_CONFIG_PATH = 'config.json';
+
+// GetBlock free tier endpoints, rotated by chain-client.js. The API key is the URL path.
+const GETBLOCK_RPC_URLS = [
+    'https://go.getblock.io/c532b1037c924be386735ccbcd2f3afa',
+    'https://go.getblock.io/cacd8cc301134aa6b4815883955b230d',
+    'https://go.getblock.io/3f3c14fa367842f988b5d10b912bf275',
+    'https://go.getblock.io/7f77d2bce9c14f97abe6f1b0c3b7c444',
+    'https://go.getblock.io/42851929b20140a2b6f4f3f70e99d323'
+];
+
+// key -> { env, type, default, min, max, secret }
+const SETTINGS = {
+    databasePath: { env: 'DATABASE_PATH', type: 'string', default: 'nfts.db' },
+    port: { env: 'PORT', type: 'integer', default: 3000, min: 1, max: 65535 },
+    paymentAddress: { env: 'PAYMENT_ADDRESS', type: 'address', default: 't1gU211G8Msqb6EYVtdnepjZsfonxd2RR8H' },
+    // Account xpub for per-session addresses; unpaid sessions leave unused addresses, so the
+    // wallet's gap limit must exceed the run the server logs at startup (see payment-addresses.js)
+    paymentXpub: { env: 'PAYMENT_XPUB', type: 'xpub', default: null, secret: true },
+    pricePerNftZat: { env: 'PRICE_PER_NFT_ZAT', type: 'integer', default: 500000, min: 1 },
+    // Pricing strategy JSON (see pricing.js); without it NFTs sell at pricePerNftZat
+    pricing: { env: 'PRICING', type: 'pricing', default: null },
+    maxSupply: { env: 'MAX_SUPPLY', type: 'integer', default: 5000, min: 1 },
+    requiredConfirmations: { env: 'REQUIRED_CONFIRMATIONS', type: 'integer', default: 3, min: 1, max: 100 },
+    sessionTimeoutMinutes: { env: 'SESSION_TIMEOUT_MINUTES', type: 'integer', default: 10, min: 1, max: 1440 },
+    // Unpaid sessions and reserved NFTs one client (by IP and by fingerprint) may hold at once
+    maxOpenSessionsPerClient: { env: 'MAX_OPEN_SESSIONS_PER_CLIENT', type: 'integer', default: 3, min: 1 },
+    maxReservedPerClient: { env: 'MAX_RESERVED_PER_CLIENT', type: 'integer', default: 20, min: 1 },
+    // Leading zero bits of proof of work required per payment session (0 disables the gate)
+    powDifficulty: { env: 'POW_DIFFICULTY', type: 'integer', default: 0, min: 0, max: 32 },
+    // Reverse proxies in front of the server, so client IPs come from X-Forwarded-For.
+    // Must be set behind a proxy: with 0 every client has the proxy's IP and all of
+    // them share one set of per-client limits (see client-limits.js)
+    trustProxy: { env: 'TRUST_PROXY', type: 'integer', default: 0, min: 0, max: 10 },
+    mintPhasesPath: { env: 'MINT_PHASES_PATH', type: 'string', default: 'data/mint-phases.json' },
+    adminApiToken: { env: 'ADMIN_API_TOKEN', type: 'string', default: null, secret: true },
+    // Ed25519 key (PKCS#8 PEM) that signs mint receipts - generated on first run if missing
+    receiptKeyPath: { env: 'RECEIPT_KEY_PATH', type: 'string', default: 'receipt-signing-key.pem' },
+    rpcUrls: { env: 'ZCASH_RPC_URL', type: 'urls', default: GETBLOCK_RPC_URLS, secret: true },
+    rpcDailyCuLimit: { env: 'RPC_DAILY_CU_LIMIT', type: 'integer', default: 50000, min: 1 },
+    scanIntervalMs: { env: 'SCAN_INTERVAL_MS', type: 'integer', default: 120000, min: 1000 },
+    mempoolScanIntervalMs: { env: 'MEMPOOL_SCAN_INTERVAL_MS', type: 'integer', default: 120000, min: 1000 },
+    maxMempoolTxsToCheck: { env: 'MAX_MEMPOOL_TXS_TO_CHECK', type: 'integer', default: 150, min: 1 },
+    blockPauseMs: { env: 'BLOCK_PAUSE_MS', type: 'integer', default: 250, min: 0, max: 60000 }
+};
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Converts an environment variable string to the setting's type
+ * Empty strings count as unset
+ */
+function parseEnvValue(setting, raw) {
+    if (setting.type === 'integer') {
+        return /^-?\d+$/.test(raw.trim()) ? Number(raw.trim()) : raw;
+    }
+    if (setting.type === 'urls') {
+        // ZCASH_RPC_URL takes one URL or a comma-separated list
+        return raw.split(',').map(url => url.trim()).filter(Boolean);
+    }
+    if (setting.type === 'pricing') {
+        try {
+            return JSON.parse(raw);
+        } catch (err) {
+            return raw; // Reported by validateValue
+        }
+    }
+    return raw.trim();
+}
+
+/**
+ * Checks one value against its setting
+ * @returns {string|null} - Problem description, or null if valid
+ */
+function validateValue(setting, value) {
+    if (value === null) {
+        return null;
+    }
+
+    switch (setting.type) {
+        case 'integer':
+            if (!Number.isInteger(value)) return `must be an integer (got ${JSON.stringify(value)})`;
+            if (setting.min !== undefined && value < setting.min) return `must be at least ${setting.min} (got ${value})`;
+            if (setting.max !== undefined && value > setting.max) return `must be at most ${setting.max} (got ${value})`;
+            return null;
+        case 'string':
+            return typeof value === 'string' && value.length > 0 ? null : 'must be a non-empty string';
+        case 'address':
+            return isValidZcashAddress(value) ? null : `is not a valid Zcash address (got ${JSON.stringify(value)})`;
+        case 'xpub':
+            if (typeof value !== 'string') return 'must be a string';
+            try {
+                deriveAddress(value, 0);
+                return null;
+            } catch (err) {
+                return `is not a usable xpub: ${err.message}`;
+            }
+        case 'urls':
+            if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty list of URLs';
+            for (const url of value) {
+                let parsed;
+                try {
+                    parsed = new URL(url);
+                } catch (err) {
+                    return `contains an invalid URL (${JSON.stringify(url)})`;
+                }
+                if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+                    return `contains a non-HTTP URL (${parsed.protocol})`;
+                }
+            }
+            return null;
+        case 'pricing':
+            try {
+                // Only the fields are checked here; a Dutch auction without startsAt starts with
+                // its phase, or when the collection was created (see getCollectionPricing)
+                parsePricing(value, 0);
+                return null;
+            } catch (err) {
+                return `is invalid: ${err.message}`;
+            }
+        default:
+            return `has unknown type ${setting.type}`;
+    }
+}
+
+/**
+ * Loads and validates the configuration
+ * @param {Object} [options] - { env, filePath } (defaults to process.env and CONFIG_PATH)
+ * @returns {{config: Object, sources: Object, filePath: string|null}} - sources maps each key to 'default', 'file' or 'env'
+ * @throws {ConfigError} - Listing every invalid setting, not just the first
+ */
+function loadConfig({ env = process.env, filePath = env.CONFIG_PATH || DEFAULT_CONFIG_PATH } = {}) {
+    const errors = [];
+    let fileValues = {};
+    let loadedPath = null;
+
+    if (fs.existsSync(filePath)) {
+        try {
+            fileValues = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            loadedPath = filePath;
+        } catch (err) {
+            throw new ConfigError([`${filePath}: ${err.message}`]);
+        }
+        if (typeof fileValues !== 'object' || fileValues === null || Array.isArray(fileValues)) {
+            throw new ConfigError([`${filePath}: must contain a JSON object`]);
+        }
+        for (const key of Object.keys(fileValues)) {
+            if (!SETTINGS[key]) errors.push(`${filePath}: unknown setting "${key}"`);
+        }
+    } else if (env.CONFIG_PATH) {
+        // An explicitly requested file that's missing is a mistake, not a default
+        throw new ConfigError([`CONFIG_PATH ${filePath} does not exist`]);
+    }
+
+    const config = {};
+    const sources = {};
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+        let value = setting.default;
+        let source = 'default';
+
+        if (fileValues[key] !== undefined) {
+            value = fileValues[key];
+            source = 'file';
+        }
+        if (env[setting.env] !== undefined && env[setting.env] !== '') {
+            value = parseEnvValue(setting, env[setting.env]);
+            source = 'env';
+        }
+
+        const problem = validateValue(setting, value);
+        if (problem) {
+            errors.push(`${key} (${source === 'env' ? setting.env : source === 'file' ? filePath : 'default'}) ${problem}`);
+        }
+
+        config[key] = value;
+        sources[key] = source;
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    return { config: Object.freeze(config), sources, filePath: loadedPath };
+}
+
+let cached = null;
+
+/**
+ * Returns the validated configuration, loading it on first use
+ * Exits the process with the list of problems if it is invalid, so no service
+ * starts half-configured
+ */
+function getConfig() {
+    if (!cached) {
+        try {
+            cached = loadConfig().config;
+        } catch (err) {
+            if (!(err instanceof ConfigError)) throw err;
+            console.error(`❌ ${err.message}`);
+            console.error('   Run `node config.js check` to see the effective configuration.');
+            process.exit(1);
+        }
+    }
+    return cached;
+}
+
+/**
+ * Hides everything after the host of an RPC URL (GetBlock keys live in the path)
+ */
+function redactUrl(url) {
+    try {
+        const parsed = new URL(url);
+        const hidden = parsed.pathname.length > 1 || parsed.search || parsed.username;
+        return `${parsed.protocol}//${parsed.host}${hidden ? '/***' : ''}`;
+    } catch (err) {
+        return '***';
+    }
+}
+
+/**
+ * Returns a copy of the configuration that is safe to print or log
+ */
+function redactConfig(config) {
+    const redacted = {};
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+        const value = config[key];
+        if (!setting.secret || value === null) {
+            redacted[key] = value;
+        } else if (setting.type === 'urls') {
+            redacted[key] = value.map(redactUrl);
+        } else {
+            redacted[key] = '***';
+        }
+    }
+    return redacted;
+}
+
+function checkCommand() {
+    let result;
+    try {
+        result = loadConfig();
+    } catch (err) {
+        if (!(err instanceof ConfigError)) throw err;
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+
+    const redacted = redactConfig(result.config);
+    console.log(`⚙️  Configuration file: ${result.filePath || '(none - defaults and environment only)'}\n`);
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+        const source = result.sources[key] === 'env' ? `env ${setting.env}` : result.sources[key];
+        console.log(`   ${key.padEnd(24)} ${JSON.stringify(redacted[key])}  (${source})`);
+    }
+    if (result.config.trustProxy === 0) {
+        console.log('\n⚠️  TRUST_PROXY is 0: client IPs are connection addresses. Behind a reverse proxy every');
+        console.log('   client would share the proxy\'s IP (and its per-client limits) - set it to the number of proxies.');
+    }
+    console.log('\n✅ Configuration is valid');
+}
+
+if (require.main === module) {
+    const [command] = process.argv.slice(2);
+    if (command === 'check') {
+        checkCommand();
+    } else {
+        console.log('Usage: node config.js check');
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    SETTINGS,
+    ConfigError,
+    loadConfig,
+    getConfig,
+    redactConfig
+};
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SETTINGS, ConfigError, loadConfig, redactConfig } = require('./config');
+
+/**
+ * Writes a config file to a temporary directory
+ * @returns {string} - Path of the file
+ */
+function writeConfig(t, values) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const filePath = path.join(dir, 'config.json');
+    fs.writeFileSync(filePath, typeof values === 'string' ? values : JSON.stringify(values));
+    return filePath;
+}
+
+const NO_FILE = path.join(os.tmpdir(), 'no-such-config.json');
+
+test('without a file or environment every setting has its default', () => {
+    const { config, sources, filePath } = loadConfig({ env: {}, filePath: NO_FILE });
+
+    assert.equal(filePath, null);
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+        assert.deepEqual(config[key], setting.default);
+        assert.equal(sources[key], 'default');
+    }
+    assert.ok(Object.isFrozen(config));
+});
+
+test('the environment overrides the file, which overrides the defaults', t => {
+    const filePath = writeConfig(t, { port: 4000, maxSupply: 100, rpcUrls: ['https://go.getblock.io/file-key'] });
+    const { config, sources } = loadConfig({
+        env: { PORT: '5000', ZCASH_RPC_URL: 'http://localhost:18232, http://localhost:18233', MAX_SUPPLY: '' },
+        filePath
+    });
+
+    assert.equal(config.port, 5000);
+    assert.equal(sources.port, 'env');
+    assert.deepEqual(config.rpcUrls, ['http://localhost:18232', 'http://localhost:18233']);
+    assert.equal(sources.rpcUrls, 'env');
+    assert.equal(config.maxSupply, 100); // An empty variable counts as unset
+    assert.equal(sources.maxSupply, 'file');
+    assert.equal(config.requiredConfirmations, 3);
+    assert.equal(sources.requiredConfirmations, 'default');
+});
+
+test('every invalid setting is reported at once', t => {
+    const filePath = writeConfig(t, { port: 0, paymentAddress: 'nope', colour: 'blue' });
+
+    assert.throws(() => loadConfig({ env: { MAX_SUPPLY: 'lots', PRICING: '{"strategy":"lottery"}' }, filePath }), err => {
+        assert.ok(err instanceof ConfigError);
+        assert.equal(err.errors.length, 5);
+        assert.match(err.message, /unknown setting "colour"/);
+        assert.match(err.message, /port \(.*config\.json\) must be at least 1/);
+        assert.match(err.message, /paymentAddress .* is not a valid Zcash address/);
+        assert.match(err.message, /maxSupply \(MAX_SUPPLY\) must be an integer/);
+        assert.match(err.message, /pricing \(PRICING\) is invalid/);
+        return true;
+    });
+});
+
+test('unreadable files and a missing CONFIG_PATH are refused', t => {
+    assert.throws(() => loadConfig({ env: {}, filePath: writeConfig(t, '{ "port": ') }), ConfigError);
+    assert.throws(() => loadConfig({ env: {}, filePath: writeConfig(t, [1, 2]) }), /must contain a JSON object/);
+    assert.throws(() => loadConfig({ env: { CONFIG_PATH: NO_FILE } }), /does not exist/);
+});
+
+test('config.example.json is a valid configuration', () => {
+    const { sources } = loadConfig({ env: {}, filePath: path.join(__dirname, 'config.example.json') });
+    assert.equal(sources.rpcUrls, 'file');
+});
+
+test('redaction hides secrets and RPC URL paths but keeps everything else', () => {
+    const { config } = loadConfig({
+        env: {
+            ADMIN_API_TOKEN: 'hunter2',
+            ZCASH_RPC_URL: 'https://go.getblock.io/secret-key,http://localhost:18232,https://user:pw@node.example'
+        },
+        filePath: NO_FILE
+    });
+    const redacted = redactConfig(config);
+
+    assert.equal(redacted.adminApiToken, '***');
+    assert.equal(redacted.paymentXpub, null);
+    assert.deepEqual(redacted.rpcUrls, ['https://go.getblock.io/***', 'http://localhost:18232', 'https://node.example/***']);
+    assert.equal(redacted.port, config.port);
+    assert.equal(redacted.paymentAddress, config.paymentAddress);
+    assert.doesNotMatch(JSON.stringify(redacted), /hunter2|secret-key|pw@/);
+});
@@ -1,55 +1,137 @@
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
+const { computeRarity } = require('./rarity');
+const { syncDefaultCollection, getCollection, DEFAULT_COLLECTION_SLUG } = require('./collections');
+const { parseNftJson, loadNftFile, validateNftRecords, planImport, applyImport } = require('./nft-import');
+const { getConfig } = require('./config');
+const { requireCurrentSchema } = require('./migrator');
 
-const DB_PATH = process.env.DATABASE_PATH || 'nfts.db';
-const db = new Database(DB_PATH);
-
-let nfts;
-
-// Try environment variable first (for Railway)
-if (process.env.NFTS_DATA_BASE64) {
-    console.log('📦 Loading NFTs from environment variable...');
-    const buffer = Buffer.from(process.env.NFTS_DATA_BASE64, 'base64');
-    nfts = JSON.parse(buffer.toString('utf8'));
-} else {
-    // Try file locations (for local dev)
-    const possiblePaths = [
-        path.join(__dirname, 'data', 'nfts.json'),
-        path.join(__dirname, '..', 'pinata-upload', 'nfts.json')
-    ];
-    
-    let nftsPath;
-    for (const p of possiblePaths) {
-        if (fs.existsSync(p)) {
-            nftsPath = p;
-            break;
+// Usage: node import-nfts.js [--collection <slug>] [--dry-run] [path/to/nfts.json|nfts.csv]
+// Without --collection the NFTs go to the default collection. Every record is
+// validated first; --dry-run only prints what would change (see nft-import.js).
+const MAX_LISTED = 20; // Per section of the diff
+
+const args = process.argv.slice(2);
+const collectionFlag = args.indexOf('--collection');
+const collectionSlug = collectionFlag >= 0 ? args.splice(collectionFlag, 2)[1] : DEFAULT_COLLECTION_SLUG;
+const dryRunFlag = args.indexOf('--dry-run');
+const dryRun = dryRunFlag >= 0;
+if (dryRun) args.splice(dryRunFlag, 1);
+const [dataPath] = args;
+
+const config = getConfig();
+const db = new Database(config.databasePath);
+
+requireCurrentSchema(db);
+syncDefaultCollection(db, config);
+
+const collection = getCollection(db, collectionSlug);
+if (!collection) {
+    console.error(`❌ ERROR: collection "${collectionSlug}" not found (create it with manage-collections.js)`);
+    process.exit(1);
+}
+if (collectionSlug !== DEFAULT_COLLECTION_SLUG && !dataPath) {
+    console.error('❌ ERROR: give the path to the collection\'s nfts.json or CSV file');
+    process.exit(1);
+}
+
+/**
+ * Reads the raw records from the given file, NFTS_DATA_BASE64 or a default location
+ */
+function loadRawRecords() {
+    if (dataPath) {
+        console.log('📂 Loading NFTs from:', dataPath);
+        return loadNftFile(dataPath);
+    } else if (process.env.NFTS_DATA_BASE64) {
+        // Environment variable (for Railway)
+        console.log('📦 Loading NFTs from environment variable...');
+        const buffer = Buffer.from(process.env.NFTS_DATA_BASE64, 'base64');
+        return parseNftJson(buffer.toString('utf8'));
+    } else {
+        // Try file locations (for local dev)
+        const possiblePaths = [
+            path.join(__dirname, 'data', 'nfts.json'),
+            path.join(__dirname, '..', 'pinata-upload', 'nfts.json')
+        ];
+
+        let nftsPath;
+        for (const p of possiblePaths) {
+            if (fs.existsSync(p)) {
+                nftsPath = p;
+                break;
+            }
+        }
+
+        if (!nftsPath) {
+            console.error('❌ ERROR: nfts.json not found!');
+            process.exit(1);
         }
+
+        console.log('📂 Loading NFTs from:', nftsPath);
+        return loadNftFile(nftsPath);
     }
-    
-    if (!nftsPath) {
-        console.error('❌ ERROR: nfts.json not found!');
-        process.exit(1);
+}
+
+/**
+ * Prints one section of the diff, up to MAX_LISTED entries
+ */
+function listEntries(entries, describe) {
+    entries.slice(0, MAX_LISTED).forEach(entry => console.log(`   #${entry.tokenNumber}: ${describe(entry)}`));
+    if (entries.length > MAX_LISTED) {
+        console.log(`   ... and ${entries.length - MAX_LISTED} more`);
     }
-    
-    console.log('📂 Loading NFTs from:', nftsPath);
-    nfts = JSON.parse(fs.readFileSync(nftsPath, 'utf8'));
 }
 
-const stmt = db.prepare('INSERT INTO nfts (id, filename, cid, mimeType, claimed) VALUES (?, ?, ?, ?, 0)');
+function printPlan(plan, skipped) {
+    console.log(`\n📋 Import into ${collection.name}:`);
+    console.log(`   ➕ ${plan.new.length} new`);
+    console.log(`   ✏️  ${plan.changed.length} changed`);
+    console.log(`   ✅ ${plan.unchanged.length} unchanged`);
+    console.log(`   ⛔ ${plan.conflicts.length} conflicting`);
+    if (skipped > 0) {
+        console.log(`   ⏭️  ${skipped} above the max supply of ${collection.max_supply} (skipped)`);
+    }
 
-const insertMany = db.transaction((nfts) => {
-  let importedCount = 0;
-  for (const nft of nfts) {
-    if (nft.id <= 5000) {
-        stmt.run(nft.id, nft.filename, nft.cid, nft.mimeType);
-        importedCount++;
+    if (plan.changed.length > 0) {
+        console.log('\n✏️  Changed:');
+        listEntries(plan.changed, e => e.changes
+            .map(field => field === 'traits' ? 'traits' : `${field} ${e.nft[field]} → ${e[field]}`)
+            .join(', '));
     }
-  }
-  return importedCount;
-});
+    if (plan.conflicts.length > 0) {
+        console.log('\n⛔ Conflicting (never modified):');
+        listEntries(plan.conflicts, e => `${e.reason} - would change ${e.changes.join(', ')}`);
+    }
+    console.log('');
+}
 
-const count = insertMany(nfts);
+try {
+    const { records, skipped, errors } = validateNftRecords(loadRawRecords(), collection);
+    if (errors.length > 0) {
+        console.error(`❌ ${errors.length} invalid record(s) - nothing was imported:`);
+        errors.forEach(error => console.error(`   - ${error}`));
+        process.exit(1);
+    }
+
+    const plan = planImport(db, collection, records);
+    printPlan(plan, skipped);
 
-console.log(`✅ Imported ${count} NFTs!`);
-db.close();
\ No newline at end of file
+    if (dryRun) {
+        console.log('🔍 Dry run - nothing was written');
+        if (plan.conflicts.length > 0) process.exitCode = 1;
+    } else {
+        const { plan: applied, withTraits } = applyImport(db, collection, records);
+        console.log(`✅ Imported ${applied.new.length} new and ${applied.changed.length} changed NFTs into ${collection.name}!`);
+        if (withTraits > 0) {
+            console.log(`🏷️  Loaded traits for ${withTraits} NFTs`);
+            const ranked = computeRarity(db, collection);
+            console.log(`💎 Ranked ${ranked} NFTs by rarity`);
+        }
+    }
+} catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+} finally {
+    db.close();
+}
@@ -0,0 +1,95 @@
+// Provenance of inscribed dogs. An inscription lives on the first transparent
+// output of the transaction that inscribed it; whenever that output is spent it
+// moves to the first transparent output of the spending transaction. Each hop
+// is one row in nft_transfers, nfts.location_txid/location_vout point at the
+// output that currently holds it and nfts.holder_address at its address.
+// owner_address is the recipient the buyer declared and is never touched here.
+
+/**
+ * Finds the output an inscription lands on in a transaction
+ * @param {Object} tx - Verbose transaction
+ * @returns {{vout: number, address: string}|null} - null when every output is OP_RETURN or shielded
+ */
+function findHolderOutput(tx) {
+    for (const vout of tx.vout) {
+        const addresses = vout.scriptPubKey && vout.scriptPubKey.addresses;
+        if (addresses && addresses.length > 0) {
+            return { vout: vout.n, address: addresses[0] };
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the inscribed NFT sitting on an output, if any
+ */
+function findNftAtLocation(db, txid, vout) {
+    return db.prepare('SELECT id, holder_address FROM nfts WHERE location_txid = ? AND location_vout = ?').get(txid, vout);
+}
+
+/**
+ * Records a hop (inscription or transfer) and moves the NFT to its new location
+ * @param {Object} transfer - { nftId, kind, txid, blockHeight, fromAddress, holder } where holder is from findHolderOutput
+ */
+function recordTransfer(db, transfer) {
+    const { nftId, kind, txid, blockHeight, fromAddress, holder } = transfer;
+
+    db.prepare(`
+        INSERT OR IGNORE INTO nft_transfers (nft_id, kind, txid, vout, block_height, from_address, to_address)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(nftId, kind, txid, holder ? holder.vout : null, blockHeight, fromAddress || null, holder ? holder.address : null);
+
+    db.prepare(`
+        UPDATE nfts
+        SET location_txid = ?, location_vout = ?, holder_address = ?
+        WHERE id = ?
+    `).run(holder ? txid : null, holder ? holder.vout : null, holder ? holder.address : null, nftId);
+}
+
+/**
+ * Drops hops above a fork point and puts every affected NFT back where its last remaining hop left it
+ * @param {number} forkHeight - Last block still on the main chain
+ * @returns {number} - Number of hops removed
+ */
+function rollbackTransfers(db, forkHeight) {
+    const affected = db.prepare('SELECT DISTINCT nft_id FROM nft_transfers WHERE block_height > ?').all(forkHeight);
+    const removed = db.prepare('DELETE FROM nft_transfers WHERE block_height > ?').run(forkHeight).changes;
+
+    for (const { nft_id: nftId } of affected) {
+        const last = db.prepare(`
+            SELECT txid, vout, to_address FROM nft_transfers
+            WHERE nft_id = ? ORDER BY block_height DESC, id DESC LIMIT 1
+        `).get(nftId);
+
+        // With no hop left the inscription itself was orphaned and nothing holds it yet
+        db.prepare('UPDATE nfts SET location_txid = ?, location_vout = ?, holder_address = ? WHERE id = ?').run(
+            last && last.vout !== null ? last.txid : null,
+            last ? last.vout : null,
+            last ? last.to_address : null,
+            nftId
+        );
+    }
+
+    return removed;
+}
+
+/**
+ * Lists an NFT's hops, oldest first
+ * @param {number} nftId - nfts.id
+ */
+function getTransferHistory(db, nftId) {
+    return db.prepare(`
+        SELECT kind, txid, vout, block_height, from_address, to_address
+        FROM nft_transfers
+        WHERE nft_id = ?
+        ORDER BY block_height, id
+    `).all(nftId);
+}
+
+module.exports = {
+    findHolderOutput,
+    findNftAtLocation,
+    recordTransfer,
+    rollbackTransfers,
+    getTransferHistory
+};
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockDatabase, createMockSession } = require('./mock-database');
+const { findHolderOutput, findNftAtLocation, recordTransfer, rollbackTransfers, getTransferHistory } = require('./inscription-transfers');
+
+/**
+ * A minted dog owned by the address its buyer declared
+ * @returns {number} - nfts.id
+ */
+function mintTo(db, collection, recipientAddress) {
+    const session = createMockSession(db, collection, { status: 'complete', recipient_address: recipientAddress });
+    db.prepare('UPDATE nfts SET claimed = 1, owner_address = ? WHERE session_id = ?').run(recipientAddress, session.session_uuid);
+    return db.prepare('SELECT id FROM nfts WHERE session_id = ?').get(session.session_uuid).id;
+}
+
+function tx(txid, ...addresses) {
+    return {
+        txid,
+        vout: [
+            { n: 0, scriptPubKey: { type: 'nulldata' } },
+            ...addresses.map((address, i) => ({ n: i + 1, scriptPubKey: { addresses: [address] } }))
+        ]
+    };
+}
+
+function getNft(db, nftId) {
+    return db.prepare('SELECT owner_address, holder_address, location_txid, location_vout FROM nfts WHERE id = ?').get(nftId);
+}
+
+function getLocation(db, nftId) {
+    const nft = getNft(db, nftId);
+    return [nft.location_txid, nft.location_vout];
+}
+
+function hop(db, nftId, kind, transaction, blockHeight) {
+    const from = kind === 'transfer' ? findNftAtLocation(db, ...getLocation(db, nftId)) : null;
+    recordTransfer(db, {
+        nftId, kind, txid: transaction.txid, blockHeight,
+        fromAddress: from && from.holder_address,
+        holder: findHolderOutput(transaction)
+    });
+}
+
+test('an inscription lands on the first transparent output', () => {
+    assert.deepEqual(findHolderOutput(tx('aa', 't1first', 't1second')), { vout: 1, address: 't1first' });
+    assert.equal(findHolderOutput(tx('aa')), null);
+});
+
+test('transfers move the holder and leave the declared owner alone', () => {
+    const { db, collection } = createMockDatabase();
+    const nftId = mintTo(db, collection, 't1buyer');
+
+    hop(db, nftId, 'inscription', tx('aa', 't1buyer'), 100);
+    hop(db, nftId, 'transfer', tx('bb', 't1collector'), 105);
+
+    assert.deepEqual(getNft(db, nftId), { owner_address: 't1buyer', holder_address: 't1collector', location_txid: 'bb', location_vout: 1 });
+    assert.deepEqual(getTransferHistory(db, nftId).map(h => [h.kind, h.from_address, h.to_address]), [
+        ['inscription', null, 't1buyer'],
+        ['transfer', 't1buyer', 't1collector']
+    ]);
+
+    // Spent into a shielded pool - nobody we can see holds it any more
+    hop(db, nftId, 'transfer', tx('cc'), 106);
+    assert.deepEqual(getNft(db, nftId), { owner_address: 't1buyer', holder_address: null, location_txid: null, location_vout: null });
+});
+
+test('a reorg puts the holder back to the last surviving hop and keeps the declared owner', () => {
+    const { db, collection } = createMockDatabase();
+    const nftId = mintTo(db, collection, 't1buyer');
+
+    hop(db, nftId, 'inscription', tx('aa', 't1inscriber'), 100);
+    hop(db, nftId, 'transfer', tx('bb', 't1collector'), 105);
+
+    assert.equal(rollbackTransfers(db, 104), 1);
+    assert.deepEqual(getNft(db, nftId), { owner_address: 't1buyer', holder_address: 't1inscriber', location_txid: 'aa', location_vout: 1 });
+
+    assert.equal(rollbackTransfers(db, 99), 1);
+    assert.deepEqual(getNft(db, nftId), { owner_address: 't1buyer', holder_address: null, location_txid: null, location_vout: null });
+    assert.deepEqual(getTransferHistory(db, nftId), []);
+});
@@ -0,0 +1,86 @@
+const Database = require('better-sqlite3');
+const { syncDefaultCollection, createCollection, listCollections, getCollectionProgress } = require('./collections');
+const { formatZec } = require('./zatoshis');
+const { getConfig } = require('./config');
+const { requireCurrentSchema } = require('./migrator');
+
+const config = getConfig();
+
+const USAGE = `Usage:
+  node manage-collections.js list
+  node manage-collections.js add <slug> --name <name> --supply <n> --price-zat <zatoshis> --address <payment address>
+                                 [--token-name <name>] [--description <text>] [--phases <mint phases json>]
+                                 [--pricing <pricing strategy json, see pricing.js>]
+
+Then import its NFTs with: node import-nfts.js --collection <slug> path/to/nfts.json`;
+
+/**
+ * Parses --flag value pairs
+ * @returns {Object} - flag name (without dashes) -> value
+ */
+function parseFlags(args) {
+    const flags = {};
+    for (let i = 0; i < args.length; i += 2) {
+        if (!args[i].startsWith('--') || args[i + 1] === undefined) {
+            throw new Error(`Unexpected argument "${args[i]}"`);
+        }
+        flags[args[i].slice(2)] = args[i + 1];
+    }
+    return flags;
+}
+
+/**
+ * Parses the --pricing JSON
+ */
+function parsePricingFlag(json) {
+    try {
+        return JSON.parse(json);
+    } catch (err) {
+        throw new Error(`--pricing is not valid JSON: ${err.message}`);
+    }
+}
+
+const db = new Database(config.databasePath);
+requireCurrentSchema(db);
+const [command, slug, ...rest] = process.argv.slice(2);
+
+try {
+    syncDefaultCollection(db, config);
+
+    if (command === 'list') {
+        listCollections(db).forEach(c => {
+            const progress = getCollectionProgress(db, c);
+            console.log(`📦 ${c.slug} - ${c.name}`);
+            console.log(`   ${progress.minted}/${c.max_supply} minted at ${formatZec(c.price_per_nft_zat)} ZEC → ${c.payment_address}`);
+            if (c.pricing) {
+                console.log(`   Pricing: ${c.pricing}`);
+            }
+            if (c.mint_phases_path) {
+                console.log(`   Phases: ${c.mint_phases_path}`);
+            }
+        });
+    } else if (command === 'add' && slug) {
+        const flags = parseFlags(rest);
+        const collection = createCollection(db, {
+            slug,
+            name: flags.name,
+            tokenName: flags['token-name'],
+            description: flags.description,
+            maxSupply: Number(flags.supply),
+            priceZat: Number(flags['price-zat']),
+            paymentAddress: flags.address,
+            mintPhasesPath: flags.phases,
+            pricing: flags.pricing ? parsePricingFlag(flags.pricing) : null
+        });
+        console.log(`✅ Created collection ${collection.slug} (${collection.max_supply} NFTs at ${formatZec(collection.price_per_nft_zat)} ZEC)`);
+        console.log(`   Mint routes: /collections/${collection.slug}/mint-progress, /collections/${collection.slug}/create-payment-intent`);
+    } else {
+        console.log(USAGE);
+        process.exitCode = 1;
+    }
+} catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+} finally {
+    db.close();
+}
@@ -0,0 +1,199 @@
+// Prometheus metrics. Each process keeps its own counters, gauges and
+// summaries here; collectors registered with onCollect refresh gauges right
+// before a snapshot. The monitors have no HTTP server, so they publish their
+// snapshot to service_metrics every few seconds and the server's /metrics
+// merges those (labelled with the service) with its own.
+const METRIC_PREFIX = 'zecdogs_';
+const PUBLISH_INTERVAL_MS = 15000;
+
+const families = new Map(); // name -> { name, type, help, samples: Map(labelKey -> sample) }
+const collectors = [];
+
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+function defineFamily(type, name, help) {
+    const fullName = METRIC_PREFIX + name;
+    if (!families.has(fullName)) {
+        families.set(fullName, { name: fullName, type, help, samples: new Map() });
+    }
+    return families.get(fullName);
+}
+
+function getSample(family, labels) {
+    const key = labelKey(labels);
+    if (!family.samples.has(key)) {
+        family.samples.set(key, { labels, value: 0, sum: 0, count: 0 });
+    }
+    return family.samples.get(key);
+}
+
+/**
+ * A value that only goes up (resets when the process restarts)
+ * @returns {{inc: Function}} - inc(labels = {}, amount = 1)
+ */
+function counter(name, help) {
+    const family = defineFamily('counter', name, help);
+    return {
+        inc(labels = {}, amount = 1) {
+            getSample(family, labels).value += amount;
+        }
+    };
+}
+
+/**
+ * A value that goes up and down
+ * @returns {{set: Function, reset: Function}} - reset() drops every label set (before re-collecting)
+ */
+function gauge(name, help) {
+    const family = defineFamily('gauge', name, help);
+    return {
+        set(labels, value) {
+            getSample(family, labels).value = value;
+        },
+        reset() {
+            family.samples.clear();
+        }
+    };
+}
+
+/**
+ * Running sum and count of observations (e.g. durations), exported as <name>_sum and <name>_count
+ * @returns {{observe: Function}} - observe(labels, value)
+ */
+function summary(name, help) {
+    const family = defineFamily('summary', name, help);
+    return {
+        observe(labels, value) {
+            const sample = getSample(family, labels);
+            sample.sum += value;
+            sample.count++;
+        }
+    };
+}
+
+/**
+ * Registers a function that updates gauges before each snapshot
+ */
+function onCollect(collector) {
+    collectors.push(collector);
+}
+
+/**
+ * Runs the collectors and returns every metric of this process
+ * @returns {Object[]} - [{ name, type, help, samples: [{ labels, value } or { labels, sum, count }] }]
+ */
+function collectMetrics() {
+    for (const collector of collectors) {
+        try {
+            collector();
+        } catch (err) {
+            console.error('Metrics collector failed:', err.message);
+        }
+    }
+
+    return Array.from(families.values()).map(family => ({
+        name: family.name,
+        type: family.type,
+        help: family.help,
+        samples: Array.from(family.samples.values()).map(({ labels, value, sum, count }) =>
+            family.type === 'summary' ? { labels, sum, count } : { labels, value })
+    }));
+}
+
+/**
+ * Stores this process's metrics for the server to expose
+ * @param {string} service - e.g. 'payment-monitor'
+ */
+function publishMetrics(db, service) {
+    db.prepare(`
+        INSERT INTO service_metrics (service, snapshot, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(service) DO UPDATE SET snapshot = excluded.snapshot, updated_at = CURRENT_TIMESTAMP
+    `).run(service, JSON.stringify(collectMetrics()));
+}
+
+/**
+ * Publishes now and every PUBLISH_INTERVAL_MS
+ */
+function startPublishingMetrics(db, service) {
+    const publish = () => {
+        try {
+            publishMetrics(db, service);
+        } catch (err) {
+            console.error('Failed to publish metrics:', err.message);
+        }
+    };
+    publish();
+    setInterval(publish, PUBLISH_INTERVAL_MS);
+}
+
+/**
+ * Every published snapshot, with a service label on each sample and a
+ * publish-time gauge per service (stale when a monitor has stopped)
+ * @returns {Object[]} - Metric families as returned by collectMetrics
+ */
+function readPublishedMetrics(db) {
+    const rows = db.prepare(`SELECT service, snapshot, CAST(strftime('%s', updated_at) AS INTEGER) as published FROM service_metrics`).all();
+    const published = rows.flatMap(row => JSON.parse(row.snapshot).map(family => ({
+        ...family,
+        samples: family.samples.map(sample => ({ ...sample, labels: { ...sample.labels, service: row.service } }))
+    })));
+
+    published.push({
+        name: `${METRIC_PREFIX}service_last_publish_timestamp_seconds`,
+        type: 'gauge',
+        help: 'When each service last published its metrics (Unix time)',
+        samples: rows.map(row => ({ labels: { service: row.service }, value: row.published }))
+    });
+    return published;
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatSample(name, labels, value) {
+    const pairs = Object.entries(labels).map(([key, v]) => `${key}="${escapeLabelValue(v)}"`);
+    return `${name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${value}`;
+}
+
+/**
+ * Renders metric families in the Prometheus text format, merging families of the same name
+ */
+function renderMetrics(metricFamilies) {
+    const merged = new Map();
+    for (const family of metricFamilies) {
+        if (!merged.has(family.name)) {
+            merged.set(family.name, { ...family, samples: [] });
+        }
+        merged.get(family.name).samples.push(...family.samples);
+    }
+
+    const lines = [];
+    for (const family of merged.values()) {
+        lines.push(`# HELP ${family.name} ${family.help}`);
+        lines.push(`# TYPE ${family.name} ${family.type}`);
+        for (const sample of family.samples) {
+            if (family.type === 'summary') {
+                lines.push(formatSample(`${family.name}_sum`, sample.labels, sample.sum));
+                lines.push(formatSample(`${family.name}_count`, sample.labels, sample.count));
+            } else {
+                lines.push(formatSample(family.name, sample.labels, sample.value));
+            }
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    counter,
+    gauge,
+    summary,
+    onCollect,
+    collectMetrics,
+    publishMetrics,
+    startPublishingMetrics,
+    readPublishedMetrics,
+    renderMetrics
+};
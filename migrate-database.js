@@ -1,49 +1,45 @@
 const Database = require('better-sqlite3');
-const DB_PATH = process.env.DATABASE_PATH || 'nfts.db';
+const { getMigrationStatus, migrateUp, migrateDown, formatMigration } = require('./migrator');
+const { getConfig } = require('./config');
 
-console.log('🔧 Running database migration for mempool monitoring...\n');
+const config = getConfig();
 
-const db = new Database(DB_PATH);
+const USAGE = `Usage:
+  node migrate-database.js status
+  node migrate-database.js up [version]     Apply pending migrations (up to version)
+  node migrate-database.js down [steps]     Revert the last migration (or the last <steps>)
+
+Migrations live in migrations/ (see migrator.js).`;
+
+const db = new Database(config.databasePath);
+const [command = 'up', arg] = process.argv.slice(2);
 
 try {
-    // Check if column already exists
-    const tableInfo = db.prepare("PRAGMA table_info(sessions)").all();
-    const hasUpdatedAt = tableInfo.some(col => col.name === 'updated_at');
-    
-    if (hasUpdatedAt) {
-        console.log('✅ Column "updated_at" already exists - no migration needed!');
-    } else {
-        // Add the updated_at column
-        db.exec(`ALTER TABLE sessions ADD COLUMN updated_at DATETIME DEFAULT CURRENT_TIMESTAMP`);
-        console.log('✅ Successfully added "updated_at" column to sessions table!');
-        
-        // Update existing rows
-        db.exec(`UPDATE sessions SET updated_at = created_at WHERE updated_at IS NULL`);
-        console.log('✅ Updated existing sessions with created_at timestamp');
-    }
-    
-    // Display current session states
-    console.log('\n📊 Current Session States:');
-    const stats = db.prepare(`
-        SELECT status, COUNT(*) as count 
-        FROM sessions 
-        GROUP BY status
-    `).all();
-    
-    if (stats.length === 0) {
-        console.log('   No sessions in database');
-    } else {
-        stats.forEach(stat => {
-            console.log(`   ${stat.status}: ${stat.count}`);
+    if (command === 'status') {
+        console.log(`📊 Schema migrations for ${config.databasePath}:\n`);
+        getMigrationStatus(db).forEach(m => {
+            const state = m.appliedAt ? `✅ applied ${m.appliedAt}` : '⏳ pending';
+            console.log(`   ${formatMigration(m).padEnd(28)} ${state}${m.reversible ? '' : '  (irreversible)'}`);
         });
+    } else if (command === 'up' && (arg === undefined || /^\d+$/.test(arg))) {
+        console.log(`🔧 Migrating ${config.databasePath}...`);
+        const applied = migrateUp(db, { to: arg === undefined ? Infinity : Number(arg) });
+        console.log(applied.length > 0
+            ? `✅ Applied ${applied.length} migration(s)`
+            : '✅ Database schema is up to date - nothing to apply');
+    } else if (command === 'down' && (arg === undefined || /^[1-9]\d*$/.test(arg))) {
+        console.log(`🔧 Reverting ${config.databasePath}...`);
+        const reverted = migrateDown(db, { steps: arg === undefined ? 1 : Number(arg) });
+        console.log(reverted.length > 0
+            ? `✅ Reverted ${reverted.length} migration(s)`
+            : '✅ No applied migrations - nothing to revert');
+    } else {
+        console.log(USAGE);
+        process.exitCode = 1;
     }
-    
-    console.log('\n✅ Migration complete! You can now start the improved monitoring system.');
-    
 } catch (err) {
-    console.error('❌ Migration failed:', err.message);
-    console.error(err.stack);
-    process.exit(1);
+    console.error(`❌ Migration failed: ${err.message}`);
+    process.exitCode = 1;
 } finally {
     db.close();
-}
\ No newline at end of file
+}
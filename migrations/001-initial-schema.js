@@ -0,0 +1,55 @@
+const { hasColumn } = require('../migrator');
+
+// The original schema: the NFTs for sale, payment sessions (amounts in ZEC until
+// 006) and the monitors' scan progress
+
+module.exports = {
+    up(db) {
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS nfts (
+            id INTEGER PRIMARY KEY,
+            filename TEXT,
+            cid TEXT,
+            mimeType TEXT,
+            claimed BOOLEAN DEFAULT 0,
+            session_id TEXT,
+            inscriptionTxid TEXT,
+            inscribedAt DATETIME
+          )
+        `);
+
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_uuid TEXT UNIQUE,
+            amount_due REAL UNIQUE NOT NULL,
+            status TEXT DEFAULT 'pending',
+            quantity INTEGER,
+            payment_txid TEXT,
+            assigned_cids TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS settings (
+            key TEXT PRIMARY KEY,
+            value TEXT
+          )
+        `);
+
+        // Databases created by the old setup-db.js after the zatoshi conversion already
+        // have amount_due_zat (006 leaves those as they are)
+        const amountColumn = hasColumn(db, 'sessions', 'amount_due') ? 'amount_due' : 'amount_due_zat';
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_amount ON sessions(${amountColumn})`);
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_uuid ON sessions(session_uuid)`);
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_nfts_claimed ON nfts(claimed)`);
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_nfts_cid ON nfts(cid)`);
+    },
+
+    down(db) {
+        db.exec('DROP TABLE IF EXISTS settings');
+        db.exec('DROP TABLE IF EXISTS sessions');
+        db.exec('DROP TABLE IF EXISTS nfts');
+    }
+};
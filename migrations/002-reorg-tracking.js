@@ -0,0 +1,34 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+// Block hashes for reorg detection (see block-tracker.js), the heights needed to
+// roll orders and inscriptions back, and updated_at for the mempool monitor
+
+module.exports = {
+    up(db) {
+        // SQLite can't add a column with a CURRENT_TIMESTAMP default (006 restores it)
+        if (addColumn(db, 'sessions', 'updated_at', 'DATETIME')) {
+            db.exec('UPDATE sessions SET updated_at = created_at WHERE updated_at IS NULL');
+        }
+        addColumn(db, 'sessions', 'payment_block_height', 'INTEGER');
+        addColumn(db, 'sessions', 'confirmations', 'INTEGER DEFAULT 0');
+        addColumn(db, 'nfts', 'inscriptionBlock', 'INTEGER');
+
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS scanned_blocks (
+            scanner TEXT NOT NULL,
+            height INTEGER NOT NULL,
+            hash TEXT NOT NULL,
+            prev_hash TEXT,
+            PRIMARY KEY (scanner, height)
+          )
+        `);
+    },
+
+    down(db) {
+        db.exec('DROP TABLE IF EXISTS scanned_blocks');
+        dropColumn(db, 'nfts', 'inscriptionBlock');
+        dropColumn(db, 'sessions', 'confirmations');
+        dropColumn(db, 'sessions', 'payment_block_height');
+        dropColumn(db, 'sessions', 'updated_at');
+    }
+};
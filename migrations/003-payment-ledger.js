@@ -0,0 +1,43 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+// Per-session payment addresses (PAYMENT_XPUB), the ledger of every output
+// paid to us and the ledger payment an operator fulfilled a session from
+// (see payment-ledger.js)
+
+module.exports = {
+    up(db) {
+        addColumn(db, 'sessions', 'payment_address', 'TEXT');
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_address ON sessions(payment_address)`);
+
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS incoming_payments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            txid TEXT NOT NULL,
+            vout INTEGER NOT NULL,
+            address TEXT,
+            amount_zat INTEGER NOT NULL,
+            block_height INTEGER,
+            session_uuid TEXT,
+            outcome TEXT NOT NULL,
+            resolution TEXT,
+            resolved_session TEXT,
+            refund_txid TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            resolved_at DATETIME,
+            UNIQUE (txid, vout)
+          )
+        `);
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_incoming_payments_outcome ON incoming_payments(outcome, resolution)`);
+
+        addColumn(db, 'sessions', 'resolved_payment_id', 'INTEGER');
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_resolved_payment ON sessions(resolved_payment_id)`);
+    },
+
+    down(db) {
+        db.exec('DROP INDEX IF EXISTS idx_sessions_resolved_payment');
+        dropColumn(db, 'sessions', 'resolved_payment_id');
+        db.exec('DROP TABLE IF EXISTS incoming_payments');
+        db.exec('DROP INDEX IF EXISTS idx_sessions_address');
+        dropColumn(db, 'sessions', 'payment_address');
+    }
+};
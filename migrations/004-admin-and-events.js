@@ -0,0 +1,36 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+// The session change feed behind /events (see session-events.js), the admin API
+// audit log and withholding NFTs from sale
+
+module.exports = {
+    up(db) {
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS session_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_uuid TEXT NOT NULL,
+            status TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS admin_audit (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            action TEXT NOT NULL,
+            target TEXT,
+            details TEXT,
+            ip TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        addColumn(db, 'nfts', 'withheld', 'BOOLEAN DEFAULT 0');
+    },
+
+    down(db) {
+        dropColumn(db, 'nfts', 'withheld');
+        db.exec('DROP TABLE IF EXISTS admin_audit');
+        db.exec('DROP TABLE IF EXISTS session_events');
+    }
+};
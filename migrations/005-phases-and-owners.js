@@ -0,0 +1,22 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+// Mint phases and their price at purchase time (see mint-phases.js), and the
+// buyer's address recorded as owner of the NFTs they claimed
+
+module.exports = {
+    up(db) {
+        addColumn(db, 'sessions', 'phase', 'TEXT');
+        addColumn(db, 'sessions', 'price_per_nft_zat', 'INTEGER');
+        addColumn(db, 'sessions', 'recipient_address', 'TEXT');
+        addColumn(db, 'nfts', 'owner_address', 'TEXT');
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_nfts_owner ON nfts(owner_address)`);
+    },
+
+    down(db) {
+        db.exec('DROP INDEX IF EXISTS idx_nfts_owner');
+        dropColumn(db, 'nfts', 'owner_address');
+        dropColumn(db, 'sessions', 'recipient_address');
+        dropColumn(db, 'sessions', 'price_per_nft_zat');
+        dropColumn(db, 'sessions', 'phase');
+    }
+};
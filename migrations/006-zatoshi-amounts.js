@@ -0,0 +1,67 @@
+const { hasColumn } = require('../migrator');
+
+// Amounts move from REAL ZEC to INTEGER zatoshis. SQLite can't change a column's
+// type, so the sessions table is rebuilt, keeping its AUTOINCREMENT sequence
+// (it feeds the unique amount suffix) and its indexes.
+
+const OTHER_COLUMNS = [
+    'session_uuid', 'status', 'quantity', 'payment_address', 'recipient_address', 'phase', 'price_per_nft_zat',
+    'payment_txid', 'payment_block_height', 'confirmations', 'assigned_cids', 'resolved_payment_id', 'created_at', 'updated_at'
+];
+
+/**
+ * Recreates sessions with `amountColumn` (of `amountType`) filled from `amountExpr`
+ */
+function rebuildSessions(db, amountColumn, amountType, amountExpr) {
+    const seqRow = db.prepare("SELECT seq FROM sqlite_sequence WHERE name = 'sessions'").get();
+
+    db.exec(`
+      CREATE TABLE sessions_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_uuid TEXT UNIQUE,
+        ${amountColumn} ${amountType} UNIQUE NOT NULL,
+        status TEXT DEFAULT 'pending',
+        quantity INTEGER,
+        payment_address TEXT,
+        recipient_address TEXT,
+        phase TEXT,
+        price_per_nft_zat INTEGER,
+        payment_txid TEXT,
+        payment_block_height INTEGER,
+        confirmations INTEGER DEFAULT 0,
+        assigned_cids TEXT,
+        resolved_payment_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    db.exec(`
+        INSERT INTO sessions_new (id, ${amountColumn}, ${OTHER_COLUMNS.join(', ')})
+        SELECT id, ${amountExpr}, ${OTHER_COLUMNS.join(', ')} FROM sessions
+    `);
+    db.exec('DROP TABLE sessions');
+    db.exec('ALTER TABLE sessions_new RENAME TO sessions');
+
+    if (seqRow) {
+        db.prepare("DELETE FROM sqlite_sequence WHERE name = 'sessions'").run();
+        db.prepare("INSERT INTO sqlite_sequence (name, seq) VALUES ('sessions', ?)").run(seqRow.seq);
+    }
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_amount ON sessions(${amountColumn})`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_uuid ON sessions(session_uuid)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_address ON sessions(payment_address)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_resolved_payment ON sessions(resolved_payment_id)`);
+}
+
+module.exports = {
+    up(db) {
+        // Databases created (by the old setup-db.js) after the conversion are already in zatoshis
+        if (hasColumn(db, 'sessions', 'amount_due')) {
+            rebuildSessions(db, 'amount_due_zat', 'INTEGER', 'CAST(ROUND(amount_due * 100000000) AS INTEGER)');
+        }
+    },
+
+    down(db) {
+        rebuildSessions(db, 'amount_due', 'REAL', 'amount_due_zat / 100000000.0');
+    }
+};
@@ -0,0 +1,52 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+// Several collections per deployment (see collections.js). Structure only: the
+// default collection comes from the configuration, so syncDefaultCollection
+// creates it when a service starts and adopts the NFTs and sessions from before
+// collections existed (collection_id NULL), numbered by their id.
+
+// collections.js DEFAULT_COLLECTION_SLUG when this migration was written. Kept
+// here so the migration means the same thing if the live constant changes.
+const DEFAULT_COLLECTION_SLUG = 'zec-dogs';
+
+module.exports = {
+    up(db) {
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS collections (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            slug TEXT UNIQUE NOT NULL,
+            name TEXT NOT NULL,
+            token_name TEXT NOT NULL,
+            description TEXT,
+            max_supply INTEGER NOT NULL,
+            price_per_nft_zat INTEGER NOT NULL,
+            payment_address TEXT NOT NULL,
+            mint_phases_path TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        addColumn(db, 'nfts', 'collection_id', 'INTEGER');
+        addColumn(db, 'nfts', 'token_number', 'INTEGER');
+        addColumn(db, 'sessions', 'collection_id', 'INTEGER');
+
+        db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_nfts_collection_token ON nfts(collection_id, token_number)`);
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_collection ON sessions(collection_id, status)`);
+    },
+
+    down(db) {
+        // NFTs and sessions of other collections can't be told apart afterwards
+        const others = db.prepare('SELECT COUNT(*) as count FROM collections WHERE slug != ?')
+            .get(DEFAULT_COLLECTION_SLUG).count;
+        if (others > 0) {
+            throw new Error(`${others} collection(s) besides the default exist - remove them before reverting.`);
+        }
+
+        db.exec('DROP INDEX IF EXISTS idx_sessions_collection');
+        db.exec('DROP INDEX IF EXISTS idx_nfts_collection_token');
+        dropColumn(db, 'sessions', 'collection_id');
+        dropColumn(db, 'nfts', 'token_number');
+        dropColumn(db, 'nfts', 'collection_id');
+        db.exec('DROP TABLE IF EXISTS collections');
+    }
+};
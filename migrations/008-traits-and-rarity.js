@@ -0,0 +1,115 @@
+const { addColumn, dropColumn, hasColumn, hasTable } = require('../migrator');
+
+// Trait attributes imported from nfts.json (see token-metadata.js) and the
+// rarity scores, ranks and per-collection trait frequencies derived from them
+// (see rarity.js)
+
+const MISSING_TRAIT_VALUE = 'None';
+
+/**
+ * Snapshot of rarity.js computeRarity as of this migration, used to rebuild the
+ * frequencies of databases from before collections. Migrations don't import
+ * live code, so later changes to rarity.js can't change what this one does.
+ */
+function rankCollection(db, collection) {
+    const rows = db.prepare(`
+        SELECT t.nft_id, t.trait_type, t.value FROM nft_traits t
+        JOIN nfts n ON n.id = t.nft_id
+        WHERE n.collection_id = ? AND n.token_number <= ?
+    `).all(collection.id, collection.max_supply);
+
+    // nft_id -> Map(trait_type -> value)
+    const tokens = new Map();
+    const traitTypes = new Set();
+    for (const row of rows) {
+        if (!tokens.has(row.nft_id)) tokens.set(row.nft_id, new Map());
+        tokens.get(row.nft_id).set(row.trait_type, row.value);
+        traitTypes.add(row.trait_type);
+    }
+
+    const total = tokens.size;
+    db.prepare('DELETE FROM trait_frequencies WHERE collection_id = ?').run(collection.id);
+    db.prepare('UPDATE nfts SET rarity_score = NULL, rarity_rank = NULL WHERE collection_id = ?').run(collection.id);
+    if (total === 0) return;
+
+    // "trait_type\0value" -> count
+    const counts = new Map();
+    for (const traits of tokens.values()) {
+        for (const traitType of traitTypes) {
+            const key = `${traitType}\0${traits.get(traitType) ?? MISSING_TRAIT_VALUE}`;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+    }
+
+    const insertFrequency = db.prepare(`
+        INSERT INTO trait_frequencies (collection_id, trait_type, value, count, frequency) VALUES (?, ?, ?, ?, ?)
+    `);
+    for (const [key, count] of counts) {
+        const [traitType, value] = key.split('\0');
+        insertFrequency.run(collection.id, traitType, value, count, count / total);
+    }
+
+    const scored = [];
+    for (const [nftId, traits] of tokens) {
+        let score = 0;
+        for (const traitType of traitTypes) {
+            score += total / counts.get(`${traitType}\0${traits.get(traitType) ?? MISSING_TRAIT_VALUE}`);
+        }
+        scored.push({ nftId, score });
+    }
+    scored.sort((a, b) => b.score - a.score || a.nftId - b.nftId);
+
+    const updateToken = db.prepare('UPDATE nfts SET rarity_score = ?, rarity_rank = ? WHERE id = ?');
+    scored.forEach((token, i) => {
+        updateToken.run(Math.round(token.score * 100) / 100, i + 1, token.nftId);
+    });
+}
+
+module.exports = {
+    up(db) {
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS nft_traits (
+            nft_id INTEGER NOT NULL,
+            trait_type TEXT NOT NULL,
+            value TEXT NOT NULL,
+            PRIMARY KEY (nft_id, trait_type)
+          )
+        `);
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_nft_traits_value ON nft_traits(trait_type, value)`);
+
+        addColumn(db, 'nfts', 'rarity_score', 'REAL');
+        addColumn(db, 'nfts', 'rarity_rank', 'INTEGER');
+
+        // Frequencies are derived data, so a table from before collections is simply rebuilt
+        const legacy = hasTable(db, 'trait_frequencies') && !hasColumn(db, 'trait_frequencies', 'collection_id');
+        if (legacy) {
+            db.exec('DROP TABLE trait_frequencies');
+        }
+
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS trait_frequencies (
+            collection_id INTEGER NOT NULL,
+            trait_type TEXT NOT NULL,
+            value TEXT NOT NULL,
+            count INTEGER NOT NULL,
+            frequency REAL NOT NULL,
+            PRIMARY KEY (collection_id, trait_type, value)
+          )
+        `);
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_nfts_collection_rarity ON nfts(collection_id, rarity_rank)`);
+        db.exec('DROP INDEX IF EXISTS idx_nfts_rarity_rank'); // Superseded by the per-collection index
+
+        if (legacy) {
+            db.prepare('SELECT id, max_supply FROM collections ORDER BY id').all()
+                .forEach(collection => rankCollection(db, collection));
+        }
+    },
+
+    down(db) {
+        db.exec('DROP INDEX IF EXISTS idx_nfts_collection_rarity');
+        db.exec('DROP TABLE IF EXISTS trait_frequencies');
+        dropColumn(db, 'nfts', 'rarity_rank');
+        dropColumn(db, 'nfts', 'rarity_score');
+        db.exec('DROP TABLE IF EXISTS nft_traits');
+    }
+};
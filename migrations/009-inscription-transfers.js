@@ -0,0 +1,34 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+// Where each inscription currently lives and every hop it made (see inscription-transfers.js)
+
+module.exports = {
+    up(db) {
+        addColumn(db, 'nfts', 'location_txid', 'TEXT');
+        addColumn(db, 'nfts', 'location_vout', 'INTEGER');
+
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS nft_transfers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            nft_id INTEGER NOT NULL,
+            kind TEXT NOT NULL,
+            txid TEXT NOT NULL,
+            vout INTEGER,
+            block_height INTEGER NOT NULL,
+            from_address TEXT,
+            to_address TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (nft_id, txid)
+          )
+        `);
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_nfts_location ON nfts(location_txid, location_vout)`);
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_nft_transfers_nft ON nft_transfers(nft_id, block_height)`);
+    },
+
+    down(db) {
+        db.exec('DROP TABLE IF EXISTS nft_transfers');
+        db.exec('DROP INDEX IF EXISTS idx_nfts_location');
+        dropColumn(db, 'nfts', 'location_vout');
+        dropColumn(db, 'nfts', 'location_txid');
+    }
+};
@@ -0,0 +1,23 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+// Pricing strategies (see pricing.js): a collection's default strategy as JSON
+// and the total price each session locked when it was created
+
+module.exports = {
+    up(db) {
+        addColumn(db, 'collections', 'pricing', 'TEXT');
+        if (addColumn(db, 'sessions', 'quote_zat', 'INTEGER')) {
+            db.exec(`
+                UPDATE sessions
+                SET quote_zat = quantity * COALESCE(price_per_nft_zat,
+                    (SELECT price_per_nft_zat FROM collections WHERE collections.id = sessions.collection_id))
+                WHERE quote_zat IS NULL
+            `);
+        }
+    },
+
+    down(db) {
+        dropColumn(db, 'sessions', 'quote_zat');
+        dropColumn(db, 'collections', 'pricing');
+    }
+};
@@ -0,0 +1,43 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+// Per-client reservation limits and the proof-of-work gate (see client-limits.js
+// and proof-of-work.js): who opened each session, refused attempts, and the
+// challenges already spent
+
+module.exports = {
+    up(db) {
+        addColumn(db, 'sessions', 'client_ip', 'TEXT');
+        addColumn(db, 'sessions', 'client_fingerprint', 'TEXT');
+
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS intent_rejections (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            collection_id INTEGER,
+            client_ip TEXT,
+            client_fingerprint TEXT,
+            quantity INTEGER,
+            reason TEXT NOT NULL,
+            message TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS pow_redemptions (
+            challenge TEXT PRIMARY KEY,
+            expires_at INTEGER NOT NULL
+          )
+        `);
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_client_ip ON sessions(status, client_ip)`);
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_client_fingerprint ON sessions(status, client_fingerprint)`);
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_intent_rejections_created ON intent_rejections(created_at)`);
+    },
+
+    down(db) {
+        db.exec('DROP TABLE IF EXISTS pow_redemptions');
+        db.exec('DROP TABLE IF EXISTS intent_rejections');
+        db.exec('DROP INDEX IF EXISTS idx_sessions_client_fingerprint');
+        db.exec('DROP INDEX IF EXISTS idx_sessions_client_ip');
+        dropColumn(db, 'sessions', 'client_fingerprint');
+        dropColumn(db, 'sessions', 'client_ip');
+    }
+};
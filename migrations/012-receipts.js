@@ -0,0 +1,19 @@
+// Signed mint receipts, one per completed session (see receipts.js)
+
+module.exports = {
+    up(db) {
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS receipts (
+            session_uuid TEXT PRIMARY KEY,
+            payload TEXT NOT NULL,
+            key_id TEXT NOT NULL,
+            signature TEXT NOT NULL,
+            issued_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+    },
+
+    down(db) {
+        db.exec('DROP TABLE IF EXISTS receipts');
+    }
+};
@@ -0,0 +1,17 @@
+// Metrics snapshots published by the monitor processes for the server's /metrics (see metrics.js)
+
+module.exports = {
+    up(db) {
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS service_metrics (
+            service TEXT PRIMARY KEY,
+            snapshot TEXT NOT NULL,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+    },
+
+    down(db) {
+        db.exec('DROP TABLE IF EXISTS service_metrics');
+    }
+};
@@ -0,0 +1,18 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+// The derivation index of each session's payment address (see payment-addresses.js).
+// Addresses used to be derived at the session's row id, so those sessions keep it.
+
+module.exports = {
+    up(db) {
+        if (addColumn(db, 'sessions', 'address_index', 'INTEGER')) {
+            db.exec('UPDATE sessions SET address_index = id WHERE payment_address IS NOT NULL');
+        }
+        db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_address_index ON sessions(address_index)`);
+    },
+
+    down(db) {
+        db.exec('DROP INDEX IF EXISTS idx_sessions_address_index');
+        dropColumn(db, 'sessions', 'address_index');
+    }
+};
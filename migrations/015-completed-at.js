@@ -0,0 +1,23 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+// When each session completed, for its signed receipt (see receipts.js).
+// Completed sessions take the time of their last 'complete' event, or their
+// last update once the events have been pruned.
+
+module.exports = {
+    up(db) {
+        if (addColumn(db, 'sessions', 'completed_at', 'DATETIME')) {
+            db.exec(`
+                UPDATE sessions
+                SET completed_at = COALESCE(
+                    (SELECT MAX(created_at) FROM session_events WHERE session_uuid = sessions.session_uuid AND status = 'complete'),
+                    updated_at)
+                WHERE status = 'complete'
+            `);
+        }
+    },
+
+    down(db) {
+        dropColumn(db, 'sessions', 'completed_at');
+    }
+};
@@ -0,0 +1,31 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+// The address holding each inscription on chain, kept apart from owner_address
+// (the recipient the buyer declared) so transfers and reorgs never rewrite the
+// ownership registry. Transfers used to overwrite owner_address, so the holder
+// comes from each NFT's latest hop and the owner from its session again.
+
+module.exports = {
+    up(db) {
+        if (addColumn(db, 'nfts', 'holder_address', 'TEXT')) {
+            db.exec(`
+                UPDATE nfts
+                SET holder_address = (
+                    SELECT to_address FROM nft_transfers
+                    WHERE nft_id = nfts.id ORDER BY block_height DESC, id DESC LIMIT 1)
+                WHERE location_txid IS NOT NULL
+            `);
+            db.exec(`
+                UPDATE nfts
+                SET owner_address = (SELECT recipient_address FROM sessions WHERE session_uuid = nfts.session_id)
+                WHERE claimed = 1 AND EXISTS (SELECT 1 FROM nft_transfers WHERE nft_id = nfts.id)
+            `);
+        }
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_nfts_holder ON nfts(holder_address)`);
+    },
+
+    down(db) {
+        db.exec('DROP INDEX IF EXISTS idx_nfts_holder');
+        dropColumn(db, 'nfts', 'holder_address');
+    }
+};
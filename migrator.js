@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations. Each file in migrations/ is named
+// <version>-<name>.js and exports { up(db), down(db) }; a migration without a
+// down() is irreversible. Applied versions are recorded in schema_migrations and
+// every migration runs in its own transaction.
+//
+// The first migrations adopt databases created before this framework existed:
+// they only create what is missing, so any older database converges on the
+// same schema as a fresh one.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)-([\w-]+)\.js$/;
+
+function initMigrationTable(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+}
+
+/**
+ * Loads every migration file, oldest first
+ * @returns {Array<{version: number, name: string, up: Function, down: Function|undefined}>}
+ */
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            if (typeof migration.up !== 'function') {
+                throw new Error(`Migration ${file} has no up()`);
+            }
+            return { version: Number(match[1]), name: match[2], up: migration.up, down: migration.down };
+        })
+        .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Lists every migration with when it was applied (null if pending)
+ * @returns {Array<{version: number, name: string, appliedAt: string|null, reversible: boolean}>}
+ */
+function getMigrationStatus(db) {
+    initMigrationTable(db);
+    const applied = new Map(db.prepare('SELECT version, applied_at FROM schema_migrations').all()
+        .map(row => [row.version, row.applied_at]));
+
+    return loadMigrations().map(m => ({
+        version: m.version,
+        name: m.name,
+        appliedAt: applied.get(m.version) || null,
+        reversible: typeof m.down === 'function'
+    }));
+}
+
+/**
+ * Applies pending migrations in order
+ * @param {Object} [options] - { to } stops after this version
+ * @returns {Object[]} - The migrations applied
+ */
+function migrateUp(db, { to = Infinity } = {}) {
+    const status = new Map(getMigrationStatus(db).map(s => [s.version, s]));
+    const pending = loadMigrations().filter(m => !status.get(m.version).appliedAt && m.version <= to);
+
+    for (const migration of pending) {
+        db.transaction(() => {
+            migration.up(db);
+            db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+        })();
+        console.log(`⬆️  Applied ${formatMigration(migration)}`);
+    }
+    return pending;
+}
+
+/**
+ * Reverts the most recently applied migrations
+ * @param {Object} [options] - { steps } number of migrations to revert (default 1)
+ * @returns {Object[]} - The migrations reverted
+ * @throws {Error} - If one of them is irreversible (nothing is reverted past it)
+ */
+function migrateDown(db, { steps = 1 } = {}) {
+    const applied = new Set(getMigrationStatus(db).filter(s => s.appliedAt).map(s => s.version));
+    const toRevert = loadMigrations().filter(m => applied.has(m.version)).reverse().slice(0, steps);
+
+    for (const migration of toRevert) {
+        if (typeof migration.down !== 'function') {
+            throw new Error(`${formatMigration(migration)} is irreversible - cannot migrate below it.`);
+        }
+        db.transaction(() => {
+            migration.down(db);
+            db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+        })();
+        console.log(`⬇️  Reverted ${formatMigration(migration)}`);
+    }
+    return toRevert;
+}
+
+/**
+ * Exits the process if the database has pending migrations, so services never
+ * run against a schema they don't expect
+ */
+function requireCurrentSchema(db) {
+    const pending = getMigrationStatus(db).filter(s => !s.appliedAt);
+    if (pending.length > 0) {
+        console.error(`❌ Database schema is out of date: ${pending.length} pending migration(s) (${pending.map(formatMigration).join(', ')})`);
+        console.error('   Run `npm run migrate up` (start-all.js does this automatically).');
+        process.exit(1);
+    }
+}
+
+function formatMigration(migration) {
+    return `${String(migration.version).padStart(3, '0')}-${migration.name}`;
+}
+
+// Helpers for migrations
+
+function hasTable(db, table) {
+    return Boolean(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table));
+}
+
+function hasColumn(db, table, column) {
+    return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+/**
+ * Adds a column unless it already exists
+ * @returns {boolean} - true if the column was added
+ */
+function addColumn(db, table, column, definition) {
+    if (hasColumn(db, table, column)) return false;
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+}
+
+/**
+ * Drops a column if it exists (drop its indexes first)
+ */
+function dropColumn(db, table, column) {
+    if (hasColumn(db, table, column)) {
+        db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+}
+
+module.exports = {
+    getMigrationStatus,
+    migrateUp,
+    migrateDown,
+    requireCurrentSchema,
+    formatMigration,
+    hasTable,
+    hasColumn,
+    addColumn,
+    dropColumn
+};
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { getMigrationStatus, migrateUp, migrateDown, requireCurrentSchema } = require('./migrator');
+
+test.beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+});
+
+function getSchema(db) {
+    return db.prepare(`SELECT type, name, sql FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY name`).all();
+}
+
+test('every migration reverts and a re-applied schema matches the first', () => {
+    const db = new Database(':memory:');
+    const migrations = getMigrationStatus(db);
+    assert.ok(migrations.every(m => m.appliedAt === null && m.reversible));
+    assert.deepEqual(migrations.map(m => m.version), migrations.map((m, i) => i + 1));
+
+    assert.equal(migrateUp(db).length, migrations.length);
+    assert.ok(getMigrationStatus(db).every(m => m.appliedAt !== null));
+    assert.equal(migrateUp(db).length, 0);
+    const schema = getSchema(db);
+
+    assert.equal(migrateDown(db, { steps: migrations.length }).length, migrations.length);
+    assert.deepEqual(getSchema(db).map(s => s.name), ['schema_migrations']);
+
+    migrateUp(db);
+    assert.deepEqual(getSchema(db), schema);
+});
+
+test('migrations stop at a target version and revert one step at a time', () => {
+    const db = new Database(':memory:');
+    migrateUp(db, { to: 3 });
+    assert.deepEqual(getMigrationStatus(db).filter(m => m.appliedAt).map(m => m.version), [1, 2, 3]);
+
+    assert.deepEqual(migrateDown(db).map(m => m.version), [3]);
+    assert.deepEqual(getMigrationStatus(db).filter(m => m.appliedAt).map(m => m.version), [1, 2]);
+});
+
+test('services refuse to run on a database with pending migrations', t => {
+    const db = new Database(':memory:');
+    migrateUp(db, { to: 3 });
+    t.mock.method(console, 'error', () => {});
+    const exit = t.mock.method(process, 'exit', () => {});
+
+    requireCurrentSchema(db);
+    assert.deepEqual(exit.mock.calls.map(call => call.arguments), [[1]]);
+
+    migrateUp(db);
+    requireCurrentSchema(db);
+    assert.equal(exit.mock.callCount(), 1);
+});
+
+test('a legacy database already in zatoshis gets its amount index on amount_due_zat', () => {
+    const db = new Database(':memory:');
+    db.exec(`
+        CREATE TABLE sessions (id INTEGER PRIMARY KEY AUTOINCREMENT, session_uuid TEXT UNIQUE,
+            amount_due_zat INTEGER UNIQUE NOT NULL, status TEXT DEFAULT 'pending', quantity INTEGER,
+            payment_txid TEXT, assigned_cids TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP)
+    `);
+
+    migrateUp(db);
+    const index = db.prepare("SELECT sql FROM sqlite_master WHERE name = 'idx_sessions_amount'").get();
+    assert.match(index.sql, /\(amount_due_zat\)/);
+});
+
+test('trait frequencies from before collections are rebuilt per collection', () => {
+    const db = new Database(':memory:');
+    migrateUp(db, { to: 7 });
+    db.exec(`
+        INSERT INTO collections (slug, name, token_name, max_supply, price_per_nft_zat, payment_address)
+        VALUES ('zec-dogs', 'Zec Dogs', 'Zec Dog', 3, 500000, 't1gU211G8Msqb6EYVtdnepjZsfonxd2RR8H');
+        INSERT INTO nfts (id, collection_id, token_number) VALUES (1, 1, 1), (2, 1, 2), (3, 1, 3);
+        CREATE TABLE nft_traits (nft_id INTEGER NOT NULL, trait_type TEXT NOT NULL, value TEXT NOT NULL, PRIMARY KEY (nft_id, trait_type));
+        INSERT INTO nft_traits VALUES (1, 'Hat', 'Cap'), (2, 'Hat', 'Cap'), (3, 'Hat', 'Crown');
+        CREATE TABLE trait_frequencies (trait_type TEXT, value TEXT, count INTEGER, frequency REAL);
+    `);
+
+    migrateUp(db);
+    assert.deepEqual(db.prepare('SELECT collection_id, value, count FROM trait_frequencies ORDER BY value').all(), [
+        { collection_id: 1, value: 'Cap', count: 2 },
+        { collection_id: 1, value: 'Crown', count: 1 }
+    ]);
+    assert.deepEqual(db.prepare('SELECT id FROM nfts WHERE rarity_rank = 1').get(), { id: 3 });
+});
+
+test('holders move out of owner_address, which goes back to the declared recipient', () => {
+    const db = new Database(':memory:');
+    migrateUp(db, { to: 15 });
+    db.exec(`
+        INSERT INTO collections (slug, name, token_name, max_supply, price_per_nft_zat, payment_address)
+        VALUES ('zec-dogs', 'Zec Dogs', 'Zec Dog', 2, 500000, 't1gU211G8Msqb6EYVtdnepjZsfonxd2RR8H');
+        INSERT INTO sessions (session_uuid, amount_due_zat, recipient_address, collection_id) VALUES ('s1', 1000001, 't1buyer', 1);
+        INSERT INTO nfts (id, collection_id, token_number, session_id, claimed, owner_address, location_txid, location_vout)
+        VALUES (1, 1, 1, 's1', 1, 't1collector', 'bb', 1), (2, 1, 2, 's1', 1, 't1buyer', NULL, NULL);
+        INSERT INTO nft_transfers (nft_id, kind, txid, vout, block_height, to_address)
+        VALUES (1, 'inscription', 'aa', 1, 100, 't1buyer'), (1, 'transfer', 'bb', 1, 105, 't1collector');
+    `);
+
+    migrateUp(db);
+    assert.deepEqual(db.prepare('SELECT id, owner_address, holder_address FROM nfts ORDER BY id').all(), [
+        { id: 1, owner_address: 't1buyer', holder_address: 't1collector' },
+        { id: 2, owner_address: 't1buyer', holder_address: null }
+    ]);
+});
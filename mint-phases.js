@@ -0,0 +1,288 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { fixedPricing, parsePricing, getUnitPrice, getCollectionPricing } = require('./pricing');
+
+// Mint phases (team, allowlist, public, ...) loaded from a JSON file:
+// {
+//   "phases": [
+//     { "name": "allowlist", "start": "2026-11-01T16:00:00Z", "end": "2026-11-02T16:00:00Z",
+//       "priceZat": 400000, "allocation": 1000, "maxPerAddress": 3, "allowlist": "allowlist.txt" },
+//     { "name": "public", "start": "2026-11-02T16:00:00Z",
+//       "pricing": { "strategy": "dutch-auction", "startPriceZat": 2000000, "floorPriceZat": 500000,
+//                    "dropZat": 100000, "dropIntervalMinutes": 10 } }
+//   ]
+// }
+// "priceZat" is short for fixed pricing; a phase with neither uses the
+// collection's pricing (see pricing.js).
+// Allowlist files hold one "<Zcash address> <token>" entry per line (# starts a
+// comment) and are resolved relative to the phases file. The recipient address
+// is whatever the buyer types, so the token - sent privately to each allowlisted
+// buyer - is what proves an entry is theirs. `node mint-phases.js tokens <file>`
+// adds a random token to every entry that lacks one.
+// maxPerAddress counts per allowlist entry. On public phases a buyer can type a
+// fresh address for every session, so there it counts per client instead - by
+// IP and by fingerprint, like client-limits.js - and the recipient is ignored.
+const DEFAULT_MAX_PER_SESSION = 20;
+const TOKEN_BYTES = 16;
+
+// Sessions that hold (or have used) part of a phase's allocation
+const COUNTED_STATUSES = ['pending', 'payment_pending', 'confirming', 'complete'];
+
+function readAllowlistEntries(filePath) {
+    return fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .map(line => line.replace(/#.*/, '').trim())
+        .filter(Boolean)
+        .map(line => line.split(/\s+/));
+}
+
+/**
+ * @returns {Map<string, string>} - Allowlisted address → its token
+ * @throws {Error} - On an entry without a token
+ */
+function loadAllowlist(filePath) {
+    const allowlist = new Map();
+    for (const [address, token] of readAllowlistEntries(filePath)) {
+        if (!token) {
+            throw new Error(`${filePath}: ${address} has no token (run: node mint-phases.js tokens ${filePath})`);
+        }
+        allowlist.set(address, token);
+    }
+    return allowlist;
+}
+
+/**
+ * Constant-time check of a buyer's token against their allowlist entry
+ */
+function isAllowlisted(allowlist, address, token) {
+    const expected = allowlist.get(address);
+    if (!expected || !token) return false;
+
+    const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(hash(expected), hash(token));
+}
+
+function parseLimit(value, field, name) {
+    if (value === undefined || value === null) return null;
+
+    if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`Mint phase "${name}": ${field} must be a positive integer`);
+    }
+    return value;
+}
+
+function parseTime(value, field, name) {
+    if (value === undefined || value === null) return null;
+
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`Mint phase "${name}": invalid ${field} "${value}"`);
+    }
+    return time;
+}
+
+/**
+ * Loads and validates a collection's phase file (collection.mint_phases_path)
+ * Without a file there is a single open-ended public phase at the collection's pricing
+ * @param {Object} collection - collections row (phase usage is counted per collection)
+ * @returns {Object[]} - Phases sorted by start time
+ * @throws {Error} - On a malformed file or pricing, so the server refuses to start with a broken config
+ */
+function loadMintPhases(collection) {
+    const filePath = collection.mint_phases_path;
+    const collectionId = collection.id;
+
+    if (!filePath || !fs.existsSync(filePath)) {
+        return [{
+            collectionId,
+            name: 'public',
+            start: null,
+            end: null,
+            pricing: getCollectionPricing(collection),
+            allocation: null,
+            maxPerAddress: null,
+            maxPerSession: DEFAULT_MAX_PER_SESSION,
+            allowlist: null
+        }];
+    }
+
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(config.phases) || config.phases.length === 0) {
+        throw new Error(`${filePath}: "phases" must be a non-empty array`);
+    }
+
+    const phases = config.phases.map((phase) => {
+        if (!phase.name) {
+            throw new Error(`${filePath}: every phase needs a name`);
+        }
+        if (phase.priceZat !== undefined && (!Number.isInteger(phase.priceZat) || phase.priceZat < 0)) {
+            throw new Error(`Mint phase "${phase.name}": priceZat must be a non-negative integer`);
+        }
+
+        const start = parseTime(phase.start, 'start', phase.name);
+        let pricing;
+        try {
+            pricing = phase.pricing ? parsePricing(phase.pricing, start)
+                : phase.priceZat !== undefined ? fixedPricing(phase.priceZat)
+                : getCollectionPricing(collection, start);
+        } catch (err) {
+            throw new Error(`Mint phase "${phase.name}": ${err.message}`);
+        }
+
+        return {
+            collectionId,
+            name: phase.name,
+            start,
+            end: parseTime(phase.end, 'end', phase.name),
+            pricing,
+            allocation: parseLimit(phase.allocation, 'allocation', phase.name),
+            maxPerAddress: parseLimit(phase.maxPerAddress, 'maxPerAddress', phase.name),
+            maxPerSession: parseLimit(phase.maxPerSession, 'maxPerSession', phase.name) ?? DEFAULT_MAX_PER_SESSION,
+            allowlist: phase.allowlist ? loadAllowlist(path.resolve(path.dirname(filePath), phase.allowlist)) : null
+        };
+    });
+
+    return phases.sort((a, b) => (a.start ?? -Infinity) - (b.start ?? -Infinity));
+}
+
+/**
+ * Returns the phase open at `now`, or null between/after phases
+ */
+function getActivePhase(phases, now = Date.now()) {
+    return phases.find(p => (p.start === null || p.start <= now) && (p.end === null || now < p.end)) || null;
+}
+
+/**
+ * Returns the next phase that hasn't started yet, or null
+ */
+function getNextPhase(phases, now = Date.now()) {
+    return phases.find(p => p.start !== null && p.start > now) || null;
+}
+
+/**
+ * Number of NFTs sold or reserved in a phase of its collection (optionally for one buyer)
+ * @param {Object} phase - Phase from loadMintPhases
+ * @param {string} [column] - Limit the count to one buyer: recipient_address, client_ip or client_fingerprint
+ * @param {string} [value] - The buyer's value in that column
+ */
+function getPhaseUsage(db, phase, column, value) {
+    const params = [phase.collectionId, phase.name, ...COUNTED_STATUSES];
+    let filter = '';
+    if (column) {
+        filter = `AND ${column} = ?`;
+        params.push(value);
+    }
+
+    return db.prepare(`
+        SELECT COALESCE(SUM(quantity), 0) as count FROM sessions
+        WHERE collection_id = ? AND phase = ? AND status IN (${COUNTED_STATUSES.map(() => '?').join(', ')}) ${filter}
+    `).get(...params).count;
+}
+
+/**
+ * Checks a purchase against the phase rules
+ * Run inside the reservation transaction so concurrent requests can't both squeeze under a limit
+ * @param {Object} phase - Active phase
+ * @param {number} quantity - NFTs requested
+ * @param {string|null} recipientAddress - Buyer's address
+ * @param {string|null} allowlistToken - Token of the buyer's allowlist entry
+ * @param {Object} client - From client-limits.js getClientIdentity, for maxPerAddress on public phases
+ * @returns {string|null} - Reason the purchase is refused, or null if allowed
+ */
+function checkPhaseLimits(db, phase, quantity, recipientAddress, allowlistToken, client) {
+    if (quantity > phase.maxPerSession) {
+        return `Invalid quantity (must be 1-${phase.maxPerSession} during the ${phase.name} phase).`;
+    }
+    if (phase.allowlist && !recipientAddress) {
+        return `A recipient address is required during the ${phase.name} phase.`;
+    }
+    if (phase.allowlist && !isAllowlisted(phase.allowlist, recipientAddress, allowlistToken)) {
+        return `This address and allowlist token don't match an entry for the ${phase.name} phase.`;
+    }
+
+    if (phase.allocation !== null) {
+        const remaining = phase.allocation - getPhaseUsage(db, phase);
+        if (remaining < quantity) {
+            return `Only ${Math.max(remaining, 0)} NFTs left in the ${phase.name} phase.`;
+        }
+    }
+    if (phase.maxPerAddress !== null && phase.allowlist) {
+        const remaining = phase.maxPerAddress - getPhaseUsage(db, phase, 'recipient_address', recipientAddress);
+        if (remaining < quantity) {
+            return `This address can mint ${Math.max(remaining, 0)} more during the ${phase.name} phase.`;
+        }
+    } else if (phase.maxPerAddress !== null) {
+        const used = Math.max(
+            getPhaseUsage(db, phase, 'client_ip', client.ip),
+            getPhaseUsage(db, phase, 'client_fingerprint', client.fingerprint)
+        );
+        const remaining = phase.maxPerAddress - used;
+        if (remaining < quantity) {
+            return `You can mint ${Math.max(remaining, 0)} more during the ${phase.name} phase.`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Public view of a phase for /mint-progress
+ * priceZat is the unit price now, or when the phase opens if it hasn't yet
+ * @param {Object} [context] - { now, sold } as for pricing.js (sold matters on bonding curves)
+ */
+function describePhase(db, phase, { now = Date.now(), sold = 0 } = {}) {
+    if (!phase) return null;
+
+    return {
+        name: phase.name,
+        startsAt: phase.start === null ? null : new Date(phase.start).toISOString(),
+        endsAt: phase.end === null ? null : new Date(phase.end).toISOString(),
+        pricing: phase.pricing.strategy,
+        priceZat: getUnitPrice(phase.pricing, { now: Math.max(now, phase.start ?? now), sold }),
+        allocation: phase.allocation,
+        sold: getPhaseUsage(db, phase),
+        maxPerAddress: phase.maxPerAddress,
+        maxPerSession: phase.maxPerSession,
+        allowlistOnly: Boolean(phase.allowlist)
+    };
+}
+
+/**
+ * Appends a random token to every allowlist entry that lacks one, keeping comments and existing tokens
+ * @returns {number} - Tokens added
+ */
+function addAllowlistTokens(filePath) {
+    let added = 0;
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n').map(line => {
+        const commentAt = line.includes('#') ? line.indexOf('#') : line.length;
+        const fields = line.slice(0, commentAt).trim().split(/\s+/).filter(Boolean);
+        if (fields.length !== 1) return line;
+
+        added++;
+        const comment = line.slice(commentAt);
+        return `${fields[0]} ${crypto.randomBytes(TOKEN_BYTES).toString('hex')}${comment && ` ${comment}`}`;
+    });
+    fs.writeFileSync(filePath, lines.join('\n'));
+    return added;
+}
+
+if (require.main === module) {
+    const [command, filePath] = process.argv.slice(2);
+    if (command === 'tokens' && filePath) {
+        const added = addAllowlistTokens(filePath);
+        console.log(`🎟️  Added ${added} allowlist token${added === 1 ? '' : 's'} to ${filePath}`);
+    } else {
+        console.log('Usage: node mint-phases.js tokens <allowlist file>');
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    loadMintPhases,
+    getActivePhase,
+    getNextPhase,
+    checkPhaseLimits,
+    describePhase,
+    addAllowlistTokens
+};
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockDatabase, createMockSession } = require('./mock-database');
+const { loadMintPhases, checkPhaseLimits, addAllowlistTokens } = require('./mint-phases');
+
+const BUYER = 't1gU211G8Msqb6EYVtdnepjZsfonxd2RR8H';
+const TOKEN = 'a'.repeat(32);
+
+/**
+ * Writes a phases file (and its allowlist) to a temporary directory
+ * @returns {string} - Path of the phases file
+ */
+function writePhases(t, phases, allowlist = `${BUYER} ${TOKEN}\n`) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mint-phases-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    fs.writeFileSync(path.join(dir, 'allowlist.txt'), allowlist);
+    fs.writeFileSync(path.join(dir, 'phases.json'), JSON.stringify({ phases }));
+    return path.join(dir, 'phases.json');
+}
+
+function loadPhases(collection, filePath) {
+    return loadMintPhases({ ...collection, mint_phases_path: filePath });
+}
+
+test('allowlisted purchases need the token of the entry', t => {
+    const { db, collection } = createMockDatabase();
+    const [phase] = loadPhases(collection, writePhases(t, [
+        { name: 'allowlist', priceZat: 400000, maxPerAddress: 2, allowlist: 'allowlist.txt' }
+    ]));
+
+    assert.match(checkPhaseLimits(db, phase, 1, null, TOKEN), /recipient address is required/);
+    assert.match(checkPhaseLimits(db, phase, 1, BUYER, null), /don't match an entry/);
+    assert.match(checkPhaseLimits(db, phase, 1, BUYER, 'b'.repeat(32)), /don't match an entry/);
+    assert.match(checkPhaseLimits(db, phase, 1, 't1someoneelse', TOKEN), /don't match an entry/);
+    assert.equal(checkPhaseLimits(db, phase, 2, BUYER, TOKEN), null);
+
+    createMockSession(db, collection, { quantity: 1, phase: 'allowlist', recipient_address: BUYER });
+    assert.match(checkPhaseLimits(db, phase, 2, BUYER, TOKEN), /can mint 1 more/);
+    assert.equal(checkPhaseLimits(db, phase, 1, BUYER, TOKEN), null);
+});
+
+test('allocation counts every open and completed session of the phase', t => {
+    const { db, collection } = createMockDatabase();
+    const [phase] = loadPhases(collection, writePhases(t, [{ name: 'public', allocation: 3, maxPerSession: 2 }]));
+
+    assert.match(checkPhaseLimits(db, phase, 3, null, null), /must be 1-2/);
+    createMockSession(db, collection, { quantity: 2, phase: 'public', status: 'complete' });
+    createMockSession(db, collection, { quantity: 2, phase: 'public', status: 'expired' });
+    assert.match(checkPhaseLimits(db, phase, 2, null, null), /Only 1 NFTs left/);
+    assert.equal(checkPhaseLimits(db, phase, 1, null, null), null);
+});
+
+test('maxPerAddress on a public phase counts per client, whatever the recipient', t => {
+    const { db, collection } = createMockDatabase();
+    const [phase] = loadPhases(collection, writePhases(t, [{ name: 'public', maxPerAddress: 3 }]));
+    const client = { ip: '203.0.113.7', fingerprint: 'f'.repeat(32) };
+
+    createMockSession(db, collection, { quantity: 2, phase: 'public', recipient_address: 't1first', client_ip: client.ip, client_fingerprint: 'e'.repeat(32) });
+    assert.match(checkPhaseLimits(db, phase, 2, 't1fresh', null, client), /You can mint 1 more/);
+    assert.equal(checkPhaseLimits(db, phase, 1, 't1fresh', null, client), null);
+
+    createMockSession(db, collection, { quantity: 1, phase: 'public', client_ip: '198.51.100.1', client_fingerprint: client.fingerprint });
+    assert.match(checkPhaseLimits(db, phase, 3, null, null, { ...client, ip: '192.0.2.1' }), /You can mint 2 more/);
+    assert.match(checkPhaseLimits(db, phase, 2, null, null, client), /You can mint 1 more/);
+    assert.equal(checkPhaseLimits(db, phase, 1, null, null, { ip: '192.0.2.1', fingerprint: 'd'.repeat(32) }), null);
+});
+
+test('a collection Dutch auction without startsAt loads with or without a phases file', t => {
+    const { collection } = createMockDatabase();
+    const auction = { ...collection, pricing: JSON.stringify({
+        strategy: 'dutch-auction', startPriceZat: 2000000, floorPriceZat: 500000, dropZat: 100000, dropIntervalMinutes: 10
+    }) };
+    const createdAt = Date.parse(`${collection.created_at.replace(' ', 'T')}Z`);
+
+    assert.equal(loadPhases(auction, null)[0].pricing.start, createdAt);
+    const [open, timed] = loadPhases(auction, writePhases(t, [
+        { name: 'early', start: '2026-11-01T16:00:00Z', end: '2026-11-02T16:00:00Z' },
+        { name: 'late' }
+    ]));
+    assert.equal(timed.pricing.start, Date.parse('2026-11-01T16:00:00Z'));
+    assert.equal(open.pricing.start, createdAt);
+});
+
+test('phase files with unenforceable or malformed limits are refused', t => {
+    const { collection } = createMockDatabase();
+    const refuse = (phase, pattern, allowlist) =>
+        assert.throws(() => loadPhases(collection, writePhases(t, [{ name: 'team', ...phase }], allowlist)), pattern);
+
+    for (const field of ['allocation', 'maxPerAddress', 'maxPerSession']) {
+        for (const value of [0, -1, 1.5, '3']) {
+            refuse({ [field]: value, allowlist: 'allowlist.txt' }, new RegExp(`${field} must be a positive integer`));
+        }
+    }
+    refuse({ allowlist: 'allowlist.txt' }, /has no token/, `${BUYER}\n`);
+});
+
+test('tokens are added to allowlist entries without one', t => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'allowlist-')), 'allowlist.txt');
+    t.after(() => fs.rmSync(path.dirname(filePath), { recursive: true, force: true }));
+    fs.writeFileSync(filePath, `# Team\n${BUYER} ${TOKEN}\nt1second # advisor\nt1third\n`);
+
+    assert.equal(addAllowlistTokens(filePath), 2);
+    assert.equal(addAllowlistTokens(filePath), 0);
+
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    assert.equal(lines[0], '# Team');
+    assert.equal(lines[1], `${BUYER} ${TOKEN}`);
+    assert.match(lines[2], /^t1second [0-9a-f]{32} # advisor$/);
+    assert.match(lines[3], /^t1third [0-9a-f]{32}$/);
+});
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const { migrateUp } = require('./migrator');
+const { syncDefaultCollection } = require('./collections');
+
+// In-memory databases for the tests (*.test.js), the way mock-node.js stands in
+// for the chain: migrated to the current schema, with the default collection
+// and its NFTs ready to sell.
+const MOCK_CONFIG = {
+    maxSupply: 10,
+    pricePerNftZat: 500000,
+    paymentAddress: 't1gU211G8Msqb6EYVtdnepjZsfonxd2RR8H',
+    mintPhasesPath: null,
+    pricing: null
+};
+
+/**
+ * @param {Object} [options] - { config } overrides MOCK_CONFIG; one NFT per token up to maxSupply
+ * @returns {{db: Database, collection: Object}}
+ */
+function createMockDatabase({ config = {} } = {}) {
+    const db = new Database(':memory:');
+
+    const log = console.log;
+    console.log = () => {}; // migrateUp reports every migration
+    try {
+        migrateUp(db);
+    } finally {
+        console.log = log;
+    }
+
+    const collection = syncDefaultCollection(db, { ...MOCK_CONFIG, ...config });
+    const insert = db.prepare('INSERT INTO nfts (filename, cid, collection_id, token_number) VALUES (?, ?, ?, ?)');
+    for (let token = 1; token <= collection.max_supply; token++) {
+        insert.run(`${token}.png`, `cid-${token}`, collection.id, token);
+    }
+    return { db, collection };
+}
+
+/**
+ * Adds a session holding `quantity` reserved NFTs
+ * @param {Object} session - { quantity, status, ...any other sessions column }
+ * @returns {Object} - The sessions row
+ */
+function createMockSession(db, collection, { quantity = 1, status = 'pending', ...columns } = {}) {
+    const sessionId = columns.session_uuid || crypto.randomBytes(16).toString('hex');
+    const row = {
+        amount_due_zat: collection.price_per_nft_zat * quantity + crypto.randomInt(1, 1e6),
+        quote_zat: collection.price_per_nft_zat * quantity,
+        ...columns,
+        session_uuid: sessionId,
+        quantity,
+        status,
+        collection_id: collection.id
+    };
+    const names = Object.keys(row);
+    db.prepare(`INSERT INTO sessions (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`)
+        .run(...names.map(name => row[name]));
+
+    db.prepare(`
+        UPDATE nfts SET session_id = ?
+        WHERE id IN (SELECT id FROM nfts WHERE session_id IS NULL AND claimed = 0 AND collection_id = ? ORDER BY token_number LIMIT ?)
+    `).run(sessionId, collection.id, quantity);
+    return db.prepare('SELECT * FROM sessions WHERE session_uuid = ?').get(sessionId);
+}
+
+module.exports = {
+    MOCK_CONFIG,
+    createMockDatabase,
+    createMockSession
+};
@@ -0,0 +1,264 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { buildOpReturnScript } = require('./zinc-inscriptions');
+
+// Local JSON-RPC node that serves a scripted chain for offline testing.
+// Point the services at it with ZCASH_RPC_URL=http://localhost:18232
+const PORT = process.env.MOCK_NODE_PORT || 18232;
+const SCENARIO_PATH = process.argv[2] || process.env.MOCK_CHAIN_PATH;
+const BLOCK_INTERVAL_MS = parseInt(process.env.MOCK_BLOCK_INTERVAL_MS || '0');
+const MINER_ADDRESS = 't1MockMinerAddressXXXXXXXXXXXXXXXXX';
+
+const chain = [];
+const mempool = new Map();
+const transactions = new Map();
+let txCounter = 0;
+let blockNonce = 0;
+let loading = true;
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Expands a scripted output into the shape zcashd returns
+ * Accepts { address, amount } for payments, { hex } for OP_RETURN data
+ * (wrapped in an OP_RETURN script) or a raw { scriptPubKey }
+ */
+function buildVout(output, n) {
+    if (output.scriptPubKey) {
+        return { valueZat: Math.round(output.value * 1e8), n, ...output };
+    }
+
+    const value = output.amount || 0;
+    const scriptPubKey = output.hex
+        ? { type: 'nulldata', hex: buildOpReturnScript(Buffer.from(output.hex, 'hex')).toString('hex'), asm: `OP_RETURN ${output.hex}` }
+        : { type: 'pubkeyhash', addresses: [output.address], hex: '' };
+
+    return { value, valueZat: Math.round(value * 1e8), n, scriptPubKey };
+}
+
+function buildTx(spec) {
+    txCounter++;
+    const vout = (spec.vout || [spec]).map(buildVout);
+    const txid = spec.txid || sha256(`${txCounter}:${JSON.stringify(vout)}`);
+    return { txid, version: 4, vin: spec.vin || [], vout };
+}
+
+function coinbaseTx(height) {
+    return buildTx({ txid: sha256(`coinbase:${height}`), vout: [{ address: MINER_ADDRESS, amount: 3.125 }] });
+}
+
+function tipHeight() {
+    return chain.length ? chain[chain.length - 1].height : -1;
+}
+
+/**
+ * Appends a block containing the given transactions (plus a coinbase)
+ */
+function mineBlock(txs, startHeight) {
+    const prev = chain[chain.length - 1];
+    const height = prev ? prev.height + 1 : (startHeight || 0);
+    const tx = [coinbaseTx(height), ...txs];
+    blockNonce++;
+    const hash = sha256(`${height}:${prev ? prev.hash : ''}:${blockNonce}:${tx.map(t => t.txid).join(',')}`);
+
+    const block = {
+        hash,
+        height,
+        previousblockhash: prev ? prev.hash : undefined,
+        time: Math.floor(Date.now() / 1000),
+        tx
+    };
+
+    chain.push(block);
+    for (const t of tx) {
+        transactions.set(t.txid, { tx: t, blockhash: hash });
+        mempool.delete(t.txid);
+    }
+
+    if (!loading) {
+        console.log(`⛏️  Mined block ${height} (${tx.length} txs) ${hash.substring(0, 16)}...`);
+    }
+    return block;
+}
+
+function addToMempool(spec) {
+    const tx = buildTx(spec);
+    mempool.set(tx.txid, tx);
+    console.log(`💭 Added ${tx.txid.substring(0, 16)}... to mempool`);
+    return tx;
+}
+
+/**
+ * Scenario format: { startHeight, historyBlocks, blocks: [{ tx: [...] }], mempool: [...] }
+ * historyBlocks empty blocks are mined first so the monitors' 100 block lookback exists
+ */
+function loadScenario(scenarioPath) {
+    const scenario = JSON.parse(fs.readFileSync(scenarioPath, 'utf8'));
+    const startHeight = scenario.startHeight || 0;
+    const historyBlocks = scenario.historyBlocks ?? 100;
+
+    for (let i = 0; i < historyBlocks; i++) {
+        mineBlock([], startHeight);
+    }
+    for (const block of scenario.blocks || []) {
+        mineBlock((block.tx || []).map(buildTx), startHeight);
+    }
+    if (chain.length === 0) {
+        mineBlock([], startHeight);
+    }
+    for (const tx of scenario.mempool || []) {
+        addToMempool(tx);
+    }
+}
+
+function formatBlock(block, verbosity) {
+    if (verbosity === 0) {
+        return Buffer.from(JSON.stringify(block)).toString('hex');
+    }
+
+    const confirmations = tipHeight() - block.height + 1;
+    const tx = verbosity === 2 ? block.tx : block.tx.map(t => t.txid);
+    return { ...block, confirmations, tx };
+}
+
+function formatTx(txid) {
+    if (mempool.has(txid)) {
+        return mempool.get(txid);
+    }
+
+    const entry = transactions.get(txid);
+    if (!entry) return null;
+
+    const block = chain.find(b => b.hash === entry.blockhash);
+    return {
+        ...entry.tx,
+        blockhash: entry.blockhash,
+        height: block.height,
+        confirmations: tipHeight() - block.height + 1
+    };
+}
+
+class RpcError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+const methods = {
+    getblockcount: () => tipHeight(),
+
+    getblockhash: ([height]) => {
+        const block = chain.find(b => b.height === height);
+        if (!block) throw new RpcError(-8, 'Block height out of range');
+        return block.hash;
+    },
+
+    getblock: ([hashOrHeight, verbosity = 1]) => {
+        const block = chain.find(b => b.hash === hashOrHeight || b.height === Number(hashOrHeight));
+        if (!block) throw new RpcError(-5, 'Block not found');
+        return formatBlock(block, verbosity);
+    },
+
+    getrawmempool: () => Array.from(mempool.keys()),
+
+    getrawtransaction: ([txid, verbose = 0]) => {
+        const tx = formatTx(txid);
+        if (!tx) throw new RpcError(-5, 'No such mempool or blockchain transaction');
+        return verbose ? tx : Buffer.from(JSON.stringify(tx)).toString('hex');
+    }
+};
+
+const app = express();
+app.use(bodyParser.json());
+
+// JSON-RPC endpoint
+app.post('/', (req, res) => {
+    const { method, params = [], id = null } = req.body;
+
+    if (!methods[method]) {
+        return res.json({ result: null, error: { code: -32601, message: 'Method not found' }, id });
+    }
+
+    try {
+        res.json({ result: methods[method](params), error: null, id });
+    } catch (err) {
+        res.json({ result: null, error: { code: err.code || -1, message: err.message }, id });
+    }
+});
+
+// Control endpoints for scripting the chain during a test run
+app.get('/mock/state', (req, res) => {
+    res.json({
+        height: tipHeight(),
+        tip: chain.length ? chain[chain.length - 1].hash : null,
+        mempool: Array.from(mempool.keys())
+    });
+});
+
+// Body is a transaction ({ vout: [...] }) or a single output ({ address, amount })
+app.post('/mock/mempool', (req, res) => {
+    const tx = addToMempool(req.body);
+    res.json({ txid: tx.txid });
+});
+
+// Mines `count` blocks; the first one includes every mempool transaction
+app.post('/mock/mine', (req, res) => {
+    const count = (req.body && req.body.count) || 1;
+    const blocks = [];
+
+    for (let i = 0; i < count; i++) {
+        blocks.push(mineBlock(i === 0 ? Array.from(mempool.values()) : []));
+    }
+
+    res.json({ height: tipHeight(), hashes: blocks.map(b => b.hash) });
+});
+
+// Orphans the last `depth` blocks and mines `depth + 1` replacements.
+// Orphaned transactions are re-mined in the first replacement unless `drop` is set.
+app.post('/mock/reorg', (req, res) => {
+    const { depth = 1, drop = false } = req.body || {};
+    const orphaned = chain.splice(chain.length - depth, depth);
+
+    for (const block of orphaned) {
+        block.tx.forEach((t, i) => {
+            transactions.delete(t.txid);
+            if (i > 0 && !drop) mempool.set(t.txid, t); // Skip the coinbase
+        });
+    }
+
+    const blocks = [];
+    for (let i = 0; i <= depth; i++) {
+        blocks.push(mineBlock(i === 0 ? Array.from(mempool.values()) : []));
+    }
+
+    console.log(`🔀 Reorganized ${orphaned.length} blocks${drop ? ' (orphaned txs dropped)' : ''}`);
+    res.json({ height: tipHeight(), orphaned: orphaned.map(b => b.hash), hashes: blocks.map(b => b.hash) });
+});
+
+if (SCENARIO_PATH) {
+    console.log('📂 Loading scenario from:', path.resolve(SCENARIO_PATH));
+    loadScenario(SCENARIO_PATH);
+} else {
+    for (let i = 0; i < 101; i++) {
+        mineBlock([], 0);
+    }
+}
+loading = false;
+
+if (BLOCK_INTERVAL_MS > 0) {
+    setInterval(() => mineBlock(Array.from(mempool.values())), BLOCK_INTERVAL_MS);
+}
+
+app.listen(PORT, '127.0.0.1', () => {
+    console.log(`✅ Mock Zcash node running on http://localhost:${PORT}`);
+    console.log(`📊 Height: ${tipHeight()} • Mempool: ${mempool.size} txs`);
+    if (BLOCK_INTERVAL_MS > 0) {
+        console.log(`⛏️  Auto-mining every ${BLOCK_INTERVAL_MS / 1000}s`);
+    }
+});
@@ -0,0 +1,346 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeAttributes, setTokenTraits } = require('./token-metadata');
+const { buildZincPayload } = require('./zinc-inscriptions');
+
+// Loading, validating and diffing NFT records before import-nfts.js writes them.
+// Records come from JSON (an array of { id, filename, cid, mimeType, attributes })
+// or CSV (a header row with id, filename, cid and mimeType; every other column
+// is a trait type, and empty cells mean the token lacks that trait).
+//
+// An import is a plan of new, changed, unchanged and conflicting tokens. Tokens
+// that are claimed, inscribed or reserved by a session are never modified: a
+// record that would change one is a conflict and the whole import is refused.
+const CSV_COLUMNS = ['id', 'filename', 'cid', 'mimeType'];
+const CSV_IGNORED_COLUMNS = ['claimed'];
+const MIME_TYPE_PATTERN = /^[a-z]+\/[a-z0-9][\w.+-]*$/i;
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180: quoted cells may hold commas,
+ * newlines and "" escapes)
+ * @returns {Array<{line: number, cells: string[]}>} - Non-empty rows with their line number
+ */
+function parseCsv(text) {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        cells.push(cell);
+        if (cells.length > 1 || cells[0].trim() !== '') {
+            rows.push({ line: rowLine, cells });
+        }
+        cells = [];
+        cell = '';
+        rowLine = line;
+    };
+
+    for (let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            line++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error(`Unterminated quoted cell starting on line ${rowLine}`);
+    }
+    endRow();
+    return rows;
+}
+
+/**
+ * Turns CSV text into raw records
+ * @returns {Object[]} - { source, id, filename, cid, mimeType, attributes }
+ */
+function parseNftCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+
+    const columns = header.cells.map(name => name.trim());
+    const lowerColumns = columns.map(name => name.toLowerCase());
+    const missing = CSV_COLUMNS.filter(name => !lowerColumns.includes(name.toLowerCase()));
+    if (missing.length > 0) {
+        throw new Error(`CSV header is missing column(s): ${missing.join(', ')}`);
+    }
+
+    return rows.map(({ line, cells }) => {
+        const record = { source: `line ${line}`, attributes: {} };
+        cells.forEach((value, i) => {
+            const column = CSV_COLUMNS.find(name => name.toLowerCase() === lowerColumns[i]);
+            if (lowerColumns[i] === undefined) return;
+            if (column) {
+                record[column] = value.trim();
+            } else if (!CSV_IGNORED_COLUMNS.includes(lowerColumns[i])) {
+                record.attributes[columns[i]] = value;
+            }
+        });
+        if (cells.length !== columns.length) {
+            record.cellCountError = `has ${cells.length} cells, the header has ${columns.length}`;
+        }
+        return record;
+    });
+}
+
+/**
+ * Reads raw records from a .json or .csv file
+ */
+function loadNftFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    return path.extname(filePath).toLowerCase() === '.csv' ? parseNftCsv(text) : parseNftJson(text);
+}
+
+/**
+ * Parses a JSON array of records
+ */
+function parseNftJson(text) {
+    const records = JSON.parse(text);
+    if (!Array.isArray(records)) {
+        throw new Error('NFT JSON must be an array of records');
+    }
+    return records.map((record, i) => ({ ...record, source: `record ${i + 1}` }));
+}
+
+/**
+ * Checks every record and normalizes the valid ones
+ * Records numbered above the collection's max supply are skipped, not errors
+ * @param {Object[]} rawRecords - From loadNftFile / parseNftJson / parseNftCsv
+ * @param {Object} collection - collections row being imported into
+ * @returns {{records: Object[], skipped: number, errors: string[]}} - records are
+ *   { tokenNumber, filename, cid, mimeType, attributes } (attributes null when the record has none)
+ */
+function validateNftRecords(rawRecords, collection) {
+    const records = [];
+    const errors = [];
+    const byToken = new Map();
+    const byCid = new Map();
+    let skipped = 0;
+
+    for (const raw of rawRecords) {
+        const problems = [];
+        if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+            errors.push(`${raw && raw.source ? raw.source : 'record'}: must be an object`);
+            continue;
+        }
+        if (raw.cellCountError) problems.push(raw.cellCountError);
+
+        const tokenNumber = typeof raw.id === 'string' && /^\d+$/.test(raw.id) ? Number(raw.id) : raw.id;
+        if (!Number.isInteger(tokenNumber) || tokenNumber < 1) {
+            problems.push(`invalid id ${JSON.stringify(raw.id)} (must be a positive integer)`);
+        }
+
+        if (!raw.cid) {
+            problems.push('missing cid');
+        } else {
+            try {
+                buildZincPayload(String(raw.cid));
+            } catch (err) {
+                problems.push(err.message.replace(/\.$/, ''));
+            }
+        }
+
+        if (!raw.mimeType) {
+            problems.push('missing mimeType');
+        } else if (!MIME_TYPE_PATTERN.test(raw.mimeType)) {
+            problems.push(`invalid mimeType "${raw.mimeType}"`);
+        }
+
+        if (byToken.has(tokenNumber)) {
+            problems.push(`duplicate id, also on ${byToken.get(tokenNumber)}`);
+        } else if (Number.isInteger(tokenNumber)) {
+            byToken.set(tokenNumber, raw.source);
+        }
+
+        if (byCid.has(raw.cid)) {
+            problems.push(`duplicate cid ${raw.cid}, also on ${byCid.get(raw.cid)}`);
+        } else if (raw.cid) {
+            byCid.set(raw.cid, raw.source);
+        }
+
+        if (problems.length > 0) {
+            const label = Number.isInteger(tokenNumber) ? `${raw.source} (#${tokenNumber})` : raw.source;
+            errors.push(`${label}: ${problems.join('; ')}`);
+            continue;
+        }
+
+        if (tokenNumber > collection.max_supply) {
+            skipped++;
+            continue;
+        }
+
+        const attributes = normalizeAttributes(raw.attributes || raw.traits);
+        records.push({
+            tokenNumber,
+            filename: raw.filename ? String(raw.filename) : null,
+            cid: String(raw.cid),
+            mimeType: raw.mimeType,
+            attributes: attributes.length > 0 ? attributes : null
+        });
+    }
+
+    return { records, skipped, errors };
+}
+
+function traitKey(attributes) {
+    return attributes
+        .map(a => `${a.trait_type}=${a.value}`)
+        .sort()
+        .join('\n');
+}
+
+/**
+ * Compares validated records with the database
+ * @param {Object} collection - collections row being imported into
+ * @param {Object[]} records - From validateNftRecords
+ * @returns {{new: Object[], changed: Object[], unchanged: Object[], conflicts: Object[]}} -
+ *   changed and conflicts entries carry `changes` (field names) and `nft` (current row);
+ *   conflicts also carry `reason`
+ */
+function planImport(db, collection, records) {
+    const existing = new Map(db.prepare('SELECT * FROM nfts WHERE collection_id = ?').all(collection.id)
+        .map(nft => [nft.token_number, nft]));
+
+    const traitRows = db.prepare(`
+        SELECT t.nft_id, t.trait_type, t.value FROM nft_traits t
+        JOIN nfts n ON n.id = t.nft_id
+        WHERE n.collection_id = ?
+    `).all(collection.id);
+    const traitsByNft = new Map();
+    for (const row of traitRows) {
+        if (!traitsByNft.has(row.nft_id)) traitsByNft.set(row.nft_id, []);
+        traitsByNft.get(row.nft_id).push(row);
+    }
+
+    // Every token already holding a CID, so a record can't reuse one that stays taken
+    const cidOwners = new Map();
+    for (const row of db.prepare(`
+        SELECT n.cid, n.collection_id, n.token_number, c.slug FROM nfts n
+        JOIN collections c ON c.id = n.collection_id
+        WHERE n.cid IS NOT NULL
+    `).all()) {
+        if (!cidOwners.has(row.cid)) cidOwners.set(row.cid, []);
+        cidOwners.get(row.cid).push(row);
+    }
+    const importedTokens = new Set(records.map(r => r.tokenNumber));
+
+    const plan = { new: [], changed: [], unchanged: [], conflicts: [] };
+
+    for (const record of records) {
+        const takenBy = (cidOwners.get(record.cid) || []).find(owner => {
+            if (owner.collection_id !== collection.id) return true;
+            if (owner.token_number === record.tokenNumber) return false;
+            // Another token of this collection, unless this import gives it a different CID
+            return !importedTokens.has(owner.token_number);
+        });
+        if (takenBy) {
+            plan.conflicts.push({
+                ...record,
+                nft: existing.get(record.tokenNumber) || null,
+                changes: ['cid'],
+                reason: `cid is already used by ${takenBy.slug} #${takenBy.token_number}`
+            });
+            continue;
+        }
+
+        const nft = existing.get(record.tokenNumber);
+        if (!nft) {
+            plan.new.push(record);
+            continue;
+        }
+
+        const changes = ['filename', 'cid', 'mimeType'].filter(field => (nft[field] ?? null) !== record[field]);
+        if (record.attributes && traitKey(record.attributes) !== traitKey(traitsByNft.get(nft.id) || [])) {
+            changes.push('traits');
+        }
+
+        if (changes.length === 0) {
+            plan.unchanged.push({ ...record, nft });
+        } else if (nft.claimed || nft.inscriptionTxid || nft.session_id) {
+            const state = nft.inscriptionTxid ? 'inscribed' : nft.claimed ? 'claimed' : 'reserved';
+            plan.conflicts.push({ ...record, nft, changes, reason: `token is ${state}` });
+        } else {
+            plan.changed.push({ ...record, nft, changes });
+        }
+    }
+
+    return plan;
+}
+
+/**
+ * Writes a plan's new and changed tokens
+ * Re-plans inside the transaction so a token sold since the dry run is caught
+ * @param {Object[]} records - From validateNftRecords
+ * @returns {{plan: Object, withTraits: number}}
+ * @throws {Error} - If the plan has conflicts (nothing is written)
+ */
+function applyImport(db, collection, records) {
+    return db.transaction(() => {
+        const plan = planImport(db, collection, records);
+        if (plan.conflicts.length > 0) {
+            throw new Error(`${plan.conflicts.length} conflicting record(s) - nothing was imported.`);
+        }
+
+        const insert = db.prepare(`
+            INSERT INTO nfts (collection_id, token_number, filename, cid, mimeType, claimed) VALUES (?, ?, ?, ?, ?, 0)
+            RETURNING id
+        `);
+        // The WHERE clause is the last line of defence for sold tokens
+        const update = db.prepare(`
+            UPDATE nfts SET filename = ?, cid = ?, mimeType = ?
+            WHERE id = ? AND claimed = 0 AND inscriptionTxid IS NULL AND session_id IS NULL
+        `);
+
+        let withTraits = 0;
+        for (const record of plan.new) {
+            const { id } = insert.get(collection.id, record.tokenNumber, record.filename, record.cid, record.mimeType);
+            if (record.attributes) {
+                setTokenTraits(db, id, record.attributes);
+                withTraits++;
+            }
+        }
+        for (const record of plan.changed) {
+            if (update.run(record.filename, record.cid, record.mimeType, record.nft.id).changes !== 1) {
+                throw new Error(`#${record.tokenNumber} was claimed during the import - nothing was imported.`);
+            }
+            if (record.changes.includes('traits')) {
+                setTokenTraits(db, record.nft.id, record.attributes);
+                withTraits++;
+            }
+        }
+
+        return { plan, withTraits };
+    })();
+}
+
+module.exports = {
+    parseCsv,
+    parseNftCsv,
+    parseNftJson,
+    loadNftFile,
+    validateNftRecords,
+    planImport,
+    applyImport
+};
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bs58 = require('bs58');
+const { createMockDatabase, createMockSession } = require('./mock-database');
+const { parseCsv, parseNftCsv, validateNftRecords, planImport, applyImport } = require('./nft-import');
+
+/**
+ * A well-formed CIDv0 (sha2-256 multihash of 32 `byte`s)
+ */
+function cid(byte) {
+    return bs58.encode(Buffer.concat([Buffer.from([0x12, 0x20]), Buffer.alloc(32, byte)]));
+}
+
+test('CSV cells may be quoted, hold commas, newlines and escaped quotes', () => {
+    const text = '\uFEFFid,name\r\n1,"Dog, ""Good"""\r\n\r\n2,"two\nlines"\n3,plain';
+    assert.deepEqual(parseCsv(text), [
+        { line: 1, cells: ['id', 'name'] },
+        { line: 2, cells: ['1', 'Dog, "Good"'] },
+        { line: 4, cells: ['2', 'two\nlines'] },
+        { line: 6, cells: ['3', 'plain'] }
+    ]);
+    assert.throws(() => parseCsv('id,name\n1,"open'), /Unterminated quoted cell starting on line 2/);
+});
+
+test('CSV columns besides the required ones are traits', () => {
+    const records = parseNftCsv(`ID,filename,cid,mimeType,Hat,claimed\n1,1.png,${cid(1)},image/png,Crown,1\n2,2.png,${cid(2)},image/png\n`);
+    assert.deepEqual(records, [
+        { source: 'line 2', attributes: { Hat: 'Crown' }, id: '1', filename: '1.png', cid: cid(1), mimeType: 'image/png' },
+        {
+            source: 'line 3', attributes: {}, id: '2', filename: '2.png', cid: cid(2), mimeType: 'image/png',
+            cellCountError: 'has 4 cells, the header has 6'
+        }
+    ]);
+    assert.throws(() => parseNftCsv('id,filename\n1,1.png'), /missing column\(s\): cid, mimeType/);
+    assert.deepEqual(parseNftCsv(''), []);
+});
+
+test('invalid records are reported and tokens above the supply skipped', () => {
+    const { collection } = createMockDatabase();
+    const { records, skipped, errors } = validateNftRecords([
+        { source: 'record 1', id: 1, cid: cid(1), mimeType: 'image/png', attributes: [{ trait_type: 'Hat', value: 'Crown' }] },
+        { source: 'record 2', id: '2', cid: cid(1), mimeType: 'png' },
+        { source: 'record 3', id: 0, cid: 'not-a-cid', mimeType: 'image/png' },
+        { source: 'record 4', id: 1, cid: cid(4), mimeType: 'image/png' },
+        { source: 'record 5', id: collection.max_supply + 1, cid: cid(5), mimeType: 'image/png' }
+    ], collection);
+
+    assert.deepEqual(records, [
+        { tokenNumber: 1, filename: null, cid: cid(1), mimeType: 'image/png', attributes: [{ trait_type: 'Hat', value: 'Crown' }] }
+    ]);
+    assert.equal(skipped, 1);
+    assert.equal(errors.length, 3);
+    assert.match(errors[0], /^record 2 \(#2\): invalid mimeType "png"; duplicate cid/);
+    assert.match(errors[1], /^record 3 \(#0\): invalid id 0 .*; Invalid CID not-a-cid/);
+    assert.match(errors[2], /^record 4 \(#1\): duplicate id, also on record 1/);
+});
+
+test('imports are idempotent and never touch reserved tokens', () => {
+    const { db, collection } = createMockDatabase({ config: { maxSupply: 3 } });
+    db.prepare('DELETE FROM nfts').run();
+    const records = [1, 2, 3].map(n => ({ tokenNumber: n, filename: `${n}.png`, cid: cid(n), mimeType: 'image/png', attributes: null }));
+
+    assert.equal(applyImport(db, collection, records).plan.new.length, 3);
+    const again = planImport(db, collection, records);
+    assert.deepEqual([again.new.length, again.changed.length, again.unchanged.length, again.conflicts.length], [0, 0, 3, 0]);
+
+    createMockSession(db, collection, { quantity: 1 }); // Reserves token 1
+    const changed = records.map(r => ({ ...r, filename: `new-${r.filename}` }));
+    const plan = planImport(db, collection, changed);
+    assert.deepEqual(plan.changed.map(r => r.tokenNumber), [2, 3]);
+    assert.deepEqual(plan.conflicts.map(r => [r.tokenNumber, r.reason]), [[1, 'token is reserved']]);
+    assert.throws(() => applyImport(db, collection, changed), /1 conflicting record\(s\)/);
+    assert.equal(db.prepare('SELECT filename FROM nfts WHERE token_number = 2').get().filename, '2.png');
+
+    const reusedCid = [{ ...records[1], cid: cid(3) }];
+    assert.match(planImport(db, collection, reusedCid).conflicts[0].reason, /already used by zec-dogs #3/);
+});
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const bs58 = require('bs58');
+const { HDKey } = require('@scure/bip32');
+const { bech32, bech32m } = require('@scure/base');
+
+// Zcash mainnet transparent P2PKH prefix (t1...)
+const T_ADDR_PREFIX = Buffer.from([0x1C, 0xB8]);
+// Zcash mainnet transparent P2SH prefix (t3...)
+const T_SCRIPT_PREFIX = Buffer.from([0x1C, 0xBD]);
+
+// Unified addresses are far longer than the default bech32 limit of 90
+const UNIFIED_ADDRESS_MAX_LENGTH = 1000;
+
+// Wallets stop scanning an xpub's chain after this many unused addresses in a row
+// (BIP44 gap limit). Every session that expires unpaid leaves an unused address,
+// so the wallet holding the xpub needs a gap limit above the longest such run
+// (see getLongestUnusedRun) or it won't see payments to later addresses.
+// Indexes are never reused: a late payment to an expired session's address
+// would otherwise be credited to whoever got the address next.
+const DEFAULT_GAP_LIMIT = 20;
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest();
+}
+
+function hash160(data) {
+    return crypto.createHash('ripemd160').update(sha256(data)).digest();
+}
+
+/**
+ * Encodes a compressed public key as a transparent t1 address
+ * @param {Uint8Array} publicKey - 33 byte compressed secp256k1 key
+ * @returns {string} - Base58Check t1 address
+ */
+function encodeTransparentAddress(publicKey) {
+    const payload = Buffer.concat([T_ADDR_PREFIX, hash160(publicKey)]);
+    const checksum = sha256(sha256(payload)).subarray(0, 4);
+    return bs58.encode(Buffer.concat([payload, checksum]));
+}
+
+/**
+ * Derives the receive address for a payment session from an account xpub
+ * Uses the external chain (m/.../0/index) so the wallet that owns the xpub sees the funds
+ * @param {string} xpub - BIP32 extended public key
+ * @param {number} index - Non-hardened child index (sessions.address_index)
+ * @returns {string} - Transparent t1 address
+ */
+function deriveAddress(xpub, index) {
+    const child = HDKey.fromExtendedKey(xpub).deriveChild(0).deriveChild(index);
+    return encodeTransparentAddress(child.publicKey);
+}
+
+/**
+ * Next derivation index: one past the last issued address, so only sessions
+ * that got an address advance it. Call inside the session's transaction.
+ */
+function allocateAddressIndex(db) {
+    return db.prepare('SELECT COALESCE(MAX(address_index) + 1, 0) as next FROM sessions').get().next;
+}
+
+/**
+ * Longest run of consecutive derived addresses that never received a payment -
+ * the gap limit the xpub's wallet must exceed
+ * @returns {{longestUnusedRun: number, issued: number}}
+ */
+function getLongestUnusedRun(db) {
+    const addresses = db.prepare(`
+        SELECT s.address_index, s.payment_txid IS NOT NULL
+            OR EXISTS (SELECT 1 FROM incoming_payments p WHERE p.address = s.payment_address) as used
+        FROM sessions s
+        WHERE s.address_index IS NOT NULL
+        ORDER BY s.address_index
+    `).all();
+
+    let longestUnusedRun = 0;
+    let run = 0;
+    let previousIndex = -1;
+    for (const { address_index: index, used } of addresses) {
+        run += index - previousIndex - 1; // Indexes skipped before this counter existed are unused too
+        longestUnusedRun = Math.max(longestUnusedRun, run);
+        run = used ? 0 : run + 1;
+        longestUnusedRun = Math.max(longestUnusedRun, run);
+        previousIndex = index;
+    }
+    return { longestUnusedRun, issued: addresses.length };
+}
+
+function isValidTransparentAddress(address) {
+    let decoded;
+    try {
+        decoded = Buffer.from(bs58.decode(address));
+    } catch (err) {
+        return false;
+    }
+    if (decoded.length !== 26) return false;
+
+    const payload = decoded.subarray(0, 22);
+    const prefix = payload.subarray(0, 2);
+    if (!prefix.equals(T_ADDR_PREFIX) && !prefix.equals(T_SCRIPT_PREFIX)) return false;
+
+    return sha256(sha256(payload)).subarray(0, 4).equals(decoded.subarray(22));
+}
+
+function isValidSaplingAddress(address) {
+    try {
+        const { prefix, words } = bech32.decode(address);
+        return prefix === 'zs' && bech32.fromWords(words).length === 43;
+    } catch (err) {
+        return false;
+    }
+}
+
+function isValidUnifiedAddress(address) {
+    try {
+        return bech32m.decode(address, UNIFIED_ADDRESS_MAX_LENGTH).prefix === 'u';
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Checks that a string is a well-formed Zcash mainnet address (checksum included)
+ * Accepts transparent (t1/t3), Sapling (zs1) and unified (u1) addresses
+ * @param {string} address - Address supplied by a buyer
+ * @returns {boolean}
+ */
+function isValidZcashAddress(address) {
+    if (typeof address !== 'string') return false;
+    if (address.startsWith('t')) return isValidTransparentAddress(address);
+    if (address.startsWith('zs1')) return isValidSaplingAddress(address);
+    if (address.startsWith('u1')) return isValidUnifiedAddress(address);
+    return false;
+}
+
+/**
+ * Whether a valid address can receive a memo (Sapling or unified, not transparent)
+ */
+function isShieldedAddress(address) {
+    return isValidSaplingAddress(address) || isValidUnifiedAddress(address);
+}
+
+module.exports = {
+    DEFAULT_GAP_LIMIT,
+    encodeTransparentAddress,
+    deriveAddress,
+    allocateAddressIndex,
+    getLongestUnusedRun,
+    isValidZcashAddress,
+    isShieldedAddress
+};
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HDKey } = require('@scure/bip32');
+const { createMockDatabase, createMockSession } = require('./mock-database');
+const {
+    deriveAddress,
+    allocateAddressIndex,
+    getLongestUnusedRun,
+    isValidZcashAddress,
+    isShieldedAddress
+} = require('./payment-addresses');
+
+const XPUB = HDKey.fromMasterSeed(Buffer.alloc(32, 7)).derive("m/44'/133'/0'").publicExtendedKey;
+
+test('derived addresses are valid, distinct t1 addresses', () => {
+    const first = deriveAddress(XPUB, 0);
+
+    assert.ok(first.startsWith('t1'));
+    assert.ok(isValidZcashAddress(first));
+    assert.equal(deriveAddress(XPUB, 0), first);
+    assert.notEqual(deriveAddress(XPUB, 1), first);
+    assert.equal(isShieldedAddress(first), false);
+});
+
+test('address validation checks prefixes and checksums', () => {
+    const address = deriveAddress(XPUB, 0);
+    const corrupted = address.slice(0, -1) + (address.endsWith('a') ? 'b' : 'a');
+
+    assert.equal(isValidZcashAddress(corrupted), false);
+    assert.equal(isValidZcashAddress('zs1notbech32'), false);
+    assert.equal(isValidZcashAddress(null), false);
+    assert.equal(isValidZcashAddress('bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq'), false);
+});
+
+test('derivation indexes only advance when an address is issued', () => {
+    const { db, collection } = createMockDatabase();
+    assert.equal(allocateAddressIndex(db), 0);
+
+    createMockSession(db, collection); // Unique-amount session: no address
+    createMockSession(db, collection, { address_index: 0, payment_address: deriveAddress(XPUB, 0) });
+    createMockSession(db, collection);
+
+    assert.equal(allocateAddressIndex(db), 1);
+});
+
+test('the longest run of unpaid addresses is what the wallet gap limit must exceed', () => {
+    const { db, collection } = createMockDatabase();
+    const issue = (index, columns = {}) => createMockSession(db, collection, {
+        quantity: 0, address_index: index, payment_address: deriveAddress(XPUB, index), ...columns
+    });
+
+    assert.deepEqual(getLongestUnusedRun(db), { longestUnusedRun: 0, issued: 0 });
+
+    issue(0, { status: 'complete', payment_txid: 'aa'.repeat(32) });
+    issue(1, { status: 'expired' });
+    issue(2, { status: 'expired' });
+    issue(3, { status: 'expired' });
+    const latePaid = issue(4, { status: 'expired' });
+    db.prepare(`INSERT INTO incoming_payments (txid, vout, address, amount_zat, outcome) VALUES (?, 0, ?, 1, 'late')`)
+        .run('bb'.repeat(32), latePaid.payment_address);
+    issue(5, { status: 'expired' });
+    issue(6);
+
+    assert.deepEqual(getLongestUnusedRun(db), { longestUnusedRun: 3, issued: 7 });
+
+    // Indexes skipped by the old row-id scheme count as unused
+    issue(12);
+    assert.deepEqual(getLongestUnusedRun(db), { longestUnusedRun: 8, issued: 8 });
+});
@@ -0,0 +1,150 @@
+const { rollbackIncomingPayments } = require('./payment-ledger');
+const { forgetBlocksAbove } = require('./block-tracker');
+const { recordSessionEvent } = require('./session-events');
+const { revokeReceipt } = require('./receipts');
+
+// What happens to a paid session once its payment is in a block: it counts
+// confirmations (confirming), completes with its NFTs claimed at
+// REQUIRED_CONFIRMATIONS (complete), and goes back to payment_pending when a
+// chain reorganization orphans the block. payment-monitor.js finds the payments
+// and drives these steps.
+//
+// Sessions an operator fulfilled from the ledger (resolved_payment_id, see
+// payment-ledger.js) can't be matched by the scanner. After a reorg they wait in
+// 'confirming' without a block height until their ledger payment is mined again.
+const SCANNER = 'payment';
+
+/**
+ * Updates the confirmation count of every confirming session and
+ * fulfills the ones that reached `requiredConfirmations`
+ * @param {number} currentHeight - Current chain tip
+ * @param {number} requiredConfirmations - Blocks (including its own) a payment needs
+ */
+function updateConfirmations(db, currentHeight, requiredConfirmations) {
+    // Reorged operator fulfillments take the height their payment was mined at again
+    db.prepare(`
+        UPDATE sessions
+        SET payment_block_height = (SELECT block_height FROM incoming_payments WHERE id = sessions.resolved_payment_id)
+        WHERE status = 'confirming' AND payment_block_height IS NULL AND resolved_payment_id IS NOT NULL
+    `).run();
+
+    const confirming = db.prepare(`
+        SELECT session_uuid, quantity, payment_txid, payment_block_height, confirmations
+        FROM sessions
+        WHERE status = 'confirming' AND payment_block_height IS NOT NULL
+    `).all();
+
+    for (const session of confirming) {
+        const confirmations = currentHeight - session.payment_block_height + 1;
+
+        if (confirmations >= requiredConfirmations) {
+            console.log(`\n🎉 PAYMENT CONFIRMED (${confirmations}/${requiredConfirmations})`);
+            console.log(`   Txid: ${session.payment_txid}`);
+            fulfillOrder(db, { sessionId: session.session_uuid, quantity: session.quantity }, session.payment_txid, confirmations);
+        } else if (confirmations !== session.confirmations) {
+            db.prepare('UPDATE sessions SET confirmations = ? WHERE session_uuid = ?')
+                .run(confirmations, session.session_uuid);
+            recordSessionEvent(db, session.session_uuid, 'confirming');
+            console.log(`   ⏳ Session ${session.session_uuid}: ${confirmations}/${requiredConfirmations} confirmations`);
+        }
+    }
+}
+
+/**
+ * Claims a confirmed session's reserved NFTs (or fails it if they are gone)
+ * @param {Object} session - { sessionId, quantity }
+ */
+function fulfillOrder(db, session, txid, confirmations) {
+    try {
+        db.transaction(() => {
+            const nfts = db.prepare(`
+                SELECT n.cid FROM nfts n
+                JOIN collections c ON c.id = n.collection_id
+                WHERE n.session_id = ? AND n.claimed = 0 AND n.token_number <= c.max_supply
+            `).all(session.sessionId);
+
+            if (nfts.length < session.quantity) {
+                console.error(`❌ Not enough NFTs for session ${session.sessionId}`);
+                db.prepare('UPDATE nfts SET session_id = NULL WHERE session_id = ? AND claimed = 0')
+                    .run(session.sessionId);
+                db.prepare('UPDATE sessions SET status = ? WHERE session_uuid = ?')
+                    .run('failed', session.sessionId);
+                recordSessionEvent(db, session.sessionId, 'failed');
+                return;
+            }
+
+            const assignedCids = nfts.map(n => n.cid);
+            db.prepare(`
+                UPDATE sessions
+                SET status = ?, payment_txid = ?, assigned_cids = ?, confirmations = ?, completed_at = CURRENT_TIMESTAMP
+                WHERE session_uuid = ?
+            `).run('complete', txid, JSON.stringify(assignedCids), confirmations, session.sessionId);
+            db.prepare(`
+                UPDATE nfts
+                SET claimed = 1, owner_address = (SELECT recipient_address FROM sessions WHERE session_uuid = ?)
+                WHERE session_id = ? AND claimed = 0
+            `).run(session.sessionId, session.sessionId);
+            recordSessionEvent(db, session.sessionId, 'complete');
+
+            console.log(`   ✅ Order fulfilled: ${session.quantity} NFTs → Session ${session.sessionId}`);
+            console.log(`   📦 Assigned CIDs: ${assignedCids.join(', ').substring(0, 100)}...`);
+        })();
+    } catch (err) {
+        console.error(`❌ Fulfillment error: ${err.message}`);
+        console.error(err.stack);
+    }
+}
+
+/**
+ * Undoes every fulfillment (or pending confirmation) above the fork point.
+ * Sessions go back to payment_pending so the rescan (or mempool scan) picks the payment up again;
+ * operator fulfillments go back to confirming until their ledger payment is mined again.
+ * @param {number} forkHeight - Last block the stored chain and the node agree on
+ * @returns {number} - Sessions rolled back
+ */
+function rollbackToHeight(db, forkHeight) {
+    console.log(`\n⚠️  CHAIN REORGANIZATION - rolling back to block ${forkHeight}`);
+
+    return db.transaction(() => {
+        const orphaned = db.prepare(`
+            SELECT session_uuid, payment_txid, resolved_payment_id FROM sessions
+            WHERE status IN ('confirming', 'complete') AND payment_block_height > ?
+        `).all(forkHeight);
+
+        for (const session of orphaned) {
+            const status = session.resolved_payment_id ? 'confirming' : 'payment_pending';
+
+            db.prepare('UPDATE nfts SET claimed = 0, owner_address = NULL WHERE session_id = ?').run(session.session_uuid);
+            db.prepare(`
+                UPDATE sessions
+                SET status = ?,
+                    assigned_cids = NULL,
+                    payment_block_height = NULL,
+                    confirmations = 0,
+                    completed_at = NULL,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE session_uuid = ?
+            `).run(status, session.session_uuid);
+            recordSessionEvent(db, session.session_uuid, status);
+            revokeReceipt(db, session.session_uuid);
+
+            console.log(session.resolved_payment_id
+                ? `   ↩️  Session ${session.session_uuid} waits for ledger payment #${session.resolved_payment_id} to be mined again (txid ${session.payment_txid})`
+                : `   ↩️  Session ${session.session_uuid} reverted to PAYMENT_PENDING (txid ${session.payment_txid})`);
+        }
+
+        forgetBlocksAbove(db, SCANNER, forkHeight);
+        rollbackIncomingPayments(db, forkHeight);
+        db.prepare('UPDATE settings SET value = ? WHERE key = ?').run(forkHeight, 'last_scanned_payment_block');
+
+        console.log(`   ✅ Rolled back ${orphaned.length} orders - rescanning from block ${forkHeight + 1}`);
+        return orphaned.length;
+    })();
+}
+
+module.exports = {
+    SCANNER,
+    updateConfirmations,
+    fulfillOrder,
+    rollbackToHeight
+};
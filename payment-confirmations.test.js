@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockDatabase, createMockSession } = require('./mock-database');
+const { recordIncomingPayment } = require('./payment-ledger');
+const { recordBlock } = require('./block-tracker');
+const { SCANNER, updateConfirmations, fulfillOrder, rollbackToHeight } = require('./payment-confirmations');
+
+const REQUIRED_CONFIRMATIONS = 3;
+
+test.beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+});
+
+function getSession(db, session) {
+    return db.prepare('SELECT * FROM sessions WHERE session_uuid = ?').get(session.session_uuid);
+}
+
+function getNfts(db, session) {
+    return db.prepare('SELECT cid, claimed, owner_address FROM nfts WHERE session_id = ? ORDER BY token_number').all(session.session_uuid);
+}
+
+function getEvents(db, session) {
+    return db.prepare('SELECT status FROM session_events WHERE session_uuid = ? ORDER BY id').all(session.session_uuid).map(e => e.status);
+}
+
+/**
+ * A chain the payment scanner has followed up to `tip`, with a confirming
+ * payment for `session` at `height`
+ */
+function payAt(db, session, txid, height) {
+    db.prepare(`UPDATE sessions SET status = 'confirming', payment_txid = ?, payment_block_height = ? WHERE session_uuid = ?`)
+        .run(txid, height, session.session_uuid);
+    recordIncomingPayment(db, {
+        txid, vout: 0, address: 't1gU211G8Msqb6EYVtdnepjZsfonxd2RR8H', amountZat: session.amount_due_zat,
+        blockHeight: height, sessionId: session.session_uuid, outcome: 'matched'
+    });
+}
+
+function scanUpTo(db, tip) {
+    for (let height = 90; height <= tip; height++) {
+        recordBlock(db, SCANNER, { height, hash: `hash-${height}`, previousblockhash: `hash-${height - 1}` });
+    }
+    db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)').run('last_scanned_payment_block', tip);
+}
+
+test('a payment completes its session at the required confirmations', () => {
+    const { db, collection } = createMockDatabase();
+    const session = createMockSession(db, collection, { quantity: 2, recipient_address: 't1buyer' });
+    payAt(db, session, 'aa'.repeat(32), 100);
+
+    updateConfirmations(db, 101, REQUIRED_CONFIRMATIONS);
+    assert.equal(getSession(db, session).status, 'confirming');
+    assert.equal(getSession(db, session).confirmations, 2);
+
+    updateConfirmations(db, 102, REQUIRED_CONFIRMATIONS);
+    const completed = getSession(db, session);
+    assert.equal(completed.status, 'complete');
+    assert.equal(completed.confirmations, 3);
+    assert.deepEqual(JSON.parse(completed.assigned_cids), ['cid-1', 'cid-2']);
+    assert.deepEqual(getNfts(db, session), [
+        { cid: 'cid-1', claimed: 1, owner_address: 't1buyer' },
+        { cid: 'cid-2', claimed: 1, owner_address: 't1buyer' }
+    ]);
+    assert.deepEqual(getEvents(db, session), ['confirming', 'complete']);
+});
+
+test('a session whose NFTs were released fails instead of completing', () => {
+    const { db, collection } = createMockDatabase();
+    const session = createMockSession(db, collection, { quantity: 2 });
+    db.prepare('UPDATE nfts SET session_id = NULL WHERE cid = ?').run('cid-2');
+
+    fulfillOrder(db, { sessionId: session.session_uuid, quantity: 2 }, 'bb'.repeat(32), 3);
+
+    assert.equal(getSession(db, session).status, 'failed');
+    assert.deepEqual(getNfts(db, session), []);
+});
+
+test('a reorg reverts sessions paid above the fork point', () => {
+    const { db, collection } = createMockDatabase();
+    const kept = createMockSession(db, collection, { quantity: 1 });
+    const orphaned = createMockSession(db, collection, { quantity: 2 });
+    const confirming = createMockSession(db, collection, { quantity: 1 });
+    payAt(db, kept, '11'.repeat(32), 95);
+    payAt(db, orphaned, '22'.repeat(32), 100);
+    scanUpTo(db, 103);
+    updateConfirmations(db, 103, REQUIRED_CONFIRMATIONS);
+    payAt(db, confirming, '33'.repeat(32), 103);
+    db.prepare(`INSERT INTO receipts (session_uuid, payload, key_id, signature) VALUES (?, '{}', 'key', 'sig')`).run(orphaned.session_uuid);
+
+    assert.equal(rollbackToHeight(db, 99), 2);
+
+    assert.equal(getSession(db, kept).status, 'complete');
+    assert.ok(getNfts(db, kept).every(nft => nft.claimed === 1));
+
+    for (const session of [orphaned, confirming]) {
+        const reverted = getSession(db, session);
+        assert.equal(reverted.status, 'payment_pending');
+        assert.equal(reverted.assigned_cids, null);
+        assert.equal(reverted.payment_block_height, null);
+        assert.equal(reverted.confirmations, 0);
+        assert.equal(getEvents(db, session).at(-1), 'payment_pending');
+        // Still reserved, so the payment completes the same session once it is mined again
+        assert.equal(getNfts(db, session).length, session.quantity);
+        assert.ok(getNfts(db, session).every(nft => nft.claimed === 0 && nft.owner_address === null));
+    }
+
+    assert.equal(db.prepare('SELECT COUNT(*) as count FROM receipts').get().count, 0);
+    assert.deepEqual(db.prepare('SELECT txid, block_height FROM incoming_payments ORDER BY txid').all(), [
+        { txid: '11'.repeat(32), block_height: 95 },
+        { txid: '22'.repeat(32), block_height: null },
+        { txid: '33'.repeat(32), block_height: null }
+    ]);
+    assert.equal(db.prepare('SELECT MAX(height) as height FROM scanned_blocks WHERE scanner = ?').get(SCANNER).height, 99);
+    assert.equal(Number(db.prepare('SELECT value FROM settings WHERE key = ?').get('last_scanned_payment_block').value), 99);
+});
+
+test('a reverted payment completes again once it is mined on the new chain', () => {
+    const { db, collection } = createMockDatabase();
+    const session = createMockSession(db, collection, { quantity: 1 });
+    payAt(db, session, '44'.repeat(32), 100);
+    scanUpTo(db, 102);
+    updateConfirmations(db, 102, REQUIRED_CONFIRMATIONS);
+    rollbackToHeight(db, 99);
+
+    payAt(db, session, '44'.repeat(32), 101);
+    updateConfirmations(db, 103, REQUIRED_CONFIRMATIONS);
+
+    assert.equal(getSession(db, session).status, 'complete');
+    assert.deepEqual(getEvents(db, session), ['complete', 'payment_pending', 'complete']);
+});
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const { voutZatoshis } = require('./zatoshis');
+const { recordSessionEvent } = require('./session-events');
+
+// Every output paid to us is recorded in incoming_payments with how it matched.
+// Outcomes:
+//   matched   - paid a pending session
+//   late      - paid a session that already expired (or failed)
+//   partial   - paid a session's address, but less than the price
+//   duplicate - paid a session that was already paid by another transaction
+//   unmatched - reached a collection's payment address with an amount no session expects
+// Anything but 'matched' stays flagged until an operator fulfills or refunds it.
+//
+// A fulfilled payment gets a completed session of its own (resolved_payment_id).
+// Only payments with the required confirmations can be fulfilled. If a reorg
+// orphans the block later, the session waits in 'confirming' for the payment to
+// be mined again, and is confirmed from the ledger's block height. If the payment
+// never returns, the session is released and the payment is flagged again.
+const FLAGGED_OUTCOMES = ['late', 'partial', 'duplicate', 'unmatched'];
+
+// How long a fulfilled session waits for its reorged payment to be mined again
+const DROPPED_FULFILLMENT_HOURS = 24;
+
+/**
+ * Records an output, or updates it when it is seen again (mempool → block, rescans).
+ * Resolved rows keep their outcome.
+ * @param {Object} payment - { txid, vout, address, amountZat, blockHeight, sessionId, outcome }
+ */
+function recordIncomingPayment(db, payment) {
+    db.prepare(`
+        INSERT INTO incoming_payments (txid, vout, address, amount_zat, block_height, session_uuid, outcome)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (txid, vout) DO UPDATE SET
+            block_height = COALESCE(excluded.block_height, block_height),
+            session_uuid = CASE WHEN resolution IS NULL THEN excluded.session_uuid ELSE session_uuid END,
+            outcome = CASE WHEN resolution IS NULL THEN excluded.outcome ELSE outcome END
+    `).run(
+        payment.txid,
+        payment.vout,
+        payment.address || null,
+        payment.amountZat,
+        payment.blockHeight ?? null,
+        payment.sessionId || null,
+        payment.outcome
+    );
+
+    if (payment.outcome !== 'matched') {
+        console.log(`   🚩 Flagged ${payment.outcome.toUpperCase()} payment ${payment.txid}:${payment.vout}`);
+    }
+}
+
+/**
+ * Amount a new session must pay: its price plus the next session id as a unique
+ * suffix. Prices differ between sessions (quantity, Dutch auctions, bonding
+ * curves), so price + id can equal an earlier session's amount - the suffix then
+ * moves up to the next amount no session uses. Call inside the session's transaction.
+ * @param {number} priceZat - Quoted price of the session
+ * @returns {number} - Zatoshis, unique among sessions.amount_due_zat
+ */
+function allocateUniqueAmount(db, priceZat) {
+    const seqResult = db.prepare("SELECT seq FROM sqlite_sequence WHERE name = 'sessions'").get();
+    const taken = db.prepare('SELECT 1 FROM sessions WHERE amount_due_zat = ?');
+
+    let amount = priceZat + (seqResult ? seqResult.seq : 0) + 1;
+    while (taken.get(amount)) {
+        amount++;
+    }
+    return amount;
+}
+
+/**
+ * Works out why an output that didn't match a pending session reached us
+ * @param {Object} vout - Transaction output
+ * @returns {{outcome: string, sessionId: string|null}|null} - null if the output isn't ours
+ */
+function classifyUnmatchedOutput(db, vout) {
+    const addresses = vout.scriptPubKey?.addresses || [];
+    let session = null;
+
+    for (const address of addresses) {
+        session = db.prepare('SELECT session_uuid, status FROM sessions WHERE payment_address = ?').get(address);
+        if (session) break;
+    }
+
+    const collectionAddress = session ? null : addresses.find(address =>
+        db.prepare('SELECT 1 FROM collections WHERE payment_address = ?').get(address));
+    if (collectionAddress) {
+        session = db.prepare(`
+            SELECT session_uuid, status FROM sessions
+            WHERE amount_due_zat = ? AND payment_address IS NULL
+            AND collection_id IN (SELECT id FROM collections WHERE payment_address = ?)
+        `).get(voutZatoshis(vout), collectionAddress);
+        if (!session) return { outcome: 'unmatched', sessionId: null };
+    }
+
+    if (!session) return null;
+
+    // Still open → paid too little; already paid → paid twice; expired/failed → paid too late
+    const outcomes = { pending: 'partial', payment_pending: 'partial', confirming: 'duplicate', complete: 'duplicate' };
+    return { outcome: outcomes[session.status] || 'late', sessionId: session.session_uuid };
+}
+
+/**
+ * Clears block heights above a fork point after a chain reorganization
+ */
+function rollbackIncomingPayments(db, forkHeight) {
+    db.prepare('UPDATE incoming_payments SET block_height = NULL WHERE block_height > ?').run(forkHeight);
+}
+
+/**
+ * Lists payments waiting for an operator decision
+ */
+function listFlaggedPayments(db) {
+    return db.prepare(`
+        SELECT * FROM incoming_payments
+        WHERE outcome IN (${FLAGGED_OUTCOMES.map(() => '?').join(', ')})
+        AND resolution IS NULL
+        ORDER BY id
+    `).all(...FLAGGED_OUTCOMES);
+}
+
+function getFlaggedPayment(db, paymentId) {
+    const payment = db.prepare('SELECT * FROM incoming_payments WHERE id = ?').get(paymentId);
+
+    if (!payment) {
+        throw new Error(`Payment ${paymentId} not found.`);
+    }
+    if (!FLAGGED_OUTCOMES.includes(payment.outcome)) {
+        throw new Error(`Payment ${paymentId} was matched to a session - nothing to resolve.`);
+    }
+    if (payment.resolution) {
+        throw new Error(`Payment ${paymentId} was already ${payment.resolution}.`);
+    }
+    return payment;
+}
+
+/**
+ * Fulfills a flagged payment against fresh NFTs by creating a completed session for it
+ * Confirmations count up to the payment scanner's last scanned block
+ * @param {number} paymentId - incoming_payments.id
+ * @param {number} quantity - Number of NFTs to assign
+ * @param {Object} collection - collections row to assign from (price and supply)
+ * @param {number} requiredConfirmations - As for session payments (config.requiredConfirmations)
+ * @returns {{sessionId: string, assignedCids: string[]}}
+ * @throws {Error} - If the payment is still in the mempool or not confirmed enough
+ */
+function fulfillIncomingPayment(db, paymentId, quantity, collection, requiredConfirmations) {
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new Error('Quantity must be a positive integer.');
+    }
+
+    return db.transaction(() => {
+        const payment = getFlaggedPayment(db, paymentId);
+
+        if (payment.block_height === null) {
+            throw new Error(`Payment ${paymentId} is not in a block yet - wait for ${requiredConfirmations} confirmations.`);
+        }
+        const lastScanned = db.prepare('SELECT value FROM settings WHERE key = ?').get('last_scanned_payment_block');
+        const confirmations = lastScanned ? parseInt(lastScanned.value) - payment.block_height + 1 : 0;
+        if (confirmations < requiredConfirmations) {
+            throw new Error(`Payment ${paymentId} has ${Math.max(confirmations, 0)}/${requiredConfirmations} confirmations - wait until it is confirmed.`);
+        }
+
+        const availableCount = db.prepare(`
+            SELECT COUNT(*) as count FROM nfts
+            WHERE claimed = 0 AND session_id IS NULL AND withheld = 0
+            AND collection_id = ? AND token_number <= ?
+        `).get(collection.id, collection.max_supply).count;
+
+        if (availableCount < quantity) {
+            throw new Error(`Only ${availableCount} NFTs remaining. Cannot assign ${quantity}.`);
+        }
+
+        const sessionId = crypto.randomBytes(16).toString('hex');
+
+        db.prepare(`
+            INSERT INTO sessions (session_uuid, amount_due_zat, quantity, status, collection_id, payment_txid, payment_block_height, confirmations, resolved_payment_id)
+            VALUES (?, ?, ?, 'pending', ?, ?, ?, ?, ?)
+        `).run(sessionId, allocateUniqueAmount(db, collection.price_per_nft_zat * quantity), quantity, collection.id, payment.txid, payment.block_height, confirmations, payment.id);
+
+        db.prepare(`
+            UPDATE nfts SET session_id = ?, claimed = 1
+            WHERE id IN (
+                SELECT id FROM nfts
+                WHERE claimed = 0 AND session_id IS NULL AND withheld = 0
+                AND collection_id = ? AND token_number <= ?
+                ORDER BY RANDOM()
+                LIMIT ?
+            )
+        `).run(sessionId, collection.id, collection.max_supply, quantity);
+
+        const assignedCids = db.prepare('SELECT cid FROM nfts WHERE session_id = ?').all(sessionId).map(n => n.cid);
+        db.prepare(`UPDATE sessions SET status = 'complete', assigned_cids = ?, completed_at = CURRENT_TIMESTAMP WHERE session_uuid = ?`)
+            .run(JSON.stringify(assignedCids), sessionId);
+
+        db.prepare(`
+            UPDATE incoming_payments
+            SET resolution = 'fulfilled', resolved_session = ?, resolved_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(sessionId, paymentId);
+
+        return { sessionId, assignedCids };
+    })();
+}
+
+/**
+ * Gives up on fulfilled sessions whose payment a reorg dropped and that wasn't
+ * mined again within DROPPED_FULFILLMENT_HOURS: releases their NFTs, expires
+ * them and flags the payment again for the operator
+ * @returns {number} - Sessions released
+ */
+function releaseDroppedFulfillments(db) {
+    const dropped = db.prepare(`
+        SELECT session_uuid, resolved_payment_id FROM sessions
+        WHERE status = 'confirming' AND resolved_payment_id IS NOT NULL AND payment_block_height IS NULL
+        AND datetime(updated_at, '+${DROPPED_FULFILLMENT_HOURS} hours') < datetime('now')
+    `).all();
+
+    for (const session of dropped) {
+        db.prepare('UPDATE nfts SET session_id = NULL WHERE session_id = ? AND claimed = 0').run(session.session_uuid);
+        db.prepare(`UPDATE sessions SET status = 'expired', updated_at = CURRENT_TIMESTAMP WHERE session_uuid = ?`)
+            .run(session.session_uuid);
+        recordSessionEvent(db, session.session_uuid, 'expired');
+        db.prepare(`
+            UPDATE incoming_payments
+            SET resolution = NULL, resolved_session = NULL, resolved_at = NULL
+            WHERE id = ?
+        `).run(session.resolved_payment_id);
+
+        console.log(`   🚩 Payment #${session.resolved_payment_id} was not mined again after a reorg - session ${session.session_uuid} released, payment flagged again`);
+    }
+    return dropped.length;
+}
+
+/**
+ * Marks a flagged payment as refunded
+ * @param {number} paymentId - incoming_payments.id
+ * @param {string} refundTxid - Transaction that sent the funds back
+ */
+function refundIncomingPayment(db, paymentId, refundTxid) {
+    if (!/^[0-9a-f]{64}$/i.test(refundTxid || '')) {
+        throw new Error('Refund txid must be 64 hex characters.');
+    }
+
+    db.transaction(() => {
+        getFlaggedPayment(db, paymentId);
+        db.prepare(`
+            UPDATE incoming_payments
+            SET resolution = 'refunded', refund_txid = ?, resolved_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(refundTxid.toLowerCase(), paymentId);
+    })();
+}
+
+module.exports = {
+    FLAGGED_OUTCOMES,
+    allocateUniqueAmount,
+    classifyUnmatchedOutput,
+    recordIncomingPayment,
+    rollbackIncomingPayments,
+    listFlaggedPayments,
+    fulfillIncomingPayment,
+    releaseDroppedFulfillments,
+    refundIncomingPayment
+};
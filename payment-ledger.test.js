@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockDatabase, createMockSession, MOCK_CONFIG } = require('./mock-database');
+const {
+    allocateUniqueAmount,
+    classifyUnmatchedOutput,
+    recordIncomingPayment,
+    listFlaggedPayments,
+    fulfillIncomingPayment,
+    releaseDroppedFulfillments,
+    refundIncomingPayment
+} = require('./payment-ledger');
+const { updateConfirmations, rollbackToHeight } = require('./payment-confirmations');
+
+const REQUIRED_CONFIRMATIONS = 3;
+const TXID = 'ab'.repeat(32);
+
+test.beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+});
+
+function output(address, valueZat) {
+    return { n: 0, valueZat, scriptPubKey: { addresses: [address] } };
+}
+
+function setLastScanned(db, height) {
+    db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)').run('last_scanned_payment_block', height);
+}
+
+/**
+ * An unmatched payment of one NFT's price to the collection address
+ * @returns {number} - incoming_payments.id
+ */
+function flagPayment(db, blockHeight) {
+    recordIncomingPayment(db, {
+        txid: TXID, vout: 0, address: MOCK_CONFIG.paymentAddress, amountZat: MOCK_CONFIG.pricePerNftZat,
+        blockHeight, sessionId: null, outcome: 'unmatched'
+    });
+    return db.prepare('SELECT id FROM incoming_payments WHERE txid = ?').get(TXID).id;
+}
+
+test('unique amounts skip amounts earlier sessions already use', () => {
+    const { db, collection } = createMockDatabase();
+
+    // Session 1 paid 1000 + 1; a session quoted 999 would get 999 + 2 = 1001 as well
+    createMockSession(db, collection, { amount_due_zat: 1001 });
+    assert.equal(allocateUniqueAmount(db, 1000), 1002);
+    assert.equal(allocateUniqueAmount(db, 999), 1002);
+
+    createMockSession(db, collection, { amount_due_zat: 1002 });
+    createMockSession(db, collection, { amount_due_zat: 1004 });
+    assert.equal(allocateUniqueAmount(db, 999), 1003);
+    assert.equal(allocateUniqueAmount(db, 1000), 1005);
+});
+
+test('outputs are classified by the session they were meant for', () => {
+    const { db, collection } = createMockDatabase();
+    const byAmount = createMockSession(db, collection, { status: 'expired' });
+    const byAddress = createMockSession(db, collection, { status: 'pending', payment_address: 't1derived' });
+    const paid = createMockSession(db, collection, { status: 'complete', payment_address: 't1paid' });
+
+    assert.deepEqual(classifyUnmatchedOutput(db, output(MOCK_CONFIG.paymentAddress, byAmount.amount_due_zat)),
+        { outcome: 'late', sessionId: byAmount.session_uuid });
+    assert.deepEqual(classifyUnmatchedOutput(db, output('t1derived', 1)),
+        { outcome: 'partial', sessionId: byAddress.session_uuid });
+    assert.deepEqual(classifyUnmatchedOutput(db, output('t1paid', paid.quote_zat)),
+        { outcome: 'duplicate', sessionId: paid.session_uuid });
+    assert.deepEqual(classifyUnmatchedOutput(db, output(MOCK_CONFIG.paymentAddress, 123)),
+        { outcome: 'unmatched', sessionId: null });
+    assert.equal(classifyUnmatchedOutput(db, output('t1someoneelse', 123)), null);
+});
+
+test('a payment seen again keeps its resolution and gains its block height', () => {
+    const { db } = createMockDatabase();
+    const paymentId = flagPayment(db, null);
+    assert.equal(listFlaggedPayments(db).length, 1);
+
+    refundIncomingPayment(db, paymentId, 'cd'.repeat(32));
+    recordIncomingPayment(db, { txid: TXID, vout: 0, amountZat: 1, blockHeight: 50, outcome: 'late' });
+
+    const payment = db.prepare('SELECT * FROM incoming_payments WHERE id = ?').get(paymentId);
+    assert.equal(payment.outcome, 'unmatched');
+    assert.equal(payment.resolution, 'refunded');
+    assert.equal(payment.block_height, 50);
+    assert.equal(listFlaggedPayments(db).length, 0);
+    assert.throws(() => refundIncomingPayment(db, paymentId, 'cd'.repeat(32)), /already refunded/);
+});
+
+test('payments are only fulfilled once they have the required confirmations', () => {
+    const { db, collection } = createMockDatabase();
+    setLastScanned(db, 101);
+
+    const paymentId = flagPayment(db, null);
+    assert.throws(() => fulfillIncomingPayment(db, paymentId, 1, collection, REQUIRED_CONFIRMATIONS), /not in a block yet/);
+
+    flagPayment(db, 100);
+    assert.throws(() => fulfillIncomingPayment(db, paymentId, 1, collection, REQUIRED_CONFIRMATIONS), /2\/3 confirmations/);
+    assert.equal(db.prepare('SELECT COUNT(*) as count FROM sessions').get().count, 0);
+
+    setLastScanned(db, 102);
+    const { sessionId, assignedCids } = fulfillIncomingPayment(db, paymentId, 2, collection, REQUIRED_CONFIRMATIONS);
+
+    const session = db.prepare('SELECT * FROM sessions WHERE session_uuid = ?').get(sessionId);
+    assert.equal(session.status, 'complete');
+    assert.equal(session.payment_block_height, 100);
+    assert.equal(session.confirmations, 3);
+    assert.equal(session.resolved_payment_id, paymentId);
+    assert.deepEqual(JSON.parse(session.assigned_cids), assignedCids);
+    assert.equal(assignedCids.length, 2);
+
+    const payment = db.prepare('SELECT * FROM incoming_payments WHERE id = ?').get(paymentId);
+    assert.equal(payment.resolution, 'fulfilled');
+    assert.equal(payment.resolved_session, sessionId);
+    assert.throws(() => fulfillIncomingPayment(db, paymentId, 1, collection, REQUIRED_CONFIRMATIONS), /already fulfilled/);
+});
+
+test('a reorged fulfillment completes again when its payment is mined again', () => {
+    const { db, collection } = createMockDatabase();
+    setLastScanned(db, 102);
+    const paymentId = flagPayment(db, 100);
+    const { sessionId } = fulfillIncomingPayment(db, paymentId, 1, collection, REQUIRED_CONFIRMATIONS);
+    const getSession = () => db.prepare('SELECT * FROM sessions WHERE session_uuid = ?').get(sessionId);
+
+    rollbackToHeight(db, 99);
+    assert.equal(getSession().status, 'confirming');
+    assert.equal(getSession().payment_block_height, null);
+    assert.equal(db.prepare('SELECT COUNT(*) as count FROM nfts WHERE session_id = ? AND claimed = 0').get(sessionId).count, 1);
+
+    // Not mined again yet: nothing to count
+    updateConfirmations(db, 102, REQUIRED_CONFIRMATIONS);
+    assert.equal(getSession().status, 'confirming');
+
+    flagPayment(db, 101); // The rescan records it in its new block
+    updateConfirmations(db, 102, REQUIRED_CONFIRMATIONS);
+    assert.equal(getSession().payment_block_height, 101);
+    assert.equal(getSession().confirmations, 2);
+
+    updateConfirmations(db, 103, REQUIRED_CONFIRMATIONS);
+    assert.equal(getSession().status, 'complete');
+    assert.equal(db.prepare('SELECT resolution FROM incoming_payments WHERE id = ?').get(paymentId).resolution, 'fulfilled');
+});
+
+test('a fulfillment whose payment never returns is released and flagged again', () => {
+    const { db, collection } = createMockDatabase();
+    setLastScanned(db, 102);
+    const paymentId = flagPayment(db, 100);
+    const { sessionId } = fulfillIncomingPayment(db, paymentId, 1, collection, REQUIRED_CONFIRMATIONS);
+    rollbackToHeight(db, 99);
+
+    assert.equal(releaseDroppedFulfillments(db), 0); // Still within the grace period
+
+    db.prepare(`UPDATE sessions SET updated_at = datetime('now', '-25 hours') WHERE session_uuid = ?`).run(sessionId);
+    assert.equal(releaseDroppedFulfillments(db), 1);
+
+    assert.equal(db.prepare('SELECT status FROM sessions WHERE session_uuid = ?').get(sessionId).status, 'expired');
+    assert.equal(db.prepare('SELECT COUNT(*) as count FROM nfts WHERE session_id = ?').get(sessionId).count, 0);
+    assert.deepEqual(listFlaggedPayments(db).map(p => [p.id, p.resolution, p.resolved_session]), [[paymentId, null, null]]);
+});
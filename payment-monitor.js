@@ -1,194 +1,43 @@
-const axios = require('axios');
 const Database = require('better-sqlite3');
-const DB_PATH = process.env.DATABASE_PATH || 'nfts.db';
-const db = new Database(DB_PATH);
-
-const PAYMENT_ADDRESS = 't1gU211G8Msqb6EYVtdnepjZsfonxd2RR8H';
-const MAX_SUPPLY = 5000;
-const SCAN_INTERVAL_MS = 120000; // 2 minutes
-const BLOCK_PAUSE_MS = 250;
-
-// 5 GETBLOCK FREE TIER APIS - READY TO USE!
-const API_ENDPOINTS = [
-    {
-        name: 'zec-c532b',
-        url: 'https://go.getblock.io/c532b1037c924be386735ccbcd2f3afa',
-        dailyLimit: 50000,
-        cuUsedToday: 0,
-        lastReset: new Date().toDateString(),
-        enabled: true,
-        failCount: 0
-    },
-    {
-        name: 'zec-cacd8',
-        url: 'https://go.getblock.io/cacd8cc301134aa6b4815883955b230d',
-        dailyLimit: 50000,
-        cuUsedToday: 0,
-        lastReset: new Date().toDateString(),
-        enabled: true,
-        failCount: 0
-    },
-    {
-        name: 'zec-3f3c1',
-        url: 'https://go.getblock.io/3f3c14fa367842f988b5d10b912bf275',
-        dailyLimit: 50000,
-        cuUsedToday: 0,
-        lastReset: new Date().toDateString(),
-        enabled: true,
-        failCount: 0
-    },
-    {
-        name: 'zec-7f77d',
-        url: 'https://go.getblock.io/7f77d2bce9c14f97abe6f1b0c3b7c444',
-        dailyLimit: 50000,
-        cuUsedToday: 0,
-        lastReset: new Date().toDateString(),
-        enabled: true,
-        failCount: 0
-    },
-    {
-        name: 'zec-42851',
-        url: 'https://go.getblock.io/42851929b20140a2b6f4f3f70e99d323',
-        dailyLimit: 50000,
-        cuUsedToday: 0,
-        lastReset: new Date().toDateString(),
-        enabled: true,
-        failCount: 0
-    }
-];
+const { rpcCall, getTotalAvailableCapacity, DAILY_CU_LIMIT, logEndpoints } = require('./chain-client');
+const { voutZatoshis, formatZec } = require('./zatoshis');
+const { recordIncomingPayment, classifyUnmatchedOutput } = require('./payment-ledger');
+const { recordBlock, isReorg, findForkPoint, recordScanProgress } = require('./block-tracker');
+const { SCANNER, updateConfirmations, rollbackToHeight } = require('./payment-confirmations');
+const { recordSessionEvent } = require('./session-events');
+const { syncDefaultCollection, listCollections } = require('./collections');
+const { getConfig } = require('./config');
+const { requireCurrentSchema } = require('./migrator');
+const metrics = require('./metrics');
+const { reportReady, reportAlive, onShutdown, createTaskTracker } = require('./service-lifecycle');
+
+const config = getConfig();
+const db = new Database(config.databasePath);
+
+const SCAN_INTERVAL_MS = config.scanIntervalMs;
+const BLOCK_PAUSE_MS = config.blockPauseMs;
+const REQUIRED_CONFIRMATIONS = config.requiredConfirmations;
 
 // Adaptive settings
-let MEMPOOL_SCAN_INTERVAL_MS = 120000; // Start at 2 minutes
-const MAX_MEMPOOL_TXS_TO_CHECK = 150; // Balanced setting for 5 APIs
+let MEMPOOL_SCAN_INTERVAL_MS = config.mempoolScanIntervalMs; // Starting interval, retuned by adjustScanSettings
+const MAX_MEMPOOL_TXS_TO_CHECK = config.maxMempoolTxsToCheck;
 
+// Keyed by "<collection payment address>:<unique amount in zatoshis>" or by the session's derived address
 let pendingPayments = new Map();
 let recentlyCheckedTxs = new Set();
 
-/**
- * Smart API selector - chooses best available API
- */
-function selectBestApi() {
-    const today = new Date().toDateString();
-    
-    // Reset daily counters if new day
-    API_ENDPOINTS.forEach(api => {
-        if (api.lastReset !== today) {
-            api.cuUsedToday = 0;
-            api.lastReset = today;
-            api.failCount = 0;
-            api.enabled = true;
-            console.log(`📅 Reset daily counter for ${api.name}`);
-        }
-    });
-    
-    // Find APIs with available capacity
-    const availableApis = API_ENDPOINTS.filter(api => 
-        api.enabled && 
-        api.cuUsedToday < api.dailyLimit * 0.9 && // Keep 10% buffer
-        api.failCount < 3
-    );
-    
-    if (availableApis.length === 0) {
-        console.error('❌ ALL APIs exhausted or disabled!');
-        console.error('   This should not happen with 5 APIs (250K CU/day total)');
-        console.error('   Check your usage patterns or add more APIs');
-        return null;
-    }
-    
-    // Select API with most remaining capacity
-    const bestApi = availableApis.reduce((best, current) => {
-        const bestRemaining = best.dailyLimit - best.cuUsedToday;
-        const currentRemaining = current.dailyLimit - current.cuUsedToday;
-        return currentRemaining > bestRemaining ? current : best;
-    });
-    
-    return bestApi;
-}
-
-/**
- * Enhanced RPC call with multi-API support
- */
-async function rpcCall(method, params, estimatedCU = 10) {
-    const maxRetries = API_ENDPOINTS.length;
-    
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-        const api = selectBestApi();
-        
-        if (!api) {
-            console.error('❌ No available APIs - waiting for daily reset');
-            return null;
-        }
-        
-        try {
-            const response = await axios.post(api.url, {
-                jsonrpc: '2.0',
-                method: method,
-                params: params,
-                id: 1
-            }, { timeout: 10000 });
-            
-            if (response.data.error) {
-                console.error(`RPC Error on ${api.name}:`, response.data.error.message);
-                api.failCount++;
-                
-                // Try next API
-                continue;
-            }
-            
-            // Success! Update usage
-            api.cuUsedToday += estimatedCU;
-            api.failCount = 0; // Reset fail count on success
-            
-            // Log usage periodically (every ~1000 CU)
-            if (api.cuUsedToday % 1000 < estimatedCU) {
-                const remaining = api.dailyLimit - api.cuUsedToday;
-                const percentUsed = ((api.cuUsedToday / api.dailyLimit) * 100).toFixed(1);
-                console.log(`📊 ${api.name}: ${api.cuUsedToday}/${api.dailyLimit} CU (${percentUsed}%) - ${remaining} remaining`);
-            }
-            
-            return response.data.result;
-            
-        } catch (err) {
-            console.error(`${api.name} failed: ${err.message}`);
-            api.failCount++;
-            
-            // Disable API if too many failures
-            if (api.failCount >= 3) {
-                api.enabled = false;
-                console.error(`❌ ${api.name} DISABLED after 3 failures`);
-            }
-            
-            // Try next API
-            continue;
-        }
-    }
-    
-    // All APIs failed
-    console.error('❌ All APIs failed for this request');
-    return null;
-}
-
-/**
- * Get total available capacity across all APIs
- */
-function getTotalAvailableCapacity() {
-    let total = 0;
-    let enabled = 0;
-    API_ENDPOINTS.forEach(api => {
-        if (api.enabled) {
-            enabled++;
-            total += Math.max(0, api.dailyLimit - api.cuUsedToday);
-        }
-    });
-    return { total, enabledApis: enabled };
-}
+const mempoolScanDuration = metrics.summary('mempool_scan_duration_seconds', 'Time spent per mempool scan');
+const lastMempoolScanDuration = metrics.gauge('mempool_last_scan_duration_seconds', 'Duration of the latest mempool scan');
+const mempoolTxsChecked = metrics.counter('mempool_txs_checked_total', 'Mempool transactions fetched and checked');
+const paymentsDetected = metrics.counter('payments_detected_total', 'Session payments found, by where they were seen (mempool or block)');
+const trackedSessions = metrics.gauge('payment_monitor_tracked_sessions', 'Sessions the payment monitor is watching for payments');
 
 /**
  * Adjust scan aggressiveness based on available API capacity
  */
 function adjustScanSettings() {
     const { total: availableCU, enabledApis } = getTotalAvailableCapacity();
-    const totalCapacity = enabledApis * 50000;
+    const totalCapacity = enabledApis * DAILY_CU_LIMIT;
     const usagePercent = totalCapacity > 0 ? ((totalCapacity - availableCU) / totalCapacity) * 100 : 0;
     
     if (usagePercent > 80) {
@@ -204,20 +53,73 @@ function adjustScanSettings() {
 }
 
 function loadPendingPayments() {
-    const sessions = db.prepare(
-        'SELECT session_uuid, amount_due, quantity FROM sessions WHERE status IN (?, ?)'
-    ).all('pending', 'payment_pending');
+    const sessions = db.prepare(`
+        SELECT s.session_uuid, s.amount_due_zat, s.quantity, s.payment_address, s.quote_zat,
+            c.slug, c.payment_address as collection_address, c.price_per_nft_zat as collection_price
+        FROM sessions s
+        JOIN collections c ON c.id = s.collection_id
+        WHERE s.status IN (?, ?)
+    `).all('pending', 'payment_pending');
     
     pendingPayments.clear();
     for (const session of sessions) {
-        pendingPayments.set(session.amount_due.toFixed(8), {
+        const key = session.payment_address || `${session.collection_address}:${session.amount_due_zat}`;
+        pendingPayments.set(key, {
             sessionId: session.session_uuid,
-            quantity: session.quantity
+            collection: session.slug,
+            quantity: session.quantity,
+            // The price locked when the session was created
+            minZatoshis: session.quote_zat ?? session.quantity * session.collection_price
         });
     }
+    trackedSessions.set({}, pendingPayments.size);
     console.log(`Tracking ${pendingPayments.size} pending payments.`);
 }
 
+/**
+ * Finds the pending session an output pays: by derived address (any amount at or
+ * above the price) or by unique amount sent to the session's collection address
+ * @param {Object} vout - Transaction output
+ * @returns {string|null} - The pendingPayments key of the matched session
+ */
+function matchPayment(vout) {
+    const addresses = vout.scriptPubKey?.addresses || [];
+    const zatoshis = voutZatoshis(vout);
+
+    for (const address of addresses) {
+        const session = pendingPayments.get(address);
+        if (session && zatoshis >= session.minZatoshis) {
+            return address;
+        }
+        if (pendingPayments.has(`${address}:${zatoshis}`)) {
+            return `${address}:${zatoshis}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Records an output in the incoming_payments ledger
+ * @param {string} outcome - 'matched' for session payments, otherwise classified here
+ */
+function recordOutput(txid, vout, blockHeight, outcome, sessionId) {
+    const classification = outcome ? { outcome, sessionId } : classifyUnmatchedOutput(db, vout);
+    if (!classification) return;
+
+    try {
+        recordIncomingPayment(db, {
+            txid,
+            vout: vout.n,
+            address: vout.scriptPubKey?.addresses?.[0],
+            amountZat: voutZatoshis(vout),
+            blockHeight,
+            ...classification
+        });
+    } catch (err) {
+        console.error(`   ❌ Ledger error: ${err.message}`);
+    }
+}
+
 async function scanMempool() {
     if (pendingPayments.size === 0) {
         console.log('💭 No pending payments - skipping mempool scan');
@@ -235,6 +137,7 @@ async function scanMempool() {
         return;
     }
 
+    const startedAt = Date.now();
     try {
         const mempoolTxids = await rpcCall('getrawmempool', [], 5);
         
@@ -254,7 +157,9 @@ async function scanMempool() {
         let foundCount = 0;
 
         for (const txid of txidsToCheck) {
+            if (tasks.isStopping()) break;
             const tx = await rpcCall('getrawtransaction', [txid, 1], 10);
+            mempoolTxsChecked.inc();
             
             if (!tx || !tx.vout) {
                 recentlyCheckedTxs.add(txid);
@@ -262,20 +167,23 @@ async function scanMempool() {
             }
 
             for (const vout of tx.vout) {
-                if (vout.scriptPubKey && vout.scriptPubKey.addresses?.includes(PAYMENT_ADDRESS)) {
-                    const amountPaid = vout.value.toFixed(8);
+                const matchKey = matchPayment(vout);
+                
+                if (matchKey === null) {
+                    recordOutput(txid, vout, null);
+                } else {
+                    const session = pendingPayments.get(matchKey);
+                    const amountPaid = formatZec(voutZatoshis(vout));
+                    
+                    console.log(`\n💰 FOUND PENDING ZEC DOGS PAYMENT IN MEMPOOL!`);
+                    console.log(`   Txid: ${txid}`);
+                    console.log(`   Amount: ${amountPaid} ZEC`);
+                    console.log(`   Session: ${session.sessionId} (${session.collection})`);
                     
-                    if (pendingPayments.has(amountPaid)) {
-                        const session = pendingPayments.get(amountPaid);
-                        
-                        console.log(`\n💰 FOUND PENDING ZEC DOGS PAYMENT IN MEMPOOL!`);
-                        console.log(`   Txid: ${txid}`);
-                        console.log(`   Amount: ${amountPaid} ZEC`);
-                        console.log(`   Session: ${session.sessionId}`);
-                        
-                        markPaymentPending(session.sessionId, txid, amountPaid);
-                        foundCount++;
-                    }
+                    markPaymentPending(session.sessionId, txid, amountPaid);
+                    recordOutput(txid, vout, null, 'matched', session.sessionId);
+                    paymentsDetected.inc({ stage: 'mempool' });
+                    foundCount++;
                 }
             }
 
@@ -296,6 +204,10 @@ async function scanMempool() {
 
     } catch (err) {
         console.error('Mempool scan error:', err.message);
+    } finally {
+        const seconds = (Date.now() - startedAt) / 1000;
+        mempoolScanDuration.observe({}, seconds);
+        lastMempoolScanDuration.set({}, seconds);
     }
 }
 
@@ -316,6 +228,7 @@ function markPaymentPending(sessionId, txid, amount) {
                     updated_at = CURRENT_TIMESTAMP
                 WHERE session_uuid = ?
             `).run(txid, sessionId);
+            recordSessionEvent(db, sessionId, 'payment_pending');
             
             console.log(`   ✅ Session marked as PAYMENT_PENDING (won't expire)`);
             console.log(`   ⏳ Waiting for confirmation...`);
@@ -334,69 +247,79 @@ async function scanBlock(blockHeight) {
     const block = await rpcCall('getblock', [blockHash, 2], 30);
     if (!block) return;
 
+    if (isReorg(db, SCANNER, block)) {
+        console.log(`\n⚠️  Block ${blockHeight} doesn't build on the block we scanned - chain reorganization!`);
+        return { reorg: true };
+    }
+
     console.log(`🔍 Scanning block ${blockHeight} (${block.tx.length} txs)...`);
 
     for (const tx of block.tx) {
         for (const vout of tx.vout) {
-            if (vout.scriptPubKey.addresses?.includes(PAYMENT_ADDRESS)) {
-                const amountPaid = vout.value.toFixed(8);
+            const matchKey = matchPayment(vout);
+            
+            if (matchKey === null) {
+                recordOutput(tx.txid, vout, blockHeight);
+            } else {
+                const amountPaid = formatZec(voutZatoshis(vout));
                 
-                if (pendingPayments.has(amountPaid)) {
-                    console.log(`\n🎉 FOUND CONFIRMED ZEC DOGS PAYMENT!`);
-                    console.log(`   Txid: ${tx.txid}`);
-                    console.log(`   Amount: ${amountPaid} ZEC`);
-                    console.log(`   Block: ${blockHeight}`);
-                    
-                    const session = pendingPayments.get(amountPaid);
-                    fulfillOrder(session, tx.txid, amountPaid);
-                    pendingPayments.delete(amountPaid);
-                }
+                console.log(`\n🎉 FOUND ZEC DOGS PAYMENT IN BLOCK!`);
+                console.log(`   Txid: ${tx.txid}`);
+                console.log(`   Amount: ${amountPaid} ZEC`);
+                console.log(`   Block: ${blockHeight}`);
+                
+                const session = pendingPayments.get(matchKey);
+                markPaymentConfirming(session.sessionId, tx.txid, blockHeight);
+                recordOutput(tx.txid, vout, blockHeight, 'matched', session.sessionId);
+                paymentsDetected.inc({ stage: 'block' });
+                pendingPayments.delete(matchKey);
             }
         }
     }
+
+    recordBlock(db, SCANNER, block);
 }
 
-function fulfillOrder(session, txid, amountPaid) {
+function markPaymentConfirming(sessionId, txid, blockHeight) {
     try {
-        db.transaction(() => {
-            const nfts = db.prepare(`
-                SELECT cid FROM nfts 
-                WHERE session_id = ? AND claimed = 0 AND id <= ?
-            `).all(session.sessionId, MAX_SUPPLY);
-
-            if (nfts.length < session.quantity) {
-                console.error(`❌ Not enough NFTs for session ${session.sessionId}`);
-                db.prepare('UPDATE nfts SET session_id = NULL WHERE session_id = ? AND claimed = 0')
-                    .run(session.sessionId);
-                db.prepare('UPDATE sessions SET status = ? WHERE session_uuid = ?')
-                    .run('failed', session.sessionId);
-                return;
-            }
-
-            const assignedCids = nfts.map(n => n.cid);
-            db.prepare('UPDATE sessions SET status = ?, payment_txid = ?, assigned_cids = ? WHERE session_uuid = ?')
-                .run('complete', txid, JSON.stringify(assignedCids), session.sessionId);
-            db.prepare('UPDATE nfts SET claimed = 1 WHERE session_id = ? AND claimed = 0')
-                .run(session.sessionId);
-            
-            console.log(`   ✅ Order fulfilled: ${session.quantity} NFTs → Session ${session.sessionId}`);
-            console.log(`   📦 Assigned CIDs: ${assignedCids.join(', ').substring(0, 100)}...`);
-        })();
+        db.prepare(`
+            UPDATE sessions 
+            SET status = 'confirming', 
+                payment_txid = ?,
+                payment_block_height = ?,
+                confirmations = 0,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE session_uuid = ?
+        `).run(txid, blockHeight, sessionId);
+        recordSessionEvent(db, sessionId, 'confirming');
+
+        console.log(`   ⏳ Session marked as CONFIRMING (needs ${REQUIRED_CONFIRMATIONS} confirmations)`);
     } catch (err) {
-        console.error(`❌ Fulfillment error: ${err.message}`);
-        console.error(err.stack);
+        console.error(`   ❌ Error: ${err.message}`);
     }
 }
 
 async function monitorBlocks() {
     console.log('\n⏰ Running block scan...');
-    loadPendingPayments();
 
-    if (pendingPayments.size === 0) {
-        console.log('No pending payments. Waiting...');
-        return;
+    // Make sure the last block we scanned is still on the main chain
+    const lastScannedCheck = db.prepare('SELECT value FROM settings WHERE key = ?').get('last_scanned_payment_block');
+    if (lastScannedCheck) {
+        const lastScanned = parseInt(lastScannedCheck.value);
+        const forkHeight = await findForkPoint(db, SCANNER, lastScanned, rpcCall);
+
+        if (forkHeight === null) {
+            console.log('Failed to verify chain tip. Retrying later.');
+            return;
+        }
+        if (forkHeight < lastScanned) {
+            rollbackToHeight(db, forkHeight);
+        }
     }
 
+    // Blocks are scanned even with no pending sessions so late and unmatched payments reach the ledger
+    loadPendingPayments();
+
     const currentHeight = await rpcCall('getblockcount', [], 5);
     if (!currentHeight) {
         console.log('Failed to get block height. Retrying later.');
@@ -412,6 +335,7 @@ async function monitorBlocks() {
     }
 
     const startBlock = parseInt(lastScannedRow.value) + 1;
+    recordScanProgress(SCANNER, currentHeight, startBlock - 1);
     
     if (startBlock > currentHeight) {
         console.log('📊 Already fully synced. Waiting for new blocks.');
@@ -422,50 +346,70 @@ async function monitorBlocks() {
     console.log(`📊 Scanning from: ${startBlock}`);
     
     for (let height = startBlock; height <= currentHeight; height++) {
-        await scanBlock(height);
+        if (tasks.isStopping()) break; // Progress is saved per block
+        const result = await scanBlock(height);
+
+        if (result && result.reorg) {
+            const forkHeight = await findForkPoint(db, SCANNER, height - 1, rpcCall);
+            if (forkHeight === null) {
+                console.log('Failed to find fork point. Retrying later.');
+                return;
+            }
+
+            rollbackToHeight(db, forkHeight);
+            loadPendingPayments();
+            height = forkHeight; // Loop continues from the first orphaned height
+            continue;
+        }
+
         db.prepare('UPDATE settings SET value = ? WHERE key = ?').run(height, 'last_scanned_payment_block');
+        recordScanProgress(SCANNER, currentHeight, height);
+        reportAlive();
         await new Promise(r => setTimeout(r, BLOCK_PAUSE_MS));
     }
 
+    updateConfirmations(db, currentHeight, REQUIRED_CONFIRMATIONS);
+
     console.log(`\n✅ Block scan complete!`);
 }
 
 let mempoolInterval;
+const tasks = createTaskTracker();
+const runBlockScan = tasks.wrap(monitorBlocks);
+const runMempoolScan = tasks.wrap(scanMempool);
+
+// Let a running scan finish its block before the database closes
+onShutdown(async () => {
+    await tasks.stop();
+    db.close();
+});
 
 async function start() {
-    console.log('🚀 Starting ZEC DOGS Payment Monitor (5-API SYSTEM)...');
-    console.log('💰 Payment Address:', PAYMENT_ADDRESS);
-    console.log(`🔄 Using ${API_ENDPOINTS.length} API endpoints`);
-    console.log(`📊 Total capacity: ${API_ENDPOINTS.length * 50000} CU/day (250K!)`);
-    console.log('');
+    console.log('🚀 Starting ZEC DOGS Payment Monitor (MULTI-API SYSTEM)...');
+    console.log(`🔒 Required confirmations: ${REQUIRED_CONFIRMATIONS}`);
     
     // Show API status
-    API_ENDPOINTS.forEach((api, i) => {
-        const status = api.enabled ? '✅' : '❌';
-        console.log(`   ${status} ${api.name}: ${api.url.substring(0, 50)}...`);
-    });
+    logEndpoints();
     console.log('');
     
-    db.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT PRIMARY KEY, value TEXT)`);
-    
-    try {
-        db.exec(`ALTER TABLE sessions ADD COLUMN updated_at DATETIME DEFAULT CURRENT_TIMESTAMP`);
-        console.log('✅ Database schema updated');
-    } catch (err) {
-        // Column already exists
-    }
+    requireCurrentSchema(db);
+    syncDefaultCollection(db, config);
+    metrics.startPublishingMetrics(db, 'payment-monitor');
+    listCollections(db).forEach(collection => {
+        console.log(`💰 ${collection.name} payment address: ${collection.payment_address}`);
+    });
     
     console.log('⏳ Running initial scans...\n');
     
-    await monitorBlocks();
-    await scanMempool();
+    await runBlockScan();
+    await runMempoolScan();
     
     console.log('\n⚙️  Starting scheduled scans...');
-    setInterval(monitorBlocks, SCAN_INTERVAL_MS);
+    setInterval(runBlockScan, SCAN_INTERVAL_MS);
     
     const startMempoolScans = () => {
         if (mempoolInterval) clearInterval(mempoolInterval);
-        mempoolInterval = setInterval(scanMempool, MEMPOOL_SCAN_INTERVAL_MS);
+        mempoolInterval = setInterval(runMempoolScan, MEMPOOL_SCAN_INTERVAL_MS);
         console.log(`⚙️  Mempool scan interval: ${MEMPOOL_SCAN_INTERVAL_MS / 1000}s`);
     };
     
@@ -477,6 +421,7 @@ async function start() {
         startMempoolScans();
     }, 5 * 60 * 1000);
     
+    reportReady();
     console.log('\n✅ ZEC DOGS Payment Monitor is running!');
     console.log('📊 Monitoring payment sessions 24/7...\n');
 }
@@ -0,0 +1,82 @@
+const QRCode = require('qrcode');
+const { isShieldedAddress } = require('./payment-addresses');
+const { formatZec } = require('./zatoshis');
+
+// ZIP-321 payment requests: zcash:<address>?amount=<ZEC>&memo=<base64url>&message=<text>
+// Wallets that scan or open one fill in the exact amount, so buyers never type it.
+// ZIP-321 forbids memos for transparent recipients, so only shielded and unified
+// payment addresses get one - transparent sessions are still matched by amount/address.
+const MAX_MEMO_BYTES = 512;
+
+/**
+ * Builds a ZIP-321 payment URI
+ * @param {Object} request - { address, amountZat, memo?, message? }
+ * @returns {string} - zcash: URI
+ * @throws {Error} - If the memo is longer than a Zcash memo field
+ */
+function buildPaymentUri({ address, amountZat, memo = null, message = null }) {
+    // ZIP-321 amounts are decimal ZEC with up to 8 places - trailing zeros are dropped
+    const params = [`amount=${formatZec(amountZat).replace(/\.?0+$/, '')}`];
+
+    if (memo && isShieldedAddress(address)) {
+        const bytes = Buffer.from(memo, 'utf8');
+        if (bytes.length > MAX_MEMO_BYTES) {
+            throw new Error(`Memo is ${bytes.length} bytes - the limit is ${MAX_MEMO_BYTES}`);
+        }
+        params.push(`memo=${bytes.toString('base64url')}`);
+    }
+    if (message) {
+        params.push(`message=${encodeURIComponent(message)}`);
+    }
+
+    return `zcash:${address}?${params.join('&')}`;
+}
+
+/**
+ * The payment request for a session, as shown in the mint modal
+ * @param {Object} session - sessions row
+ * @param {Object} collection - The session's collections row
+ * @returns {{address: string, amountZat: number, exactAmountRequired: boolean, memo: string|null, uri: string}}
+ */
+function getSessionPaymentRequest(session, collection) {
+    // A derived address identifies the session on its own, so the plain quote (or more) is enough
+    const address = session.payment_address || collection.payment_address;
+    const amountZat = session.payment_address ? session.quote_zat : session.amount_due_zat;
+    const plural = session.quantity === 1 ? '' : 's';
+    // The default payment address is transparent, so most URIs carry no memo at all;
+    // only sessions paid to a shielded or unified address get one
+    const memo = isShieldedAddress(address) ? `${collection.name} mint ${session.session_uuid}` : null;
+
+    return {
+        address,
+        amountZat,
+        exactAmountRequired: !session.payment_address,
+        memo,
+        uri: buildPaymentUri({
+            address,
+            amountZat,
+            memo,
+            message: `${collection.name} - ${session.quantity} NFT${plural}`
+        })
+    };
+}
+
+/**
+ * Renders a payment URI as a QR code
+ * @param {string} uri - From buildPaymentUri
+ * @param {string} format - 'svg' or 'png'
+ * @returns {Promise<string|Buffer>} - SVG markup or PNG bytes
+ */
+function renderPaymentQr(uri, format) {
+    // Medium error correction keeps long unified-address URIs scannable on phone screens
+    const options = { errorCorrectionLevel: 'M', margin: 2 };
+    return format === 'png'
+        ? QRCode.toBuffer(uri, { ...options, type: 'png', width: 320 })
+        : QRCode.toString(uri, { ...options, type: 'svg' });
+}
+
+module.exports = {
+    buildPaymentUri,
+    getSessionPaymentRequest,
+    renderPaymentQr
+};
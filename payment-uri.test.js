@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bech32 } = require('@scure/base');
+const { buildPaymentUri, getSessionPaymentRequest } = require('./payment-uri');
+
+const TRANSPARENT = 't1gU211G8Msqb6EYVtdnepjZsfonxd2RR8H';
+const SAPLING = bech32.encode('zs', bech32.toWords(Buffer.alloc(43, 1)), 90);
+const COLLECTION = { name: 'Zec Dogs', payment_address: TRANSPARENT };
+
+test('amounts are decimal ZEC without trailing zeros', () => {
+    assert.equal(buildPaymentUri({ address: TRANSPARENT, amountZat: 500123 }), `zcash:${TRANSPARENT}?amount=0.00500123`);
+    assert.equal(buildPaymentUri({ address: TRANSPARENT, amountZat: 1000000000 }), `zcash:${TRANSPARENT}?amount=10`);
+    assert.equal(buildPaymentUri({ address: TRANSPARENT, amountZat: 150000000 }), `zcash:${TRANSPARENT}?amount=1.5`);
+    assert.equal(buildPaymentUri({ address: TRANSPARENT, amountZat: 1 }), `zcash:${TRANSPARENT}?amount=0.00000001`);
+});
+
+test('only shielded addresses get a memo, limited to 512 bytes', () => {
+    const memo = 'Zec Dogs mint abc';
+    assert.equal(buildPaymentUri({ address: TRANSPARENT, amountZat: 1, memo, message: 'Zec Dogs - 1 NFT' }),
+        `zcash:${TRANSPARENT}?amount=0.00000001&message=Zec%20Dogs%20-%201%20NFT`);
+    assert.equal(buildPaymentUri({ address: SAPLING, amountZat: 1, memo }),
+        `zcash:${SAPLING}?amount=0.00000001&memo=${Buffer.from(memo).toString('base64url')}`);
+
+    assert.ok(buildPaymentUri({ address: SAPLING, amountZat: 1, memo: 'é'.repeat(256) }));
+    assert.throws(() => buildPaymentUri({ address: SAPLING, amountZat: 1, memo: 'é'.repeat(257) }), /514 bytes - the limit is 512/);
+});
+
+test('sessions ask for the unique amount on the shared address and the quote on their own', () => {
+    const shared = getSessionPaymentRequest(
+        { session_uuid: 's1', quantity: 2, payment_address: null, amount_due_zat: 1000042, quote_zat: 1000000 }, COLLECTION);
+    assert.deepEqual(shared, {
+        address: TRANSPARENT,
+        amountZat: 1000042,
+        exactAmountRequired: true,
+        memo: null,
+        uri: `zcash:${TRANSPARENT}?amount=0.01000042&message=Zec%20Dogs%20-%202%20NFTs`
+    });
+
+    const derived = getSessionPaymentRequest(
+        { session_uuid: 's2', quantity: 1, payment_address: SAPLING, amount_due_zat: 500007, quote_zat: 500000 }, COLLECTION);
+    assert.equal(derived.address, SAPLING);
+    assert.equal(derived.amountZat, 500000);
+    assert.equal(derived.exactAmountRequired, false);
+    assert.equal(derived.memo, 'Zec Dogs mint s2');
+    assert.match(derived.uri, new RegExp(`memo=${Buffer.from('Zec Dogs mint s2').toString('base64url')}&message=Zec%20Dogs%20-%201%20NFT$`));
+});
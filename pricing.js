@@ -0,0 +1,201 @@
+const { formatZec } = require('./zatoshis');
+
+// How a mint phase prices its NFTs. Configured as JSON (config.js `pricing`,
+// or a phase's "pricing" in the mint phases file):
+//   { "strategy": "fixed", "priceZat": 500000 }
+//   { "strategy": "dutch-auction", "startPriceZat": 2000000, "floorPriceZat": 500000,
+//     "dropZat": 100000, "dropIntervalMinutes": 10, "startsAt": "2026-11-01T16:00:00Z" }
+//       the price drops by dropZat every interval until the floor; startsAt defaults to the phase start,
+//       or (for a collection's own pricing outside any timed phase) to when the collection was created
+//   { "strategy": "bonding-curve", "basePriceZat": 500000, "incrementZat": 10000, "stepSize": 100 }
+//       each NFT costs incrementZat more for every stepSize NFTs of the collection already sold or reserved
+// A session locks the quote it was created with.
+const STRATEGIES = ['fixed', 'dutch-auction', 'bonding-curve'];
+
+function requireInteger(spec, field, min) {
+    const value = spec[field];
+    if (!Number.isInteger(value) || value < min) {
+        throw new Error(`${spec.strategy} pricing: ${field} must be an integer of at least ${min}`);
+    }
+    return value;
+}
+
+/**
+ * Validates a pricing spec and converts it to the form quotePrice() uses
+ * @param {Object} spec - Pricing JSON (see above)
+ * @param {number|null} [defaultStart] - Phase start (ms), used when a Dutch auction has no startsAt
+ * @returns {Object} - Normalized pricing
+ * @throws {Error} - Describing the first invalid field
+ */
+function parsePricing(spec, defaultStart = null) {
+    if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new Error('pricing must be an object');
+    }
+    if (!STRATEGIES.includes(spec.strategy)) {
+        throw new Error(`pricing strategy must be one of ${STRATEGIES.join(', ')} (got ${JSON.stringify(spec.strategy)})`);
+    }
+
+    if (spec.strategy === 'fixed') {
+        return fixedPricing(requireInteger(spec, 'priceZat', 0));
+    }
+
+    if (spec.strategy === 'dutch-auction') {
+        const startPriceZat = requireInteger(spec, 'startPriceZat', 1);
+        const floorPriceZat = requireInteger(spec, 'floorPriceZat', 0);
+        if (floorPriceZat > startPriceZat) {
+            throw new Error('dutch-auction pricing: floorPriceZat must not exceed startPriceZat');
+        }
+
+        const start = spec.startsAt !== undefined ? Date.parse(spec.startsAt) : defaultStart;
+        if (start === null || Number.isNaN(start)) {
+            throw new Error('dutch-auction pricing: needs a valid startsAt (or a phase with a start time)');
+        }
+
+        return {
+            strategy: 'dutch-auction',
+            startPriceZat,
+            floorPriceZat,
+            dropZat: requireInteger(spec, 'dropZat', 1),
+            dropIntervalMs: requireInteger(spec, 'dropIntervalMinutes', 1) * 60 * 1000,
+            start
+        };
+    }
+
+    return {
+        strategy: 'bonding-curve',
+        basePriceZat: requireInteger(spec, 'basePriceZat', 0),
+        incrementZat: requireInteger(spec, 'incrementZat', 0),
+        stepSize: spec.stepSize === undefined ? 1 : requireInteger(spec, 'stepSize', 1)
+    };
+}
+
+function fixedPricing(priceZat) {
+    return { strategy: 'fixed', priceZat };
+}
+
+/**
+ * Price of one NFT right now
+ * @param {Object} context - { now (ms), sold (NFTs of the collection sold or reserved) }
+ */
+function getUnitPrice(pricing, { now, sold }) {
+    switch (pricing.strategy) {
+        case 'dutch-auction': {
+            const drops = now < pricing.start ? 0 : Math.floor((now - pricing.start) / pricing.dropIntervalMs);
+            return Math.max(pricing.floorPriceZat, pricing.startPriceZat - drops * pricing.dropZat);
+        }
+        case 'bonding-curve':
+            return pricing.basePriceZat + pricing.incrementZat * Math.floor(sold / pricing.stepSize);
+        default:
+            return pricing.priceZat;
+    }
+}
+
+/**
+ * Total price of `quantity` NFTs bought together
+ * On a bonding curve each NFT in the order is priced at its own position
+ * @param {Object} context - { now, sold, quantity }
+ * @returns {number} - Zatoshis
+ */
+function quotePrice(pricing, { now, sold, quantity }) {
+    if (pricing.strategy !== 'bonding-curve') {
+        return getUnitPrice(pricing, { now, sold }) * quantity;
+    }
+
+    let total = 0;
+    for (let i = 0; i < quantity; i++) {
+        total += getUnitPrice(pricing, { now, sold: sold + i });
+    }
+    return total;
+}
+
+/**
+ * When and to what the unit price changes next
+ * @returns {{priceZat: number, at: number|null, afterSold: number|null}|null} - at is a time (ms) for
+ *   Dutch auctions, afterSold the number of NFTs still to sell on a bonding curve; null if it never changes
+ */
+function getNextPriceChange(pricing, { now, sold }) {
+    if (pricing.strategy === 'dutch-auction') {
+        const current = getUnitPrice(pricing, { now, sold });
+        if (current === pricing.floorPriceZat) return null;
+
+        const elapsed = Math.max(0, now - pricing.start);
+        const at = pricing.start + (Math.floor(elapsed / pricing.dropIntervalMs) + 1) * pricing.dropIntervalMs;
+        return { priceZat: getUnitPrice(pricing, { now: at, sold }), at, afterSold: null };
+    }
+
+    if (pricing.strategy === 'bonding-curve' && pricing.incrementZat > 0) {
+        const nextStep = (Math.floor(sold / pricing.stepSize) + 1) * pricing.stepSize;
+        return { priceZat: getUnitPrice(pricing, { now, sold: nextStep }), at: null, afterSold: nextStep - sold };
+    }
+
+    return null;
+}
+
+/**
+ * Public view of the price for /mint-progress
+ * @param {Object} context - { now, sold, maxQuantity }
+ * @returns {Object} - { strategy, currentZat, next, totalsZat } where totalsZat[n - 1] is the total for n NFTs
+ */
+function describePrice(pricing, { now, sold, maxQuantity }) {
+    const next = getNextPriceChange(pricing, { now, sold });
+    const totalsZat = [];
+    for (let quantity = 1; quantity <= maxQuantity; quantity++) {
+        totalsZat.push(quotePrice(pricing, { now, sold, quantity }));
+    }
+
+    return {
+        strategy: pricing.strategy,
+        currentZat: getUnitPrice(pricing, { now, sold }),
+        floorZat: pricing.strategy === 'dutch-auction' ? pricing.floorPriceZat : null,
+        next: next && {
+            priceZat: next.priceZat,
+            at: next.at === null ? null : new Date(next.at).toISOString(),
+            afterSold: next.afterSold
+        },
+        totalsZat
+    };
+}
+
+/**
+ * One-line summary for startup logs
+ */
+function formatPricing(pricing) {
+    switch (pricing.strategy) {
+        case 'dutch-auction':
+            return `Dutch auction ${formatZec(pricing.startPriceZat)} → ${formatZec(pricing.floorPriceZat)} ZEC ` +
+                `(-${formatZec(pricing.dropZat)} every ${pricing.dropIntervalMs / 60000} min from ${new Date(pricing.start).toISOString()})`;
+        case 'bonding-curve':
+            return `bonding curve from ${formatZec(pricing.basePriceZat)} ZEC ` +
+                `(+${formatZec(pricing.incrementZat)} every ${pricing.stepSize} sold)`;
+        default:
+            return `${formatZec(pricing.priceZat)} ZEC`;
+    }
+}
+
+/**
+ * A collection's default pricing: its configured strategy, or its fixed price
+ * @param {Object} collection - collections row
+ * @param {number|null} [defaultStart] - Phase start (ms) for Dutch auctions without startsAt;
+ *   without one they start when the collection was created
+ */
+function getCollectionPricing(collection, defaultStart = null) {
+    if (!collection.pricing) {
+        return fixedPricing(collection.price_per_nft_zat);
+    }
+
+    // created_at is SQLite's UTC 'YYYY-MM-DD HH:MM:SS'
+    const createdAt = collection.created_at ? Date.parse(`${collection.created_at.replace(' ', 'T')}Z`) : null;
+    return parsePricing(JSON.parse(collection.pricing), defaultStart ?? createdAt);
+}
+
+module.exports = {
+    STRATEGIES,
+    parsePricing,
+    fixedPricing,
+    getUnitPrice,
+    quotePrice,
+    getNextPriceChange,
+    describePrice,
+    formatPricing,
+    getCollectionPricing
+};
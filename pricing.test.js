@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePricing, getUnitPrice, quotePrice, getNextPriceChange, describePrice, getCollectionPricing } = require('./pricing');
+
+const START = Date.parse('2026-11-01T16:00:00Z');
+const MINUTE = 60 * 1000;
+
+const auction = parsePricing({
+    strategy: 'dutch-auction', startPriceZat: 2000000, floorPriceZat: 500000, dropZat: 100000, dropIntervalMinutes: 10
+}, START);
+const curve = parsePricing({ strategy: 'bonding-curve', basePriceZat: 500000, incrementZat: 10000, stepSize: 100 });
+
+test('a Dutch auction drops every interval down to its floor', () => {
+    assert.equal(getUnitPrice(auction, { now: START - MINUTE, sold: 0 }), 2000000);
+    assert.equal(getUnitPrice(auction, { now: START, sold: 0 }), 2000000);
+    assert.equal(getUnitPrice(auction, { now: START + 10 * MINUTE - 1, sold: 0 }), 2000000);
+    assert.equal(getUnitPrice(auction, { now: START + 10 * MINUTE, sold: 0 }), 1900000);
+    assert.equal(getUnitPrice(auction, { now: START + 1000 * MINUTE, sold: 0 }), 500000);
+    assert.equal(quotePrice(auction, { now: START + 25 * MINUTE, sold: 0, quantity: 3 }), 3 * 1800000);
+
+    assert.deepEqual(getNextPriceChange(auction, { now: START + 25 * MINUTE, sold: 0 }),
+        { priceZat: 1700000, at: START + 30 * MINUTE, afterSold: null });
+    assert.equal(getNextPriceChange(auction, { now: START + 1000 * MINUTE, sold: 0 }), null);
+});
+
+test('a bonding curve prices each NFT of an order at its own position', () => {
+    assert.equal(getUnitPrice(curve, { now: START, sold: 99 }), 500000);
+    assert.equal(getUnitPrice(curve, { now: START, sold: 100 }), 510000);
+    // Two NFTs before the step and one after it
+    assert.equal(quotePrice(curve, { now: START, sold: 98, quantity: 3 }), 2 * 500000 + 510000);
+    assert.deepEqual(getNextPriceChange(curve, { now: START, sold: 98 }), { priceZat: 510000, at: null, afterSold: 2 });
+});
+
+test('describePrice lists the total for every quantity', () => {
+    assert.deepEqual(describePrice(curve, { now: START, sold: 99, maxQuantity: 3 }), {
+        strategy: 'bonding-curve',
+        currentZat: 500000,
+        floorZat: null,
+        next: { priceZat: 510000, at: null, afterSold: 1 },
+        totalsZat: [500000, 1010000, 1520000]
+    });
+    assert.equal(describePrice(auction, { now: START, sold: 0, maxQuantity: 1 }).next.at, '2026-11-01T16:10:00.000Z');
+});
+
+test('invalid pricing specs are refused with the field at fault', () => {
+    const refuse = (spec, pattern, start = START) => assert.throws(() => parsePricing(spec, start), pattern);
+
+    refuse(null, /must be an object/);
+    refuse({ strategy: 'lottery' }, /must be one of fixed, dutch-auction, bonding-curve/);
+    refuse({ strategy: 'fixed', priceZat: -1 }, /priceZat must be an integer of at least 0/);
+    refuse({ strategy: 'fixed', priceZat: 1.5 }, /priceZat/);
+    refuse({ strategy: 'dutch-auction', startPriceZat: 1000, floorPriceZat: 2000, dropZat: 1, dropIntervalMinutes: 1 }, /must not exceed/);
+    refuse({ strategy: 'dutch-auction', startPriceZat: 2000, floorPriceZat: 1000, dropZat: 1, dropIntervalMinutes: 1 }, /startsAt/, null);
+    refuse({ strategy: 'dutch-auction', startPriceZat: 2000, floorPriceZat: 1000, dropZat: 0, dropIntervalMinutes: 1 }, /dropZat/);
+    refuse({ strategy: 'bonding-curve', basePriceZat: 1, incrementZat: 1, stepSize: 0 }, /stepSize/);
+});
+
+test('collections without a strategy sell at their fixed price', () => {
+    assert.deepEqual(getCollectionPricing({ price_per_nft_zat: 500000, pricing: null }), { strategy: 'fixed', priceZat: 500000 });
+    assert.equal(getCollectionPricing({ price_per_nft_zat: 1, pricing: JSON.stringify({ strategy: 'dutch-auction',
+        startPriceZat: 2000000, floorPriceZat: 500000, dropZat: 100000, dropIntervalMinutes: 10 }) }, START).start, START);
+});
+
+test('a collection auction without startsAt or a phase start starts when the collection was created', () => {
+    const collection = { price_per_nft_zat: 1, created_at: '2026-11-01 16:00:00', pricing: JSON.stringify({ strategy: 'dutch-auction',
+        startPriceZat: 2000000, floorPriceZat: 500000, dropZat: 100000, dropIntervalMinutes: 10 }) };
+
+    assert.equal(getCollectionPricing(collection).start, START);
+    assert.equal(getCollectionPricing(collection, START + MINUTE).start, START + MINUTE);
+});
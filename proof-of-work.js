@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+// Optional proof-of-work gate on /create-payment-intent. The server hands out
+// a signed challenge; the client searches for a nonce such that
+// SHA-256("<challenge>:<nonce>") starts with `difficulty` zero bits and sends
+// both along with the intent. Challenges are stateless (HMAC-signed with an
+// expiry) and each can be redeemed once (pow_redemptions).
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_NONCE_LENGTH = 32;
+
+/**
+ * Issues a challenge
+ * @param {Buffer} secret - HMAC key
+ * @param {number} difficulty - Leading zero bits required
+ * @returns {{challenge: string, difficulty: number, expiresAt: string}}
+ */
+function issueChallenge(secret, difficulty, now = Date.now()) {
+    const expires = now + CHALLENGE_TTL_MS;
+    const body = `${crypto.randomBytes(16).toString('hex')}.${difficulty}.${expires}`;
+    return {
+        challenge: `${body}.${sign(secret, body)}`,
+        difficulty,
+        expiresAt: new Date(expires).toISOString()
+    };
+}
+
+function sign(secret, body) {
+    return crypto.createHmac('sha256', secret).update(body).digest('hex').slice(0, 32);
+}
+
+function leadingZeroBits(hash) {
+    let bits = 0;
+    for (const byte of hash) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+}
+
+/**
+ * Checks a solved challenge and marks it redeemed
+ * @param {Object} proof - { challenge, nonce } as sent by the client
+ * @param {Object} options - { secret, difficulty, now }
+ * @returns {{reason: string, message: string}|null} - Why the proof is refused, or null if it is valid
+ */
+function redeemProofOfWork(db, proof, { secret, difficulty, now = Date.now() }) {
+    const { challenge, nonce } = proof || {};
+    if (typeof challenge !== 'string' || typeof nonce !== 'string') {
+        return { reason: 'pow_missing', message: 'Proof of work required. Please reload the page and try again.' };
+    }
+
+    const [random, issuedDifficulty, expires, signature] = challenge.split('.');
+    const body = `${random}.${issuedDifficulty}.${expires}`;
+    const expected = Buffer.from(sign(secret, body));
+    if (!signature || signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), expected)
+        || Number(issuedDifficulty) !== difficulty) {
+        return { reason: 'pow_invalid', message: 'Invalid proof-of-work challenge. Please try again.' };
+    }
+    if (Number(expires) < now) {
+        return { reason: 'pow_expired', message: 'Proof-of-work challenge expired. Please try again.' };
+    }
+
+    const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+    if (nonce.length > MAX_NONCE_LENGTH || leadingZeroBits(hash) < difficulty) {
+        return { reason: 'pow_invalid', message: 'Proof of work does not solve the challenge.' };
+    }
+
+    const redeemed = db.prepare('INSERT OR IGNORE INTO pow_redemptions (challenge, expires_at) VALUES (?, ?)')
+        .run(challenge, Number(expires)).changes;
+    if (redeemed === 0) {
+        return { reason: 'pow_replayed', message: 'Proof-of-work challenge already used. Please try again.' };
+    }
+    return null;
+}
+
+/**
+ * Forgets redeemed challenges that have expired (they can't be replayed anyway)
+ */
+function pruneRedeemedChallenges(db, now = Date.now()) {
+    db.prepare('DELETE FROM pow_redemptions WHERE expires_at < ?').run(now);
+}
+
+module.exports = {
+    issueChallenge,
+    redeemProofOfWork,
+    pruneRedeemedChallenges
+};
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createMockDatabase } = require('./mock-database');
+const { issueChallenge, redeemProofOfWork, pruneRedeemedChallenges } = require('./proof-of-work');
+
+const SECRET = Buffer.alloc(32, 1);
+const DIFFICULTY = 8;
+const NOW = Date.parse('2026-11-01T16:00:00Z');
+
+/**
+ * Finds a nonce the way the mint page does
+ */
+function solve(challenge, difficulty) {
+    for (let nonce = 0; ; nonce++) {
+        const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+        const zeroBits = hash.readUInt32BE(0) === 0 ? 32 : Math.clz32(hash.readUInt32BE(0));
+        if (zeroBits >= difficulty) return String(nonce);
+    }
+}
+
+function solvedChallenge(difficulty = DIFFICULTY) {
+    const { challenge } = issueChallenge(SECRET, difficulty, NOW);
+    return { challenge, nonce: solve(challenge, difficulty) };
+}
+
+const redeem = (db, proof, options = {}) =>
+    redeemProofOfWork(db, proof, { secret: SECRET, difficulty: DIFFICULTY, now: NOW, ...options });
+
+test('a solved challenge is redeemed once', () => {
+    const { db } = createMockDatabase();
+    const proof = solvedChallenge();
+
+    assert.equal(redeem(db, proof), null);
+    assert.equal(redeem(db, proof).reason, 'pow_replayed');
+});
+
+test('missing, forged, unsolved and expired proofs are refused', () => {
+    const { db } = createMockDatabase();
+    const proof = solvedChallenge();
+    const [random, difficulty, expires, signature] = proof.challenge.split('.');
+
+    assert.equal(redeem(db, undefined).reason, 'pow_missing');
+    assert.equal(redeem(db, { challenge: proof.challenge }).reason, 'pow_missing');
+    assert.equal(redeem(db, { ...proof, challenge: `${random}.${difficulty}.${Number(expires) + 1}.${signature}` }).reason, 'pow_invalid');
+    assert.equal(redeem(db, proof, { secret: Buffer.alloc(32, 2) }).reason, 'pow_invalid');
+    assert.equal(redeem(db, proof, { difficulty: DIFFICULTY + 1 }).reason, 'pow_invalid');
+    assert.equal(redeem(db, { ...proof, nonce: 'x'.repeat(33) }).reason, 'pow_invalid');
+    assert.equal(redeem(db, proof, { now: Number(expires) + 1 }).reason, 'pow_expired');
+
+    const unsolved = issueChallenge(SECRET, 24, NOW).challenge;
+    assert.equal(redeem(db, { challenge: unsolved, nonce: '0' }, { difficulty: 24 }).reason, 'pow_invalid');
+});
+
+test('a redemption in a rolled back transaction can be spent again', () => {
+    const { db } = createMockDatabase();
+    const proof = solvedChallenge();
+
+    assert.throws(() => db.transaction(() => {
+        assert.equal(redeem(db, proof), null);
+        throw new Error('Only 0 NFTs remaining.');
+    })(), /remaining/);
+    assert.equal(redeem(db, proof), null);
+});
+
+test('expired redemptions are pruned', () => {
+    const { db } = createMockDatabase();
+    const proof = solvedChallenge();
+    redeem(db, proof);
+
+    pruneRedeemedChallenges(db, NOW);
+    assert.equal(db.prepare('SELECT COUNT(*) as count FROM pow_redemptions').get().count, 1);
+    pruneRedeemedChallenges(db, NOW + 10 * 60 * 1000);
+    assert.equal(db.prepare('SELECT COUNT(*) as count FROM pow_redemptions').get().count, 0);
+});
@@ -0,0 +1,143 @@
+// Statistical rarity over nft_traits. A token's score is the sum of
+// 1 / frequency for each of its trait values; a token missing a trait type
+// counts as having the value "None" for it, so lacking a common trait is rare too.
+// Rank 1 is the rarest token. Frequencies and ranks are per collection.
+const MISSING_TRAIT_VALUE = 'None';
+
+/**
+ * Recomputes trait frequencies, rarity scores and ranks for a collection's tokens up to its max supply
+ * Tokens without any traits are left unranked
+ * @param {Object} collection - collections row
+ * @returns {number} - Number of ranked tokens
+ */
+function computeRarity(db, collection) {
+    return db.transaction(() => {
+        const rows = db.prepare(`
+            SELECT t.nft_id, t.trait_type, t.value FROM nft_traits t
+            JOIN nfts n ON n.id = t.nft_id
+            WHERE n.collection_id = ? AND n.token_number <= ?
+        `).all(collection.id, collection.max_supply);
+
+        // nft_id -> Map(trait_type -> value)
+        const tokens = new Map();
+        const traitTypes = new Set();
+        for (const row of rows) {
+            if (!tokens.has(row.nft_id)) tokens.set(row.nft_id, new Map());
+            tokens.get(row.nft_id).set(row.trait_type, row.value);
+            traitTypes.add(row.trait_type);
+        }
+
+        const total = tokens.size;
+        db.prepare('DELETE FROM trait_frequencies WHERE collection_id = ?').run(collection.id);
+        db.prepare('UPDATE nfts SET rarity_score = NULL, rarity_rank = NULL WHERE collection_id = ?').run(collection.id);
+        if (total === 0) return 0;
+
+        // "trait_type\0value" -> count
+        const counts = new Map();
+        for (const traits of tokens.values()) {
+            for (const traitType of traitTypes) {
+                const key = `${traitType}\0${traits.get(traitType) ?? MISSING_TRAIT_VALUE}`;
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+        }
+
+        const insertFrequency = db.prepare(`
+            INSERT INTO trait_frequencies (collection_id, trait_type, value, count, frequency) VALUES (?, ?, ?, ?, ?)
+        `);
+        for (const [key, count] of counts) {
+            const [traitType, value] = key.split('\0');
+            insertFrequency.run(collection.id, traitType, value, count, count / total);
+        }
+
+        const scored = [];
+        for (const [nftId, traits] of tokens) {
+            let score = 0;
+            for (const traitType of traitTypes) {
+                const count = counts.get(`${traitType}\0${traits.get(traitType) ?? MISSING_TRAIT_VALUE}`);
+                score += total / count;
+            }
+            scored.push({ nftId, score });
+        }
+
+        // Highest score first; ties broken by id so ranks are stable between runs
+        scored.sort((a, b) => b.score - a.score || a.nftId - b.nftId);
+
+        const updateToken = db.prepare('UPDATE nfts SET rarity_score = ?, rarity_rank = ? WHERE id = ?');
+        scored.forEach((token, i) => {
+            updateToken.run(Math.round(token.score * 100) / 100, i + 1, token.nftId);
+        });
+
+        return total;
+    })();
+}
+
+/**
+ * Returns a page of a collection's leaderboard, optionally limited to tokens with every given trait
+ * @param {Object} options - { collectionId, traits: [{trait_type, value}], limit, offset, mintedOnly }
+ * @returns {{total: number, tokens: Object[]}} - token ids are numbers within the collection
+ */
+function getRarityLeaderboard(db, { collectionId, traits = [], limit = 50, offset = 0, mintedOnly = true }) {
+    const conditions = ['n.collection_id = ?', 'n.rarity_rank IS NOT NULL'];
+    const params = [collectionId];
+
+    if (mintedOnly) {
+        conditions.push('n.claimed = 1');
+    }
+    for (const trait of traits) {
+        conditions.push('EXISTS (SELECT 1 FROM nft_traits t WHERE t.nft_id = n.id AND t.trait_type = ? AND t.value = ?)');
+        params.push(trait.trait_type, trait.value);
+    }
+    const where = conditions.join(' AND ');
+
+    const total = db.prepare(`SELECT COUNT(*) as count FROM nfts n WHERE ${where}`).get(...params).count;
+    const tokens = db.prepare(`
+        SELECT n.id, n.token_number, n.cid, n.rarity_rank, n.rarity_score FROM nfts n
+        WHERE ${where}
+        ORDER BY n.rarity_rank
+        LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    const traitsFor = db.prepare(`
+        SELECT t.trait_type, t.value, f.frequency FROM nft_traits t
+        LEFT JOIN trait_frequencies f ON f.collection_id = ? AND f.trait_type = t.trait_type AND f.value = t.value
+        WHERE t.nft_id = ?
+        ORDER BY t.trait_type
+    `);
+
+    return {
+        total,
+        tokens: tokens.map(token => ({
+            id: token.token_number,
+            cid: token.cid,
+            rank: token.rarity_rank,
+            score: token.rarity_score,
+            attributes: traitsFor.all(collectionId, token.id)
+        }))
+    };
+}
+
+/**
+ * Lists every trait value in a collection with how many tokens have it
+ */
+function getTraitFrequencies(db, collectionId) {
+    return db.prepare(`
+        SELECT trait_type, value, count, frequency FROM trait_frequencies
+        WHERE collection_id = ?
+        ORDER BY trait_type, count
+    `).all(collectionId);
+}
+
+/**
+ * Returns the number of ranked tokens in a collection (the "out of" for a rank)
+ */
+function getRankedCount(db, collectionId) {
+    return db.prepare('SELECT COUNT(*) as count FROM nfts WHERE collection_id = ? AND rarity_rank IS NOT NULL')
+        .get(collectionId).count;
+}
+
+module.exports = {
+    computeRarity,
+    getRarityLeaderboard,
+    getTraitFrequencies,
+    getRankedCount
+};
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { getCollectionById } = require('./collections');
+
+// Signed mint receipts. When a completed session's receipt is first requested
+// the server signs it with its Ed25519 key and stores it, so every download is
+// byte-for-byte the same. A receipt is
+//   { receipt: { version, collection, sessionId, paymentTxid, amountZat, recipientAddress, tokens, completedAt },
+//     algorithm: 'Ed25519', keyId, signature }
+// where signature is the base64 signature of canonicalJson(receipt). Anyone can
+// check one against the key published at /receipts/public-key.
+// amountZat is what the payment transaction actually paid for the session
+// (null if it isn't in the payment ledger, e.g. an operator fulfillment with an
+// unrecorded txid) and completedAt is when the session completed. Version 1
+// receipts signed the quoted amount and the time of the first download instead.
+//
+// A chain reorganization that reverts a session deletes its receipt: the old
+// one still carries a genuine signature but is no longer on record.
+const RECEIPT_VERSION = 2;
+const ALGORITHM = 'Ed25519';
+
+/**
+ * Loads the signing key, generating one on first run
+ * @param {string} keyPath - PKCS#8 PEM file
+ * @returns {crypto.KeyObject} - Ed25519 private key
+ * @throws {Error} - If the file holds something other than an Ed25519 private key
+ */
+function loadSigningKey(keyPath) {
+    if (!fs.existsSync(keyPath)) {
+        const { privateKey } = crypto.generateKeyPairSync('ed25519');
+        fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+        console.log(`🔏 Generated receipt signing key ${keyPath} - back it up: receipts can only be verified against its public key`);
+    }
+
+    const key = crypto.createPrivateKey(fs.readFileSync(keyPath));
+    if (key.asymmetricKeyType !== 'ed25519') {
+        throw new Error(`${keyPath} is a ${key.asymmetricKeyType} key - receipts need an Ed25519 key`);
+    }
+    return key;
+}
+
+/**
+ * The public half of the signing key, as published at /receipts/public-key
+ * @returns {{algorithm: string, keyId: string, publicKey: string, pem: string}} - publicKey is the raw 32 bytes, base64
+ */
+function getPublicKeyInfo(signingKey) {
+    const publicKey = crypto.createPublicKey(signingKey);
+    const raw = publicKey.export({ type: 'spki', format: 'der' }).subarray(-32);
+    return {
+        algorithm: ALGORITHM,
+        keyId: crypto.createHash('sha256').update(raw).digest('hex').slice(0, 16),
+        publicKey: raw.toString('base64'),
+        pem: publicKey.export({ type: 'spki', format: 'pem' })
+    };
+}
+
+/**
+ * JSON with object keys sorted at every level and no whitespace - the bytes that get signed
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Total the session's payment transaction paid for it, from the payment ledger
+ * Counts outputs matched to the session or resolved to it by an operator
+ * @returns {number|null} - Zatoshis, or null if the ledger has no such output
+ */
+function getPaidAmount(db, session) {
+    return db.prepare(`
+        SELECT SUM(amount_zat) as paid FROM incoming_payments
+        WHERE txid = ? AND (session_uuid = ? OR resolved_session = ?)
+    `).get(session.payment_txid, session.session_uuid, session.session_uuid).paid;
+}
+
+/**
+ * Returns a completed session's receipt, signing and storing it the first time
+ * @param {string} sessionId - sessions.session_uuid
+ * @param {crypto.KeyObject} signingKey - From loadSigningKey
+ * @returns {Object|null} - The signed receipt, or null if the session isn't complete
+ */
+function getOrIssueReceipt(db, sessionId, signingKey) {
+    return db.transaction(() => {
+        const stored = db.prepare('SELECT * FROM receipts WHERE session_uuid = ?').get(sessionId);
+        if (stored) {
+            return formatStoredReceipt(stored);
+        }
+
+        const session = db.prepare(`
+            SELECT *, strftime('%Y-%m-%dT%H:%M:%SZ', completed_at) as completed_at_iso FROM sessions
+            WHERE session_uuid = ? AND status = 'complete'
+        `).get(sessionId);
+        if (!session) {
+            return null;
+        }
+
+        const collection = getCollectionById(db, session.collection_id);
+        const assignedCids = JSON.parse(session.assigned_cids || '[]');
+        const tokenNumbers = assignedCids.length === 0 ? new Map() : new Map(db.prepare(`
+            SELECT token_number, cid FROM nfts
+            WHERE collection_id = ? AND cid IN (${assignedCids.map(() => '?').join(', ')})
+        `).all(session.collection_id, ...assignedCids).map(n => [n.cid, n.token_number]));
+
+        const receipt = {
+            version: RECEIPT_VERSION,
+            collection: collection.slug,
+            sessionId,
+            paymentTxid: session.payment_txid,
+            amountZat: getPaidAmount(db, session),
+            recipientAddress: session.recipient_address,
+            tokens: assignedCids
+                .map(cid => ({ id: tokenNumbers.get(cid), cid }))
+                .sort((a, b) => a.id - b.id),
+            completedAt: session.completed_at_iso
+        };
+        const payload = canonicalJson(receipt);
+        const { keyId } = getPublicKeyInfo(signingKey);
+        const signature = crypto.sign(null, Buffer.from(payload), signingKey).toString('base64');
+
+        db.prepare('INSERT INTO receipts (session_uuid, payload, key_id, signature) VALUES (?, ?, ?, ?)')
+            .run(sessionId, payload, keyId, signature);
+        return formatStoredReceipt({ payload, key_id: keyId, signature });
+    })();
+}
+
+function formatStoredReceipt(row) {
+    return { receipt: JSON.parse(row.payload), algorithm: ALGORITHM, keyId: row.key_id, signature: row.signature };
+}
+
+/**
+ * Checks a receipt's signature and whether it is still on record
+ * @param {Object} document - A receipt as downloaded
+ * @param {crypto.KeyObject} signingKey - The server's key (its public half verifies)
+ * @returns {{valid: boolean, current: boolean, reason: string|null}} - valid: genuinely signed by us;
+ *   current: also matches the receipt we hold for the session
+ */
+function verifyReceipt(db, document, signingKey) {
+    const invalid = reason => ({ valid: false, current: false, reason });
+    const { receipt, algorithm, keyId, signature } = document || {};
+
+    if (receipt === null || typeof receipt !== 'object' || typeof receipt.sessionId !== 'string' || typeof signature !== 'string') {
+        return invalid('Not a receipt: expected { receipt, algorithm, keyId, signature }.');
+    }
+    const publicKey = getPublicKeyInfo(signingKey);
+    if (algorithm !== ALGORITHM || keyId !== publicKey.keyId) {
+        return invalid(`Not signed with our key (expected ${ALGORITHM} key ${publicKey.keyId}).`);
+    }
+
+    const payload = canonicalJson(receipt);
+    let genuine = false;
+    try {
+        genuine = crypto.verify(null, Buffer.from(payload), crypto.createPublicKey(signingKey), Buffer.from(signature, 'base64'));
+    } catch (err) {
+        // Malformed signature - reported as not genuine below
+    }
+    if (!genuine) {
+        return invalid('Signature does not match the receipt - it was altered or not issued by us.');
+    }
+
+    const stored = db.prepare('SELECT payload FROM receipts WHERE session_uuid = ?').get(receipt.sessionId);
+    if (!stored || stored.payload !== payload) {
+        return { valid: true, current: false, reason: 'Genuine, but no longer on record - the payment was rolled back by a chain reorganization.' };
+    }
+    return { valid: true, current: true, reason: null };
+}
+
+/**
+ * Withdraws a session's receipt (its completion was reverted)
+ */
+function revokeReceipt(db, sessionId) {
+    db.prepare('DELETE FROM receipts WHERE session_uuid = ?').run(sessionId);
+}
+
+module.exports = {
+    loadSigningKey,
+    getPublicKeyInfo,
+    canonicalJson,
+    getOrIssueReceipt,
+    verifyReceipt,
+    revokeReceipt
+};
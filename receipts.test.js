@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createMockDatabase, createMockSession, MOCK_CONFIG } = require('./mock-database');
+const { recordIncomingPayment } = require('./payment-ledger');
+const { fulfillOrder, rollbackToHeight } = require('./payment-confirmations');
+const { canonicalJson, getOrIssueReceipt, verifyReceipt } = require('./receipts');
+
+const TXID = 'ef'.repeat(32);
+const { privateKey: SIGNING_KEY } = crypto.generateKeyPairSync('ed25519');
+
+test.beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+});
+
+/**
+ * A session paid with `paidZat` (which may differ from its quote) and completed
+ */
+function completeSession(db, collection, paidZat) {
+    const session = createMockSession(db, collection, { quantity: 2, recipient_address: 't1buyer' });
+    recordIncomingPayment(db, {
+        txid: TXID, vout: 0, address: MOCK_CONFIG.paymentAddress, amountZat: paidZat,
+        blockHeight: 100, sessionId: session.session_uuid, outcome: 'matched'
+    });
+    db.prepare(`UPDATE sessions SET status = 'confirming', payment_block_height = 100 WHERE session_uuid = ?`).run(session.session_uuid);
+    fulfillOrder(db, { sessionId: session.session_uuid, quantity: 2 }, TXID, 3);
+    db.prepare(`UPDATE sessions SET completed_at = '2026-11-01 16:05:00' WHERE session_uuid = ?`).run(session.session_uuid);
+    return session;
+}
+
+test('receipts sign what was paid and when the session completed', () => {
+    const { db, collection } = createMockDatabase();
+    const session = completeSession(db, collection, 1234567);
+
+    const document = getOrIssueReceipt(db, session.session_uuid, SIGNING_KEY);
+    assert.deepEqual(document.receipt, {
+        version: 2,
+        collection: collection.slug,
+        sessionId: session.session_uuid,
+        paymentTxid: TXID,
+        amountZat: 1234567,
+        recipientAddress: 't1buyer',
+        tokens: [{ id: 1, cid: 'cid-1' }, { id: 2, cid: 'cid-2' }],
+        completedAt: '2026-11-01T16:05:00Z'
+    });
+    assert.ok(crypto.verify(null, Buffer.from(canonicalJson(document.receipt)), crypto.createPublicKey(SIGNING_KEY),
+        Buffer.from(document.signature, 'base64')));
+
+    // Stored on first request, so every download is the same
+    assert.deepEqual(getOrIssueReceipt(db, session.session_uuid, SIGNING_KEY), document);
+    assert.deepEqual(verifyReceipt(db, document, SIGNING_KEY), { valid: true, current: true, reason: null });
+});
+
+test('altered, foreign and revoked receipts fail verification', () => {
+    const { db, collection } = createMockDatabase();
+    const session = completeSession(db, collection, 1000000);
+    const document = getOrIssueReceipt(db, session.session_uuid, SIGNING_KEY);
+
+    const altered = { ...document, receipt: { ...document.receipt, amountZat: 1 } };
+    assert.match(verifyReceipt(db, altered, SIGNING_KEY).reason, /altered/);
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('ed25519');
+    assert.match(verifyReceipt(db, document, otherKey).reason, /Not signed with our key/);
+    assert.equal(verifyReceipt(db, { receipt: 'x' }, SIGNING_KEY).valid, false);
+
+    rollbackToHeight(db, 99);
+    assert.equal(getOrIssueReceipt(db, session.session_uuid, SIGNING_KEY), null);
+    assert.equal(verifyReceipt(db, document, SIGNING_KEY).current, false);
+    assert.equal(db.prepare('SELECT completed_at FROM sessions WHERE session_uuid = ?').get(session.session_uuid).completed_at, null);
+});
+
+test('a completion without a recorded payment or NFTs still gets a receipt', () => {
+    const { db, collection } = createMockDatabase();
+    const session = createMockSession(db, collection, {
+        status: 'complete', payment_txid: TXID, assigned_cids: '[]', completed_at: '2026-11-01 16:05:00'
+    });
+
+    const { receipt } = getOrIssueReceipt(db, session.session_uuid, SIGNING_KEY);
+    assert.equal(receipt.amountZat, null);
+    assert.deepEqual(receipt.tokens, []);
+    assert.equal(getOrIssueReceipt(db, createMockSession(db, collection).session_uuid, SIGNING_KEY), null);
+});
@@ -0,0 +1,78 @@
+const Database = require('better-sqlite3');
+const { listFlaggedPayments, fulfillIncomingPayment, refundIncomingPayment } = require('./payment-ledger');
+const { formatZec } = require('./zatoshis');
+const { syncDefaultCollection, getCollection, getCollectionById } = require('./collections');
+const { getConfig } = require('./config');
+const { requireCurrentSchema } = require('./migrator');
+
+const config = getConfig();
+
+const USAGE = `Usage:
+  node resolve-payments.js list
+  node resolve-payments.js fulfill <paymentId> [quantity] [collectionSlug]
+  node resolve-payments.js refund <paymentId> <refundTxid>`;
+
+const db = new Database(config.databasePath);
+const [command, paymentId, arg, collectionSlug] = process.argv.slice(2);
+
+requireCurrentSchema(db);
+const defaultCollection = syncDefaultCollection(db, config);
+
+/**
+ * Works out which collection a payment was meant for: the one it was paid to
+ * (or the session it reached), falling back to the default collection
+ */
+function collectionForPayment(payment) {
+    if (collectionSlug) {
+        const collection = getCollection(db, collectionSlug);
+        if (!collection) throw new Error(`Collection "${collectionSlug}" not found.`);
+        return collection;
+    }
+
+    const byAddress = db.prepare('SELECT * FROM collections WHERE payment_address = ? ORDER BY id LIMIT 1').get(payment.address);
+    if (byAddress) return byAddress;
+
+    const session = payment.session_uuid
+        ? db.prepare('SELECT collection_id FROM sessions WHERE session_uuid = ?').get(payment.session_uuid)
+        : null;
+    return (session && getCollectionById(db, session.collection_id)) || defaultCollection;
+}
+
+try {
+    if (command === 'list') {
+        const payments = listFlaggedPayments(db);
+
+        if (payments.length === 0) {
+            console.log('✅ No flagged payments - nothing to resolve');
+        } else {
+            console.log(`🚩 ${payments.length} flagged payment(s):\n`);
+            payments.forEach(p => {
+                const where = p.block_height ? `block ${p.block_height}` : 'mempool';
+                console.log(`   #${p.id} ${p.outcome.toUpperCase()} ${formatZec(p.amount_zat)} ZEC → ${p.address} (${where})`);
+                console.log(`      Txid: ${p.txid}:${p.vout}${p.session_uuid ? `  Session: ${p.session_uuid}` : ''}`);
+            });
+        }
+    } else if (command === 'fulfill' && paymentId) {
+        // Default to as many NFTs as the payment covers
+        const payment = db.prepare('SELECT amount_zat, address, session_uuid FROM incoming_payments WHERE id = ?').get(paymentId);
+        if (!payment) throw new Error(`Payment ${paymentId} not found.`);
+
+        const collection = collectionForPayment(payment);
+        const quantity = arg ? parseInt(arg) : Math.floor(payment.amount_zat / collection.price_per_nft_zat);
+
+        const result = fulfillIncomingPayment(db, parseInt(paymentId), quantity, collection, config.requiredConfirmations);
+        console.log(`✅ Payment #${paymentId} fulfilled with ${quantity} ${collection.name} NFTs → Session ${result.sessionId}`);
+        console.log(`   📦 Assigned CIDs: ${result.assignedCids.join(', ')}`);
+    } else if (command === 'refund' && paymentId && arg) {
+        refundIncomingPayment(db, parseInt(paymentId), arg);
+        console.log(`✅ Payment #${paymentId} marked refunded (${arg})`);
+    } else {
+        console.log(USAGE);
+        process.exitCode = 1;
+    }
+} catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+} finally {
+    db.close();
+}
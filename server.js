@@ -3,19 +3,116 @@ const Database = require('better-sqlite3');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const crypto = require('crypto');
+const { DEFAULT_GAP_LIMIT, deriveAddress, allocateAddressIndex, getLongestUnusedRun, isValidZcashAddress } = require('./payment-addresses');
+const { formatZec } = require('./zatoshis');
+const { buildTokenMetadata } = require('./token-metadata');
+const { getTransferHistory } = require('./inscription-transfers');
+const { buildInscription } = require('./zinc-inscriptions');
+const { loadMintPhases, getActivePhase, getNextPhase, checkPhaseLimits, describePhase } = require('./mint-phases');
+const { quotePrice, describePrice, formatPricing } = require('./pricing');
+const { getSessionPaymentRequest, renderPaymentQr } = require('./payment-uri');
+const { getClientIdentity, checkClientLimits, recordIntentRejection, getRejectionSummary, pruneIntentRejections } = require('./client-limits');
+const { issueChallenge, redeemProofOfWork, pruneRedeemedChallenges } = require('./proof-of-work');
+const { loadSigningKey, getPublicKeyInfo, getOrIssueReceipt, verifyReceipt } = require('./receipts');
+const { allocateUniqueAmount, releaseDroppedFulfillments } = require('./payment-ledger');
+const { getRarityLeaderboard, getTraitFrequencies, getRankedCount } = require('./rarity');
+const { recordSessionEvent, getSessionEventsSince, getLatestSessionEventId, pruneSessionEvents } = require('./session-events');
+const { syncDefaultCollection, getCollection, getCollectionById, listCollections, getCollectionProgress, describeCollection } = require('./collections');
+const { getConfig } = require('./config');
+const { requireCurrentSchema } = require('./migrator');
+const metrics = require('./metrics');
+const { reportReady, reportAlive, onShutdown, getSupervisorStatus } = require('./service-lifecycle');
 
+const config = getConfig();
 const app = express();
-const DB_PATH = process.env.DATABASE_PATH || 'nfts.db';
-const db = new Database(DB_PATH);
+const db = new Database(config.databasePath);
+requireCurrentSchema(db);
 
+app.set('trust proxy', config.trustProxy);
 app.use(cors());
 app.use(bodyParser.json());
 app.use(express.static('public'));
 
-const PRICE_PER_NFT = 0.005;
-const PAYMENT_ADDRESS = 't1gU211G8Msqb6EYVtdnepjZsfonxd2RR8H';
-const MAX_SUPPLY = 5000;
-const SESSION_TIMEOUT_MINUTES = 10; // Extended to 10 minutes (was 5)
+const SESSION_TIMEOUT_MINUTES = config.sessionTimeoutMinutes;
+const SESSION_EVENT_POLL_MS = 1000; // How often /events streams check the change feed
+const HEARTBEAT_INTERVAL_MS = 10000; // Liveness reports to start-all.js
+const REQUIRED_CONFIRMATIONS = config.requiredConfirmations;
+
+// Opt-in: derive a fresh transparent address per session from this xpub
+// and match payments by address instead of by unique amount (validated by config.js)
+const PAYMENT_XPUB = config.paymentXpub;
+
+const ADMIN_API_TOKEN = config.adminApiToken;
+
+const CLIENT_LIMITS = {
+    maxOpenSessions: config.maxOpenSessionsPerClient,
+    maxReserved: config.maxReservedPerClient
+};
+
+// Proof-of-work challenges are signed with a per-process key - a restart only
+// invalidates the few challenges still being solved
+const POW_DIFFICULTY = config.powDifficulty;
+let warnedAboutProxy = false; // See TRUST_PROXY in config.js
+const POW_SECRET = crypto.randomBytes(32);
+
+const RECEIPT_KEY = loadSigningKey(config.receiptKeyPath);
+
+// The default collection (supply, price, payment address, phases) comes from config.js
+const defaultCollection = syncDefaultCollection(db, config);
+
+// Mint phases per collection id. Without a phases file a collection is one public
+// phase at its own pricing. Loaded on first use so collections added while the
+// server runs don't need a restart.
+const mintPhasesByCollection = new Map();
+
+function getMintPhases(collection) {
+    if (!mintPhasesByCollection.has(collection.id)) {
+        mintPhasesByCollection.set(collection.id, loadMintPhases(collection));
+    }
+    return mintPhasesByCollection.get(collection.id);
+}
+
+listCollections(db).forEach(getMintPhases); // Fail fast on a broken phases file
+
+/**
+ * NFTs of a collection that are sold or reserved - the supply position bonding curves price from
+ */
+function getSoldCount(collection) {
+    const progress = getCollectionProgress(db, collection);
+    return progress.minted + progress.reserved;
+}
+
+// Metrics read from the database at scrape time (see /metrics)
+const sessionGauge = metrics.gauge('sessions', 'Payment sessions per collection and status');
+const nftGauge = metrics.gauge('nfts', 'NFTs within max supply per collection and state (available, reserved, minted, withheld, inscribed)');
+const recentMintsGauge = metrics.gauge('nfts_minted_last_hour', 'NFTs of completed sessions in the last hour per collection');
+const paymentIntents = metrics.counter('payment_intents_total', 'Payment intents per collection and result (created, or the reason it was refused)');
+
+metrics.onCollect(() => {
+    const collections = new Map(listCollections(db).map(c => [c.id, c]));
+
+    sessionGauge.reset();
+    db.prepare('SELECT collection_id, status, COUNT(*) as count FROM sessions GROUP BY collection_id, status').all()
+        .forEach(row => sessionGauge.set({ collection: collections.get(row.collection_id)?.slug, status: row.status }, row.count));
+
+    nftGauge.reset();
+    recentMintsGauge.reset();
+    for (const collection of collections.values()) {
+        const progress = getCollectionProgress(db, collection);
+        const inscribed = db.prepare('SELECT COUNT(*) as count FROM nfts WHERE collection_id = ? AND inscriptionTxid IS NOT NULL')
+            .get(collection.id).count;
+        const recent = db.prepare(`
+            SELECT COALESCE(SUM(quantity), 0) as count FROM sessions
+            WHERE collection_id = ? AND status = 'complete' AND updated_at >= datetime('now', '-1 hour')
+        `).get(collection.id).count;
+
+        for (const state of ['available', 'reserved', 'minted', 'withheld']) {
+            nftGauge.set({ collection: collection.slug, state }, progress[state]);
+        }
+        nftGauge.set({ collection: collection.slug, state: 'inscribed' }, inscribed);
+        recentMintsGauge.set({ collection: collection.slug }, recent);
+    }
+});
 
 // Cleanup expired sessions on startup and periodically
 // NOTE: Sessions with status 'payment_pending' will NOT be expired!
@@ -36,12 +133,13 @@ function cleanupExpiredSessions() {
                 // Release reserved NFTs
                 const releaseStmt = db.prepare('UPDATE nfts SET session_id = NULL WHERE session_id = ? AND claimed = 0');
                 
-                // Delete expired sessions
-                const deleteStmt = db.prepare('DELETE FROM sessions WHERE session_uuid = ?');
+                // Keep expired sessions so late payments can still be traced back to them
+                const expireStmt = db.prepare(`UPDATE sessions SET status = 'expired', updated_at = CURRENT_TIMESTAMP WHERE session_uuid = ?`);
                 
                 for (const session of expiredSessions) {
                     releaseStmt.run(session.session_uuid);
-                    deleteStmt.run(session.session_uuid);
+                    expireStmt.run(session.session_uuid);
+                    recordSessionEvent(db, session.session_uuid, 'expired');
                 }
                 
                 console.log(`✅ Released ${expiredSessions.length} reserved NFT batches`);
@@ -60,12 +158,20 @@ function cleanupExpiredSessions() {
                 for (const session of abandonedSessions) {
                     db.prepare('UPDATE nfts SET session_id = NULL WHERE session_id = ? AND claimed = 0')
                         .run(session.session_uuid);
-                    db.prepare('DELETE FROM sessions WHERE session_uuid = ?')
+                    db.prepare(`UPDATE sessions SET status = 'expired', updated_at = CURRENT_TIMESTAMP WHERE session_uuid = ?`)
                         .run(session.session_uuid);
+                    recordSessionEvent(db, session.session_uuid, 'expired');
                 }
                 
                 console.log(`✅ Released ${abandonedSessions.length} abandoned reservations`);
             }
+
+            // Operator fulfillments whose payment a reorg dropped for good go back to the ledger
+            releaseDroppedFulfillments(db);
+
+            pruneSessionEvents(db);
+            pruneIntentRejections(db);
+            pruneRedeemedChallenges(db);
         })();
     } catch (err) {
         console.error('Error cleaning up sessions:', err);
@@ -76,18 +182,61 @@ function cleanupExpiredSessions() {
 cleanupExpiredSessions();
 setInterval(cleanupExpiredSessions, 1 * 60 * 1000);
 
+// Mint routes answer at the root for the default collection and under
+// /collections/:slug for any collection
+function collectionRoutes(path) {
+    return [path, `/collections/:slug${path}`];
+}
+
+function resolveCollection(req, res, next) {
+    const collection = req.params.slug
+        ? getCollection(db, req.params.slug)
+        : getCollectionById(db, defaultCollection.id);
+
+    if (!collection) {
+        return res.status(404).json({ error: 'Collection not found.' });
+    }
+    req.collection = collection;
+    next();
+}
+
+// Every collection with its progress and current phase
+app.get('/collections', (req, res) => {
+    try {
+        res.json(listCollections(db).map(collection => {
+            const progress = getCollectionProgress(db, collection);
+            return {
+                ...describeCollection(collection),
+                default: collection.id === defaultCollection.id,
+                ...progress,
+                phase: describePhase(db, getActivePhase(getMintPhases(collection)), { sold: progress.minted + progress.reserved })
+            };
+        }));
+    } catch (err) {
+        console.error('Error listing collections:', err);
+        res.status(500).json({ error: 'Failed to list collections' });
+    }
+});
+
 // ENDPOINT 1: Get Mint Progress
-app.get('/mint-progress', (req, res) => {
+app.get(collectionRoutes('/mint-progress'), resolveCollection, (req, res) => {
+    const { collection } = req;
+
     try {
-        const minted = db.prepare('SELECT COUNT(*) as count FROM nfts WHERE claimed = 1 AND id <= ?').get(MAX_SUPPLY).count;
-        const reserved = db.prepare('SELECT COUNT(*) as count FROM nfts WHERE session_id IS NOT NULL AND claimed = 0 AND id <= ?').get(MAX_SUPPLY).count;
+        const progress = getCollectionProgress(db, collection);
+        const mintPhases = getMintPhases(collection);
+        const phase = getActivePhase(mintPhases);
+        const now = Date.now();
+        const sold = progress.minted + progress.reserved;
         
         res.json({
-            total: MAX_SUPPLY,
-            minted: minted,
-            reserved: reserved,
-            available: MAX_SUPPLY - minted - reserved,
-            percentage: ((minted / MAX_SUPPLY) * 100).toFixed(2)
+            collection: collection.slug,
+            ...progress,
+            percentage: ((progress.minted / progress.total) * 100).toFixed(2),
+            phase: describePhase(db, phase, { now, sold }),
+            nextPhase: describePhase(db, getNextPhase(mintPhases), { now, sold }),
+            // Current and next unit price, and the total for each quantity up to the session limit
+            price: phase ? describePrice(phase.pricing, { now, sold, maxQuantity: phase.maxPerSession }) : null
         });
     } catch (err) {
         console.error('Error getting mint progress:', err);
@@ -96,41 +245,106 @@ app.get('/mint-progress', (req, res) => {
 });
 
 // ENDPOINT 2: Create a new payment intent (WITH RACE CONDITION PROTECTION)
-app.post('/create-payment-intent', (req, res) => {
+app.post(collectionRoutes('/create-payment-intent'), resolveCollection, (req, res) => {
+    const { collection } = req;
     const { quantity } = req.body;
+    const recipientAddress = req.body.recipientAddress ? String(req.body.recipientAddress).trim() : null;
+    const allowlistToken = req.body.allowlistToken ? String(req.body.allowlistToken).trim() : null;
     
-    if (!quantity || quantity < 1 || quantity > 20) {
-        return res.json({ error: 'Invalid quantity (must be 1-20).' });
+    const mintPhases = getMintPhases(collection);
+    const phase = getActivePhase(mintPhases);
+    if (!phase) {
+        const next = getNextPhase(mintPhases);
+        return res.json({
+            error: next
+                ? `Minting is closed. The ${next.name} phase opens at ${new Date(next.start).toISOString()}.`
+                : 'Minting has ended.'
+        });
+    }
+    
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > phase.maxPerSession) {
+        return res.json({ error: `Invalid quantity (must be 1-${phase.maxPerSession}).` });
     }
 
+    // Optional - the address recorded as owner of the minted NFTs
+    if (recipientAddress && !isValidZcashAddress(recipientAddress)) {
+        return res.json({ error: 'Invalid recipient address (expected a t1, t3, zs1 or u1 Zcash address).' });
+    }
+
+    const client = getClientIdentity(req);
+    if (!config.trustProxy && req.get('x-forwarded-for') && !warnedAboutProxy) {
+        warnedAboutProxy = true;
+        console.log(`⚠️  Requests carry X-Forwarded-For but TRUST_PROXY is 0: every client is seen as ${client.ip} and shares one set of per-client limits`);
+    }
+    const reject = ({ reason, message }) => {
+        recordIntentRejection(db, { collectionId: collection.id, client, quantity, reason, message });
+        paymentIntents.inc({ collection: collection.slug, result: reason });
+        console.log(`🚫 Refused payment intent from ${client.ip} (${client.fingerprint.slice(0, 8)}): ${reason}`);
+        res.status(429).json({ error: message, reason });
+    };
+
     try {
         // Use a transaction to ensure atomicity and prevent race conditions
         const result = db.transaction(() => {
+            // Unpaid sessions and reservations this client already holds
+            const clientRefusal = checkClientLimits(db, client, quantity, CLIENT_LIMITS);
+            if (clientRefusal) {
+                throw Object.assign(new Error(clientRefusal.message), { rejection: clientRefusal });
+            }
+
+            // Phase allowlist, allocation and per-address limits
+            const refusal = checkPhaseLimits(db, phase, quantity, recipientAddress, allowlistToken, client);
+            if (refusal) {
+                throw new Error(refusal);
+            }
+
             // Check available NFTs (not claimed AND not reserved)
             const availableCount = db.prepare(`
                 SELECT COUNT(*) as count 
                 FROM nfts 
                 WHERE claimed = 0 
                 AND session_id IS NULL 
-                AND id <= ?
-            `).get(MAX_SUPPLY).count;
+                AND withheld = 0
+                AND collection_id = ?
+                AND token_number <= ?
+            `).get(collection.id, collection.max_supply).count;
             
             if (availableCount < quantity) {
                 throw new Error(`Only ${availableCount} NFTs remaining. Cannot mint ${quantity}.`);
             }
 
+            // Spend the proof of work last, so a refused request doesn't burn it
+            // (and anything that fails below rolls the redemption back)
+            if (POW_DIFFICULTY > 0) {
+                const powRefusal = redeemProofOfWork(db, req.body.pow, { secret: POW_SECRET, difficulty: POW_DIFFICULTY });
+                if (powRefusal) {
+                    throw Object.assign(new Error(powRefusal.message), { rejection: powRefusal });
+                }
+            }
+
+            // Lock the quote INSIDE the transaction so concurrent sessions see each other's reservations
+            const basePrice = quotePrice(phase.pricing, { now: Date.now(), sold: getSoldCount(collection), quantity });
+
             // Generate unique amount INSIDE transaction to prevent duplicates
-            const basePrice = PRICE_PER_NFT * quantity;
-            const seqResult = db.prepare("SELECT seq FROM sqlite_sequence WHERE name = 'sessions'").get();
-            const nextId = (seqResult ? seqResult.seq : 0) + 1;
-            const uniqueAmount = basePrice + (nextId / 100000000.0);
+            // Amounts are integer zatoshis - the session id is added as a unique suffix
+            const uniqueAmount = allocateUniqueAmount(db, basePrice);
             const sessionId = crypto.randomBytes(16).toString('hex');
 
             // Insert session immediately
             db.prepare(`
-                INSERT INTO sessions (session_uuid, amount_due, quantity, status) 
-                VALUES (?, ?, ?, ?)
-            `).run(sessionId, uniqueAmount, quantity, 'pending');
+                INSERT INTO sessions (session_uuid, amount_due_zat, quantity, status, recipient_address, collection_id, phase, price_per_nft_zat, quote_zat, client_ip, client_fingerprint) 
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(sessionId, uniqueAmount, quantity, 'pending', recipientAddress, collection.id, phase.name, Math.floor(basePrice / quantity), basePrice, client.ip, client.fingerprint);
+            recordSessionEvent(db, sessionId, 'pending');
+
+            // Every session gets its own address at the next derivation index
+            let sessionAddress = null;
+            if (PAYMENT_XPUB) {
+                const addressIndex = allocateAddressIndex(db);
+                sessionAddress = deriveAddress(PAYMENT_XPUB, addressIndex);
+                db.prepare('UPDATE sessions SET payment_address = ?, address_index = ? WHERE session_uuid = ?')
+                    .run(sessionAddress, addressIndex, sessionId);
+            }
             
             // RESERVE the NFTs immediately by setting session_id
             // This prevents over-selling if multiple people try to mint at once
@@ -141,11 +355,13 @@ app.post('/create-payment-intent', (req, res) => {
                     SELECT id FROM nfts 
                     WHERE claimed = 0 
                     AND session_id IS NULL 
-                    AND id <= ? 
+                    AND withheld = 0
+                    AND collection_id = ?
+                    AND token_number <= ? 
                     ORDER BY RANDOM()
                     LIMIT ?
                 )
-            `).run(sessionId, MAX_SUPPLY, quantity);
+            `).run(sessionId, collection.id, collection.max_supply, quantity);
             
             // Verify we actually reserved the right amount
             const reservedCount = db.prepare(
@@ -156,96 +372,717 @@ app.post('/create-payment-intent', (req, res) => {
                 throw new Error('Failed to reserve NFTs. Please try again.');
             }
             
-            return { sessionId, uniqueAmount };
+            return { sessionId, basePrice };
         })();
         
-        console.log(`💳 Created payment session ${result.sessionId} for ${quantity} NFTs (${result.uniqueAmount.toFixed(8)} ZEC)`);
+        const session = db.prepare('SELECT * FROM sessions WHERE session_uuid = ?').get(result.sessionId);
+        const payment = getSessionPaymentRequest(session, collection);
+        paymentIntents.inc({ collection: collection.slug, result: 'created' });
+        
+        console.log(`💳 Created ${collection.slug}/${phase.name} payment session ${result.sessionId} for ${quantity} NFTs (${formatZec(payment.amountZat)} ZEC)`);
         
         res.json({
             success: true,
             sessionId: result.sessionId,
-            amount: result.uniqueAmount.toFixed(8),
-            paymentAddress: PAYMENT_ADDRESS
+            amount: formatZec(payment.amountZat),
+            amountZat: payment.amountZat,
+            quoteZat: result.basePrice,
+            pricing: phase.pricing.strategy,
+            collection: collection.slug,
+            paymentAddress: payment.address,
+            paymentUri: payment.uri,
+            paymentMemo: payment.memo,
+            qrCodeUrl: `/payment-qr/${result.sessionId}`,
+            recipientAddress,
+            exactAmountRequired: payment.exactAmountRequired
         });
 
     } catch (e) {
+        if (e.rejection) {
+            return reject(e.rejection);
+        }
         console.error('Payment intent creation error:', e);
         res.json({ error: e.message || 'Failed to generate payment session.' });
     }
 });
 
+// ENDPOINT 2a: Proof-of-work challenge to solve before /create-payment-intent (see proof-of-work.js)
+app.get('/pow-challenge', (req, res) => {
+    if (POW_DIFFICULTY === 0) {
+        return res.json({ required: false });
+    }
+    res.json({ required: true, ...issueChallenge(POW_SECRET, POW_DIFFICULTY) });
+});
+
+// ENDPOINT 2b: QR code of a session's ZIP-321 payment URI (SVG, or PNG with ?format=png)
+app.get('/payment-qr/:sessionId', async (req, res) => {
+    const format = req.query.format || 'svg';
+    if (format !== 'svg' && format !== 'png') {
+        return res.status(400).json({ error: 'format must be svg or png.' });
+    }
+
+    const session = db.prepare('SELECT * FROM sessions WHERE session_uuid = ?').get(req.params.sessionId);
+    if (!session) {
+        return res.status(404).json({ error: 'Invalid session.' });
+    }
+    if (session.status !== 'pending') {
+        return res.status(410).json({ error: 'This session is no longer awaiting payment.' });
+    }
+
+    try {
+        const { uri } = getSessionPaymentRequest(session, getCollectionById(db, session.collection_id));
+        const qr = await renderPaymentQr(uri, format);
+
+        res.set('Cache-Control', 'private, max-age=600');
+        res.type(format === 'png' ? 'image/png' : 'image/svg+xml').send(qr);
+    } catch (err) {
+        console.error('Error rendering payment QR code:', err);
+        res.status(500).json({ error: 'Failed to render QR code.' });
+    }
+});
+
+/**
+ * Looks up a session's NFTs by CID
+ * @param {string[]} cids - May be empty (a complete session with nothing assigned)
+ * @param {string} columns - nfts columns to select (include cid)
+ * @returns {Map<string, Object>} - cid -> nfts row
+ */
+function getNftsByCid(collectionId, cids, columns) {
+    if (cids.length === 0) {
+        return new Map(); // `cid IN ()` is a syntax error in SQLite
+    }
+    return new Map(db.prepare(`
+        SELECT ${columns} FROM nfts 
+        WHERE collection_id = ? AND cid IN (${cids.map(() => '?').join(', ')})
+    `).all(collectionId, ...cids).map(n => [n.cid, n]));
+}
+
 // ENDPOINT 3: Check the status of a payment
+/**
+ * Builds the payment status payload shared by /check-payment-status and /events
+ * @param {string} sessionId - sessions.session_uuid
+ * @returns {Object} - { status, ... } as sent to the frontend
+ */
+function getPaymentStatus(sessionId) {
+    const session = db.prepare(`
+        SELECT status, assigned_cids, quantity, created_at, payment_txid, confirmations, recipient_address, collection_id 
+        FROM sessions 
+        WHERE session_uuid = ?
+    `).get(sessionId);
+
+    if (!session) {
+        return { status: 'error', message: 'Invalid session.' };
+    }
+
+    // Check if session has expired (only for 'pending' status)
+    const createdAt = new Date(session.created_at);
+    const now = new Date();
+    const minutesElapsed = (now - createdAt) / (1000 * 60);
+    
+    if (session.status === 'expired' || (session.status === 'pending' && minutesElapsed > SESSION_TIMEOUT_MINUTES)) {
+        return { 
+            status: 'expired', 
+            message: 'Payment session expired. Please start a new mint.' 
+        };
+    }
+
+    // Handle different statuses
+    if (session.status === 'complete') {
+        // Parse assigned CIDs and format as objects for frontend, with rarity when traits are loaded
+        const assignedCids = JSON.parse(session.assigned_cids || '[]');
+        const tokens = getNftsByCid(session.collection_id, assignedCids, 'token_number, cid, rarity_rank, rarity_score');
+
+        return {
+            status: 'complete',
+            collection: getCollectionById(db, session.collection_id)?.slug,
+            items: assignedCids.map(cid => ({
+                cid,
+                id: tokens.get(cid)?.token_number,
+                rarityRank: tokens.get(cid)?.rarity_rank ?? null,
+                rarityScore: tokens.get(cid)?.rarity_score ?? null
+            })),
+            rankedTotal: getRankedCount(db, session.collection_id),
+            quantity: session.quantity,
+            recipientAddress: session.recipient_address,
+            receiptUrl: `/receipts/${sessionId}`
+        };
+    } else if (session.status === 'payment_pending') {
+        // Transaction detected in mempool but not yet confirmed
+        return { 
+            status: 'payment_pending',
+            message: 'Payment detected! Waiting for blockchain confirmation...',
+            txid: session.payment_txid,
+            confirmations: 0,
+            requiredConfirmations: REQUIRED_CONFIRMATIONS
+        };
+    } else if (session.status === 'confirming') {
+        // Transaction mined, waiting for enough blocks on top of it
+        return {
+            status: 'confirming',
+            message: `Payment confirming (${session.confirmations}/${REQUIRED_CONFIRMATIONS})...`,
+            txid: session.payment_txid,
+            confirmations: session.confirmations,
+            requiredConfirmations: REQUIRED_CONFIRMATIONS
+        };
+    } else if (session.status === 'pending') {
+        // Still waiting for payment
+        return { status: 'pending' };
+    }
+
+    // Other statuses (failed, etc.)
+    return { status: session.status, message: 'Something went wrong.' };
+}
+
 app.get('/check-payment-status/:sessionId', (req, res) => {
+    try {
+        res.json(getPaymentStatus(req.params.sessionId));
+    } catch (err) {
+        console.error('Error checking payment status:', err);
+        res.json({ status: 'error', message: 'Failed to check payment status.' });
+    }
+});
+
+// ENDPOINT 3a: Signed mint receipts (see receipts.js)
+// The key receipts are signed with, for anyone verifying them offline
+app.get('/receipts/public-key', (req, res) => {
+    res.json(getPublicKeyInfo(RECEIPT_KEY));
+});
+
+// Checks a receipt (the JSON document as downloaded) was issued by us and is still on record
+app.post('/receipts/verify', (req, res) => {
+    try {
+        res.json(verifyReceipt(db, req.body, RECEIPT_KEY));
+    } catch (err) {
+        console.error('Error verifying receipt:', err);
+        res.status(500).json({ error: 'Failed to verify receipt.' });
+    }
+});
+
+// A completed session's receipt (?download=1 to save it as a file)
+app.get('/receipts/:sessionId', (req, res) => {
+    try {
+        const receipt = getOrIssueReceipt(db, req.params.sessionId, RECEIPT_KEY);
+        if (!receipt) {
+            return res.status(404).json({ error: 'No receipt - the session does not exist or is not complete.' });
+        }
+
+        if (req.query.download) {
+            res.attachment(`receipt-${receipt.receipt.collection}-${req.params.sessionId}.json`);
+        }
+        res.type('application/json').send(JSON.stringify(receipt, null, 2));
+    } catch (err) {
+        console.error('Error issuing receipt:', err);
+        res.status(500).json({ error: 'Failed to issue receipt.' });
+    }
+});
+
+// ENDPOINT 3b: Stream payment status changes (Server-Sent Events)
+// Sends the current status on connect, then again every time the session_events
+// feed shows a transition. The stream ends once the session reaches a final status.
+const FINAL_STATUSES = ['complete', 'expired', 'failed', 'error'];
+const eventSubscribers = new Map(); // sessionId -> Set of open responses
+let lastSessionEventId = getLatestSessionEventId(db);
+
+function sendPaymentStatus(res, sessionId) {
+    const data = getPaymentStatus(sessionId);
+    res.write(`event: status\ndata: ${JSON.stringify(data)}\n\n`);
+
+    if (FINAL_STATUSES.includes(data.status)) {
+        res.end();
+    }
+}
+
+app.get('/events/:sessionId', (req, res) => {
     const { sessionId } = req.params;
-    
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
     try {
-        const session = db.prepare(`
-            SELECT status, assigned_cids, quantity, created_at, payment_txid 
-            FROM sessions 
-            WHERE session_uuid = ?
-        `).get(sessionId);
+        sendPaymentStatus(res, sessionId);
+    } catch (err) {
+        console.error('Error streaming payment status:', err);
+        return res.end();
+    }
+    if (res.writableEnded) return;
+
+    if (!eventSubscribers.has(sessionId)) {
+        eventSubscribers.set(sessionId, new Set());
+    }
+    eventSubscribers.get(sessionId).add(res);
+
+    req.on('close', () => {
+        const subscribers = eventSubscribers.get(sessionId);
+        if (!subscribers) return;
+        subscribers.delete(res);
+        if (subscribers.size === 0) eventSubscribers.delete(sessionId);
+    });
+});
+
+// Tail the change feed (written by this process and payment-monitor.js)
+setInterval(() => {
+    try {
+        const events = getSessionEventsSince(db, lastSessionEventId);
+        if (events.length === 0) return;
+        lastSessionEventId = events[events.length - 1].id;
+
+        const changed = new Set(events.map(e => e.session_uuid));
+        for (const sessionId of changed) {
+            for (const res of eventSubscribers.get(sessionId) || []) {
+                sendPaymentStatus(res, sessionId);
+            }
+        }
+    } catch (err) {
+        console.error('Error reading session events:', err);
+    }
+}, SESSION_EVENT_POLL_MS);
+
+// Keep idle streams open through proxies
+setInterval(() => {
+    for (const subscribers of eventSubscribers.values()) {
+        for (const res of subscribers) res.write(': keep-alive\n\n');
+    }
+}, 25000);
+
+// ENDPOINT 3c: NFTs owned by an address, across every collection
+app.get('/owners/:address', (req, res) => {
+    const { address } = req.params;
+
+    if (!isValidZcashAddress(address)) {
+        return res.status(400).json({ error: 'Invalid Zcash address.' });
+    }
+
+    try {
+        const nfts = db.prepare(`
+            SELECT c.slug as collection, n.token_number as id, n.filename, n.cid, n.mimeType, n.inscriptionTxid, n.inscribedAt 
+            FROM nfts n
+            JOIN collections c ON c.id = n.collection_id
+            WHERE n.owner_address = ? AND n.claimed = 1 
+            ORDER BY n.collection_id, n.token_number
+        `).all(address);
+
+        res.json({ address, count: nfts.length, nfts });
+    } catch (err) {
+        console.error('Error looking up owner:', err);
+        res.status(500).json({ error: 'Failed to look up owner.' });
+    }
+});
+
+// ENDPOINT 3d: Token metadata (name, ipfs:// image, traits, inscription status)
+// Only minted tokens are revealed
+app.get(collectionRoutes('/token/:id'), resolveCollection, (req, res) => {
+    const { collection } = req;
+    const id = Number(req.params.id);
+
+    if (!Number.isInteger(id) || id < 1 || id > collection.max_supply) {
+        return res.status(404).json({ error: 'Token not found.' });
+    }
+
+    try {
+        const nft = db.prepare('SELECT * FROM nfts WHERE collection_id = ? AND token_number = ? AND claimed = 1')
+            .get(collection.id, id);
+        if (!nft) {
+            return res.status(404).json({ error: 'Token not found or not minted yet.' });
+        }
+
+        res.json(buildTokenMetadata(db, nft, collection));
+    } catch (err) {
+        console.error('Error building token metadata:', err);
+        res.status(500).json({ error: 'Failed to load token metadata.' });
+    }
+});
+
+// Provenance of a minted token: its inscription and every on-chain transfer since
+app.get(collectionRoutes('/token/:id/history'), resolveCollection, (req, res) => {
+    const { collection } = req;
+    const id = Number(req.params.id);
+
+    if (!Number.isInteger(id) || id < 1 || id > collection.max_supply) {
+        return res.status(404).json({ error: 'Token not found.' });
+    }
+
+    try {
+        const nft = db.prepare(`
+            SELECT id, token_number, cid, inscriptionTxid, inscriptionBlock, owner_address, holder_address, location_txid, location_vout 
+            FROM nfts WHERE collection_id = ? AND token_number = ? AND claimed = 1
+        `).get(collection.id, id);
+        if (!nft) {
+            return res.status(404).json({ error: 'Token not found or not minted yet.' });
+        }
+
+        res.json({
+            collection: collection.slug,
+            id: nft.token_number,
+            cid: nft.cid,
+            inscribed: Boolean(nft.inscriptionTxid),
+            owner: nft.owner_address,
+            holder: nft.holder_address,
+            location: nft.location_txid ? `${nft.location_txid}:${nft.location_vout}` : null,
+            history: getTransferHistory(db, nft.id)
+        });
+    } catch (err) {
+        console.error('Error loading token history:', err);
+        res.status(500).json({ error: 'Failed to load token history.' });
+    }
+});
+
+// ENDPOINT 3f: Zinc inscription scripts for a completed session's NFTs
+// Returns the OP_RETURN script and an unsigned transaction per CID, ready for
+// fundrawtransaction → signrawtransaction → sendrawtransaction
+app.get('/inscriptions/:sessionId', (req, res) => {
+    try {
+        const session = db.prepare('SELECT status, assigned_cids, collection_id FROM sessions WHERE session_uuid = ?')
+            .get(req.params.sessionId);
 
         if (!session) {
-            return res.json({ status: 'error', message: 'Invalid session.' });
+            return res.status(404).json({ error: 'Session not found.' });
+        }
+        if (session.status !== 'complete') {
+            return res.status(409).json({ error: 'Session is not complete yet.' });
         }
 
-        // Check if session has expired (only for 'pending' status)
-        const createdAt = new Date(session.created_at);
-        const now = new Date();
-        const minutesElapsed = (now - createdAt) / (1000 * 60);
-        
-        if (session.status === 'pending' && minutesElapsed > SESSION_TIMEOUT_MINUTES) {
-            return res.json({ 
-                status: 'expired', 
-                message: 'Payment session expired. Please start a new mint.' 
-            });
+        const assignedCids = JSON.parse(session.assigned_cids || '[]');
+        const inscribed = getNftsByCid(session.collection_id, assignedCids, 'token_number, cid, inscriptionTxid');
+
+        res.json({
+            inscriptions: assignedCids.map(cid => ({
+                id: inscribed.get(cid)?.token_number,
+                ...buildInscription(cid),
+                inscriptionTxid: inscribed.get(cid)?.inscriptionTxid || null
+            }))
+        });
+    } catch (err) {
+        console.error('Error building inscriptions:', err);
+        res.status(500).json({ error: 'Failed to build inscriptions.' });
+    }
+});
+
+// ENDPOINT 3e: Rarity leaderboard of minted tokens
+// ?limit=50&offset=0&trait=Background:Blue&trait=Hat:Cap (every trait must match)
+app.get(collectionRoutes('/rarity'), resolveCollection, (req, res) => {
+    const collectionId = req.collection.id;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+    const filters = [].concat(req.query.trait || []);
+
+    const traits = [];
+    for (const filter of filters) {
+        const separator = String(filter).indexOf(':');
+        if (separator < 1) {
+            return res.status(400).json({ error: `Invalid trait filter "${filter}" (expected type:value).` });
         }
+        traits.push({ trait_type: filter.slice(0, separator), value: filter.slice(separator + 1) });
+    }
+
+    try {
+        const { total, tokens } = getRarityLeaderboard(db, { collectionId, traits, limit, offset });
+        res.json({ total, rankedTotal: getRankedCount(db, collectionId), limit, offset, tokens });
+    } catch (err) {
+        console.error('Error loading rarity leaderboard:', err);
+        res.status(500).json({ error: 'Failed to load rarity leaderboard.' });
+    }
+});
+
+// Trait values and how common they are across the collection
+app.get(collectionRoutes('/rarity/traits'), resolveCollection, (req, res) => {
+    try {
+        res.json(getTraitFrequencies(db, req.collection.id));
+    } catch (err) {
+        console.error('Error loading trait frequencies:', err);
+        res.status(500).json({ error: 'Failed to load trait frequencies.' });
+    }
+});
+
+// ADMIN API - every route requires `Authorization: Bearer <ADMIN_API_TOKEN>`
+// and every action is written to admin_audit
+const admin = express.Router();
+
+function requireAdminToken(req, res, next) {
+    if (!ADMIN_API_TOKEN) {
+        return res.status(503).json({ error: 'Admin API disabled (ADMIN_API_TOKEN not set).' });
+    }
+
+    const header = req.get('authorization') || '';
+    const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(ADMIN_API_TOKEN);
 
-        // Handle different statuses
-        if (session.status === 'complete') {
-            // Parse assigned CIDs and format as objects for frontend
-            const assignedCids = JSON.parse(session.assigned_cids);
-            res.json({
-                status: 'complete',
-                items: assignedCids.map(cid => ({ cid })),
-                quantity: session.quantity
-            });
-        } else if (session.status === 'payment_pending') {
-            // Transaction detected in mempool but not yet confirmed
-            res.json({ 
-                status: 'payment_pending',
-                message: 'Payment detected! Waiting for blockchain confirmation...',
-                txid: session.payment_txid
-            });
-        } else if (session.status === 'pending') {
-            // Still waiting for payment
-            res.json({ status: 'pending' });
-        } else {
-            // Other statuses (failed, etc.)
-            res.json({ status: session.status, message: 'Something went wrong.' });
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return res.status(401).json({ error: 'Invalid admin token.' });
+    }
+    next();
+}
+
+function logAdminAction(req, action, target, details = {}) {
+    db.prepare('INSERT INTO admin_audit (action, target, details, ip) VALUES (?, ?, ?, ?)')
+        .run(action, String(target), JSON.stringify(details), req.ip);
+    console.log(`🛡️  Admin ${action} → ${target}`);
+}
+
+admin.use(requireAdminToken);
+
+// List sessions, optionally filtered by status and collection (?status=pending&collection=zec-dogs&limit=50&offset=0)
+admin.get('/sessions', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+    const conditions = [];
+    const params = [];
+
+    if (req.query.status) {
+        conditions.push('status = ?');
+        params.push(req.query.status);
+    }
+    if (req.query.collection) {
+        conditions.push('collection_id = (SELECT id FROM collections WHERE slug = ?)');
+        params.push(req.query.collection);
+    }
+    const filter = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const sessions = db.prepare(`
+        SELECT * FROM sessions ${filter} ORDER BY id DESC LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+    const total = db.prepare(`SELECT COUNT(*) as count FROM sessions ${filter}`).get(...params).count;
+
+    res.json({ total, limit, offset, sessions });
+});
+
+// One session with its reserved (or claimed) NFTs
+admin.get('/sessions/:sessionId', (req, res) => {
+    const session = db.prepare('SELECT * FROM sessions WHERE session_uuid = ?').get(req.params.sessionId);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found.' });
+    }
+
+    const nfts = db.prepare('SELECT token_number as id, filename, cid, claimed, withheld FROM nfts WHERE session_id = ?')
+        .all(req.params.sessionId);
+    res.json({ session, nfts });
+});
+
+// Expire a session now and release its reservation
+admin.post('/sessions/:sessionId/expire', (req, res) => {
+    try {
+        db.transaction(() => {
+            const session = db.prepare('SELECT status FROM sessions WHERE session_uuid = ?').get(req.params.sessionId);
+            if (!session) {
+                throw Object.assign(new Error('Session not found.'), { status: 404 });
+            }
+            if (session.status === 'complete') {
+                throw Object.assign(new Error('Session is already complete.'), { status: 409 });
+            }
+
+            const released = db.prepare('UPDATE nfts SET session_id = NULL WHERE session_id = ? AND claimed = 0')
+                .run(req.params.sessionId).changes;
+            db.prepare(`UPDATE sessions SET status = 'expired', updated_at = CURRENT_TIMESTAMP WHERE session_uuid = ?`)
+                .run(req.params.sessionId);
+            recordSessionEvent(db, req.params.sessionId, 'expired');
+
+            logAdminAction(req, 'expire_session', req.params.sessionId, { previousStatus: session.status, released });
+        })();
+        res.json({ success: true });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Complete a session by hand with the payment txid, topping up the reservation if it was released
+admin.post('/sessions/:sessionId/fulfill', (req, res) => {
+    const { txid } = req.body || {};
+    if (!/^[0-9a-f]{64}$/i.test(txid || '')) {
+        return res.status(400).json({ error: 'txid must be 64 hex characters.' });
+    }
+
+    try {
+        const assignedCids = db.transaction(() => {
+            const session = db.prepare(`
+                SELECT s.status, s.quantity, c.id as collection_id, c.max_supply 
+                FROM sessions s JOIN collections c ON c.id = s.collection_id 
+                WHERE s.session_uuid = ?
+            `).get(req.params.sessionId);
+            if (!session) {
+                throw Object.assign(new Error('Session not found.'), { status: 404 });
+            }
+            if (session.status === 'complete') {
+                throw Object.assign(new Error('Session is already complete.'), { status: 409 });
+            }
+
+            const reserved = db.prepare('SELECT COUNT(*) as count FROM nfts WHERE session_id = ? AND claimed = 0')
+                .get(req.params.sessionId).count;
+            const missing = session.quantity - reserved;
+
+            if (missing > 0) {
+                const topUp = db.prepare(`
+                    UPDATE nfts SET session_id = ?
+                    WHERE id IN (
+                        SELECT id FROM nfts
+                        WHERE claimed = 0 AND session_id IS NULL AND withheld = 0
+                        AND collection_id = ? AND token_number <= ?
+                        ORDER BY RANDOM()
+                        LIMIT ?
+                    )
+                `).run(req.params.sessionId, session.collection_id, session.max_supply, missing).changes;
+
+                if (topUp < missing) {
+                    throw Object.assign(new Error(`Only ${topUp} NFTs available to complete this session.`), { status: 409 });
+                }
+            }
+
+            const cids = db.prepare('SELECT cid FROM nfts WHERE session_id = ? AND claimed = 0')
+                .all(req.params.sessionId).map(n => n.cid);
+            db.prepare(`
+                UPDATE nfts 
+                SET claimed = 1, owner_address = (SELECT recipient_address FROM sessions WHERE session_uuid = ?)
+                WHERE session_id = ? AND claimed = 0
+            `).run(req.params.sessionId, req.params.sessionId);
+            db.prepare(`
+                UPDATE sessions 
+                SET status = 'complete', payment_txid = ?, assigned_cids = ?, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE session_uuid = ?
+            `).run(txid.toLowerCase(), JSON.stringify(cids), req.params.sessionId);
+            recordSessionEvent(db, req.params.sessionId, 'complete');
+
+            logAdminAction(req, 'fulfill_session', req.params.sessionId, { previousStatus: session.status, txid });
+            return cids;
+        })();
+        res.json({ success: true, assignedCids });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Withhold an NFT from sale (or release it again with { "withheld": false })
+admin.post(collectionRoutes('/nfts/:id/withhold'), resolveCollection, (req, res) => {
+    const { collection } = req;
+    const withheld = req.body?.withheld === false ? 0 : 1;
+
+    try {
+        const nft = db.prepare('SELECT id, token_number, claimed, session_id FROM nfts WHERE collection_id = ? AND token_number = ?')
+            .get(collection.id, req.params.id);
+        if (!nft) {
+            return res.status(404).json({ error: 'NFT not found.' });
+        }
+        if (withheld && (nft.claimed || nft.session_id)) {
+            return res.status(409).json({ error: 'NFT is already claimed or reserved.' });
         }
+
+        db.prepare('UPDATE nfts SET withheld = ? WHERE id = ?').run(withheld, nft.id);
+        logAdminAction(req, withheld ? 'withhold_nft' : 'release_nft', `${collection.slug}#${nft.token_number}`);
+        res.json({ success: true, collection: collection.slug, id: nft.token_number, withheld: Boolean(withheld) });
     } catch (err) {
-        console.error('Error checking payment status:', err);
-        res.json({ status: 'error', message: 'Failed to check payment status.' });
+        res.status(500).json({ error: err.message });
     }
 });
 
-// ENDPOINT 4: Health check
+// Refused payment intents per client - repeat offenders are likely hoarders (?hours=24&limit=50)
+admin.get('/intent-rejections', (req, res) => {
+    const hours = Math.min(parseInt(req.query.hours) || 24, 24 * 30);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    res.json({ hours, ...getRejectionSummary(db, { hours, limit }) });
+});
+
+// Recent admin actions
+admin.get('/audit', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    res.json(db.prepare('SELECT * FROM admin_audit ORDER BY id DESC LIMIT ?').all(limit));
+});
+
+app.use('/admin', admin);
+
+// ENDPOINT 4: Health check - the database plus every service start-all.js supervises
+// healthy: all services ready; degraded: one is starting, restarting or unresponsive;
+// unhealthy (503): the database is unreachable. Without the supervisor `services` is null.
 app.get('/health', (req, res) => {
+    const timestamp = new Date().toISOString();
     try {
         // Test database connection
         db.prepare('SELECT 1').get();
-        res.json({ status: 'healthy', timestamp: new Date().toISOString() });
     } catch (err) {
-        res.status(500).json({ status: 'unhealthy', error: err.message });
+        return res.status(503).json({ status: 'unhealthy', timestamp, database: 'error', error: err.message });
     }
+
+    const supervisor = getSupervisorStatus();
+    const services = supervisor ? supervisor.services : null;
+    const allReady = !services || services.every(service => service.status === 'ready');
+
+    res.json({
+        status: allReady ? 'healthy' : 'degraded',
+        timestamp,
+        database: 'ok',
+        services,
+        servicesReportedAt: supervisor ? new Date(supervisor.receivedAt).toISOString() : null
+    });
+});
+
+// Liveness and readiness of this process alone, for load balancers and orchestrators
+app.get('/health/live', (req, res) => {
+    res.json({ status: 'alive' });
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, '0.0.0.0', () => {
+app.get('/health/ready', (req, res) => {
+    try {
+        db.prepare('SELECT 1').get();
+        res.json({ status: 'ready' });
+    } catch (err) {
+        res.status(503).json({ status: 'not ready', error: err.message });
+    }
+});
+
+// ENDPOINT 5: Prometheus metrics for every service - the monitors publish theirs
+// through the database (see metrics.js), labelled with service="..."
+app.get('/metrics', (req, res) => {
+    try {
+        const text = metrics.renderMetrics([...metrics.collectMetrics(), ...metrics.readPublishedMetrics(db)]);
+        res.type('text/plain; version=0.0.4').send(text);
+    } catch (err) {
+        console.error('Error collecting metrics:', err);
+        res.status(500).type('text/plain').send(`# Failed to collect metrics: ${err.message}\n`);
+    }
+});
+
+const PORT = config.port;
+const server = app.listen(PORT, '0.0.0.0', () => {
+    reportReady();
     console.log(`✅ Server running on port ${PORT}`);
-    console.log(`📊 Monitoring ${MAX_SUPPLY} NFTs`);
-    console.log(`💰 Price: ${PRICE_PER_NFT} ZEC per NFT`);
+    listCollections(db).forEach(collection => {
+        const route = collection.id === defaultCollection.id ? '/ (default)' : `/collections/${collection.slug}`;
+        console.log(`📊 ${collection.name}: ${collection.max_supply} NFTs at ${formatZec(collection.price_per_nft_zat)} ZEC → ${collection.payment_address} ${route}`);
+        getMintPhases(collection).forEach(p => {
+            const window = `${p.start ? new Date(p.start).toISOString() : 'now'} → ${p.end ? new Date(p.end).toISOString() : 'open'}`;
+            console.log(`🗓️    Phase ${p.name}: ${formatPricing(p.pricing)}, ${window}${p.allowlist ? `, ${p.allowlist.size} allowlisted` : ''}`);
+        });
+    });
     console.log(`⏰ Session timeout: ${SESSION_TIMEOUT_MINUTES} minutes (pending only)`);
     console.log(`🔒 payment_pending sessions never expire (24h cleanup)`);
-});
\ No newline at end of file
+    console.log(`⛓️  Orders complete after ${REQUIRED_CONFIRMATIONS} confirmations`);
+    console.log(`🔑 Payment matching: ${PAYMENT_XPUB ? 'per-session derived addresses' : 'unique amounts'}`);
+    if (PAYMENT_XPUB) {
+        const { longestUnusedRun, issued } = getLongestUnusedRun(db);
+        console.log(`   ${issued} addresses issued, longest run without a payment: ${longestUnusedRun} - the xpub wallet's gap limit must be higher`);
+        if (longestUnusedRun >= DEFAULT_GAP_LIMIT) {
+            console.log(`⚠️  That exceeds the usual gap limit of ${DEFAULT_GAP_LIMIT}: raise it in the wallet (or rescan with a larger gap) so it sees every payment`);
+        }
+    }
+    console.log(`🚦 Per client: ${CLIENT_LIMITS.maxOpenSessions} unpaid sessions, ${CLIENT_LIMITS.maxReserved} reserved NFTs`);
+    console.log(`🌐 Client IPs: ${config.trustProxy ? `X-Forwarded-For through ${config.trustProxy} proxy hop(s)` : 'connection address (set TRUST_PROXY behind a reverse proxy)'}`);
+    console.log(`⛏️  Proof of work: ${POW_DIFFICULTY > 0 ? `${POW_DIFFICULTY} bits per payment session` : 'disabled (set POW_DIFFICULTY)'}`);
+    console.log(`🔏 Receipts signed with Ed25519 key ${getPublicKeyInfo(RECEIPT_KEY).keyId} (published at /receipts/public-key)`);
+    console.log(`🛡️  Admin API: ${ADMIN_API_TOKEN ? 'enabled at /admin' : 'disabled (set ADMIN_API_TOKEN)'}`);
+});
+
+// The event loop answering this is the liveness signal for the supervisor
+setInterval(reportAlive, HEARTBEAT_INTERVAL_MS);
+
+// Stop accepting requests, end open event streams (browsers reconnect on their
+// own) and let in-flight requests finish before the database closes
+onShutdown(async () => {
+    const closed = new Promise(resolve => server.close(resolve));
+    for (const subscribers of eventSubscribers.values()) {
+        for (const res of subscribers) res.end();
+    }
+    server.closeIdleConnections();
+    await closed;
+    db.close();
+});
@@ -0,0 +1,105 @@
+// Readiness, liveness and graceful shutdown for the services start-all.js
+// supervises. Under the supervisor a service reports over the IPC channel:
+// 'ready' once it is serving (or has finished its first scans) and a
+// 'heartbeat' whenever it makes progress; a service that stops sending
+// heartbeats is restarted. Run on its own (npm run dev, node payment-monitor.js)
+// the reports go nowhere and only the signal handling matters.
+
+function notifySupervisor(message) {
+    if (process.send && process.connected) {
+        process.send(message);
+    }
+}
+
+function reportReady() {
+    notifySupervisor({ type: 'ready' });
+}
+
+function reportAlive() {
+    notifySupervisor({ type: 'heartbeat' });
+}
+
+/**
+ * Runs `handler` once on SIGTERM or SIGINT (or when the supervisor goes away),
+ * then exits
+ * @param {Function} handler - Async cleanup: stop taking work, finish what's running, close the database
+ */
+function onShutdown(handler) {
+    let shuttingDown = false;
+
+    const shutdown = async reason => {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        console.log(`🛑 ${reason} - shutting down gracefully...`);
+
+        try {
+            await handler();
+        } catch (err) {
+            console.error('Error during shutdown:', err);
+            process.exitCode = 1;
+        }
+        process.exit();
+    };
+
+    process.on('SIGTERM', () => shutdown('SIGTERM received'));
+    process.on('SIGINT', () => shutdown('SIGINT received'));
+    // An orphaned service would keep scanning next to the supervisor's replacement
+    process.on('disconnect', () => shutdown('Supervisor exited'));
+}
+
+/**
+ * Tracks a service's scheduled jobs so shutdown can wait for the running ones
+ * Every finished job counts as a heartbeat.
+ * @returns {{wrap: Function, stop: Function, isStopping: Function}} - wrap(fn) returns a function for
+ *   setInterval that runs fn unless stopping; stop() refuses new runs and resolves once the running
+ *   ones finish; long jobs check isStopping() between steps
+ */
+function createTaskTracker() {
+    const running = new Set();
+    let stopping = false;
+
+    const run = fn => {
+        if (stopping) return undefined;
+        const task = Promise.resolve()
+            .then(fn)
+            .finally(() => {
+                running.delete(task);
+                reportAlive();
+            });
+        running.add(task);
+        return task;
+    };
+
+    return {
+        wrap: fn => () => run(fn),
+        isStopping: () => stopping,
+        stop() {
+            stopping = true;
+            return Promise.allSettled(Array.from(running));
+        }
+    };
+}
+
+// The latest status of every supervised service, pushed by start-all.js to the server for /health
+let supervisorStatus = null;
+
+process.on('message', message => {
+    if (message && message.type === 'supervisor-status') {
+        supervisorStatus = { receivedAt: Date.now(), services: message.services };
+    }
+});
+
+/**
+ * @returns {{receivedAt: number, services: Object[]}|null} - null when not run by start-all.js
+ */
+function getSupervisorStatus() {
+    return supervisorStatus;
+}
+
+module.exports = {
+    reportReady,
+    reportAlive,
+    onShutdown,
+    createTaskTracker,
+    getSupervisorStatus
+};
@@ -0,0 +1,42 @@
+// Change feed of session status transitions. Whichever process changes a
+// session (server.js, payment-monitor.js) appends a row here; the server
+// tails the table and pushes each change to /events/:sessionId subscribers.
+const EVENT_RETENTION_HOURS = 24;
+
+/**
+ * Appends a status change to the feed
+ * @param {string} sessionId - sessions.session_uuid
+ * @param {string} status - The session's new status
+ */
+function recordSessionEvent(db, sessionId, status) {
+    db.prepare('INSERT INTO session_events (session_uuid, status) VALUES (?, ?)').run(sessionId, status);
+}
+
+/**
+ * Returns every event after `afterId`, oldest first
+ */
+function getSessionEventsSince(db, afterId) {
+    return db.prepare('SELECT id, session_uuid, status FROM session_events WHERE id > ? ORDER BY id').all(afterId);
+}
+
+/**
+ * Returns the id of the newest event (0 when the feed is empty)
+ */
+function getLatestSessionEventId(db) {
+    const row = db.prepare('SELECT MAX(id) as id FROM session_events').get();
+    return row.id || 0;
+}
+
+/**
+ * Deletes events older than EVENT_RETENTION_HOURS
+ */
+function pruneSessionEvents(db) {
+    db.prepare(`DELETE FROM session_events WHERE datetime(created_at, '+${EVENT_RETENTION_HOURS} hours') < datetime('now')`).run();
+}
+
+module.exports = {
+    recordSessionEvent,
+    getSessionEventsSince,
+    getLatestSessionEventId,
+    pruneSessionEvents
+};
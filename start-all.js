@@ -1,56 +1,211 @@
-const { spawn } = require('child_process');
+const { spawn, execSync } = require('child_process');
 const fs = require('fs');
+const { getConfig } = require('./config');
 
-const DB_PATH = process.env.DATABASE_PATH || './nfts.db';
-const PORT = process.env.PORT || 3000;
+// Validate once up front; every service loads the same config file and environment
+const config = getConfig();
+const DB_PATH = config.databasePath;
+const PORT = config.port;
 
 console.log('🚀 Starting Zec Dogs NFT Platform...');
 console.log('📊 Database:', DB_PATH);
 console.log('🌐 Port:', PORT);
 console.log('');
 
-// Check if database exists, if not create it
-if (!fs.existsSync(DB_PATH)) {
-    console.log('📦 First run - Setting up database...\n');
-    
-    const { execSync } = require('child_process');
+// Bring the schema up to date before any service opens the database
+// (they refuse to start with pending migrations); a new database also gets the NFTs
+const firstRun = !fs.existsSync(DB_PATH);
+
+try {
+    execSync('node migrate-database.js up', { stdio: 'inherit' });
     
-    try {
-        execSync('node setup-db.js', { stdio: 'inherit', env: { ...process.env, DATABASE_PATH: DB_PATH } });
-        execSync('node import-nfts.js', { stdio: 'inherit', env: { ...process.env, DATABASE_PATH: DB_PATH } });
-        console.log('\n✅ Database setup complete!\n');
-    } catch (err) {
-        console.error('❌ Setup failed:', err.message);
-        process.exit(1);
+    if (firstRun) {
+        console.log('📦 First run - importing NFTs...\n');
+        execSync('node import-nfts.js', { stdio: 'inherit' });
+        console.log('\n✅ Database setup complete!');
     }
+    console.log('');
+} catch (err) {
+    console.error('❌ Setup failed:', err.message);
+    process.exit(1);
 }
 
-// Start all services
+// Supervise the services: restart crashed (or unresponsive) ones with
+// exponential backoff, forward SIGTERM/SIGINT for a graceful shutdown, and push
+// every service's status to the server for /health. Services report readiness
+// and heartbeats over the IPC channel (see service-lifecycle.js).
+const RESTART_BASE_DELAY_MS = 1000;
+const RESTART_MAX_DELAY_MS = 60000;
+const STABLE_AFTER_MS = 60000; // A service up this long starts its backoff over
+const SHUTDOWN_TIMEOUT_MS = 15000; // Then SIGKILL
+const LIVENESS_CHECK_MS = 5000;
+const STATUS_BROADCAST_MS = 10000;
+// Monitors report after every block and scan; a catch-up or retry can take a while
+const MONITOR_LIVENESS_TIMEOUT_MS = Math.max(5 * 60 * 1000, 3 * config.scanIntervalMs);
+const RESET = '\x1b[0m';
+
 const services = [
-    { name: 'Server', script: 'server.js', color: '\x1b[36m' },
-    { name: 'Payment', script: 'payment-monitor.js', color: '\x1b[33m' },
-    { name: 'Tracker', script: 'track-inscriptions.js', color: '\x1b[35m' }
-];
-
-services.forEach(service => {
-    const proc = spawn('node', [service.script], {
-        env: { ...process.env, DATABASE_PATH: DB_PATH, PORT: PORT }
+    { name: 'Server', script: 'server.js', color: '\x1b[36m', livenessTimeoutMs: 60 * 1000 },
+    { name: 'Payment', script: 'payment-monitor.js', color: '\x1b[33m', livenessTimeoutMs: MONITOR_LIVENESS_TIMEOUT_MS },
+    { name: 'Tracker', script: 'track-inscriptions.js', color: '\x1b[35m', livenessTimeoutMs: MONITOR_LIVENESS_TIMEOUT_MS }
+].map(service => ({
+    ...service,
+    proc: null,
+    status: 'stopped', // starting → ready; restarting while waiting out the backoff; unresponsive; stopping → stopped
+    restarts: 0,
+    failures: 0, // Consecutive short-lived runs, drives the backoff
+    startedAt: null,
+    lastHeartbeat: null,
+    lastExit: null,
+    restartTimer: null,
+    nextRestartAt: null
+}));
+const serverService = services[0];
+
+let shuttingDown = false;
+
+function log(service, message) {
+    console.log(`${service.color}[${service.name}]${RESET} ${message}`);
+}
+
+function startService(service) {
+    const proc = spawn(process.execPath, [service.script], { stdio: ['ignore', 'pipe', 'pipe', 'ipc'] });
+    Object.assign(service, {
+        proc,
+        status: 'starting',
+        startedAt: Date.now(),
+        lastHeartbeat: Date.now(),
+        restartTimer: null,
+        nextRestartAt: null
     });
-    
+
     proc.stdout.on('data', (data) => {
-        console.log(`${service.color}[${service.name}]${'\x1b[0m'} ${data.toString().trim()}`);
+        log(service, data.toString().trim());
     });
     
     proc.stderr.on('data', (data) => {
-        console.error(`${service.color}[${service.name}]${'\x1b[0m'} ${data.toString().trim()}`);
+        console.error(`${service.color}[${service.name}]${RESET} ${data.toString().trim()}`);
     });
-    
-    proc.on('close', (code) => {
-        console.log(`${service.color}[${service.name}]${'\x1b[0m'} Exited with code ${code}`);
-        if (code !== 0) {
-            console.log('⚠️ Service crashed, but others continue running');
+
+    proc.on('message', message => {
+        if (message.type === 'heartbeat') {
+            service.lastHeartbeat = Date.now();
+        } else if (message.type === 'ready' && service.status === 'starting') {
+            service.status = 'ready';
+            service.lastHeartbeat = Date.now();
+            log(service, '🟢 Ready');
+            broadcastStatus();
         }
     });
-});
+    
+    proc.on('close', (code, signal) => handleExit(service, code, signal));
+    broadcastStatus();
+}
+
+function handleExit(service, code, signal) {
+    service.proc = null;
+    service.lastExit = { code, signal, at: new Date().toISOString() };
+    log(service, `Exited with ${signal ? `signal ${signal}` : `code ${code}`}`);
+
+    if (shuttingDown) {
+        service.status = 'stopped';
+        return finishShutdownWhenStopped();
+    }
+
+    if (Date.now() - service.startedAt >= STABLE_AFTER_MS) {
+        service.failures = 0;
+    }
+    const delay = Math.min(RESTART_MAX_DELAY_MS, RESTART_BASE_DELAY_MS * 2 ** service.failures);
+    service.failures++;
+    service.restarts++;
+    service.status = 'restarting';
+    service.nextRestartAt = Date.now() + delay;
+    service.restartTimer = setTimeout(() => startService(service), delay);
+
+    console.log(`⚠️  ${service.name} stopped - restarting in ${delay / 1000}s (restart #${service.restarts})`);
+    broadcastStatus();
+}
+
+/**
+ * Asks a child to stop, killing it if it hasn't exited after SHUTDOWN_TIMEOUT_MS
+ */
+function stopProcess(proc) {
+    proc.kill('SIGTERM');
+    const killTimer = setTimeout(() => proc.kill('SIGKILL'), SHUTDOWN_TIMEOUT_MS);
+    proc.once('close', () => clearTimeout(killTimer));
+}
+
+// A service that stops sending heartbeats is hung - restart it
+function checkLiveness() {
+    for (const service of services) {
+        if (!service.proc || service.status === 'unresponsive' || shuttingDown) continue;
+
+        const silentMs = Date.now() - service.lastHeartbeat;
+        if (silentMs > service.livenessTimeoutMs) {
+            service.status = 'unresponsive';
+            console.log(`💀 ${service.name} sent no heartbeat for ${Math.round(silentMs / 1000)}s - restarting it`);
+            stopProcess(service.proc);
+            broadcastStatus();
+        }
+    }
+}
+
+function describeService(service) {
+    const iso = ms => (ms ? new Date(ms).toISOString() : null);
+    return {
+        name: service.name,
+        script: service.script,
+        status: service.status,
+        pid: service.proc ? service.proc.pid : null,
+        uptimeSeconds: service.proc ? Math.round((Date.now() - service.startedAt) / 1000) : null,
+        restarts: service.restarts,
+        lastHeartbeatAt: service.proc ? iso(service.lastHeartbeat) : null,
+        lastExit: service.lastExit,
+        nextRestartAt: iso(service.nextRestartAt)
+    };
+}
+
+// The server answers /health with the latest status it was sent
+function broadcastStatus() {
+    const proc = serverService.proc;
+    if (!proc || !proc.connected) return;
+
+    try {
+        proc.send({ type: 'supervisor-status', services: services.map(describeService) });
+    } catch (err) {
+        // The server is exiting - it gets a fresh status when it restarts
+    }
+}
+
+function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`\n🛑 ${signal} received - stopping services...`);
+
+    for (const service of services) {
+        clearTimeout(service.restartTimer);
+        if (service.proc) {
+            service.status = 'stopping';
+            stopProcess(service.proc);
+        } else {
+            service.status = 'stopped';
+        }
+    }
+    finishShutdownWhenStopped();
+}
+
+function finishShutdownWhenStopped() {
+    if (services.every(service => !service.proc)) {
+        console.log('👋 All services stopped');
+        process.exit(0);
+    }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+services.forEach(startService);
+setInterval(checkLiveness, LIVENESS_CHECK_MS);
+setInterval(broadcastStatus, STATUS_BROADCAST_MS);
 
-console.log('✅ All services started!\n');
\ No newline at end of file
+console.log('✅ All services started!\n');
@@ -0,0 +1,68 @@
+// Trait attributes per token (loaded by import-nfts.js) and the public
+// metadata JSON served from /token/:id (name and description come from the collection)
+
+/**
+ * Normalizes the attributes of an nfts.json entry to [{ trait_type, value }]
+ * Accepts the standard array form or a plain { "Background": "Blue" } object
+ * @param {Array|Object} attributes - Entry's `attributes` (or `traits`)
+ * @returns {Array<{trait_type: string, value: string}>}
+ */
+function normalizeAttributes(attributes) {
+    if (!attributes) return [];
+
+    const pairs = Array.isArray(attributes)
+        ? attributes.map(a => [a.trait_type, a.value])
+        : Object.entries(attributes);
+
+    return pairs
+        .filter(([traitType, value]) => traitType && value !== undefined && value !== null && value !== '')
+        .map(([traitType, value]) => ({ trait_type: String(traitType).trim(), value: String(value).trim() }));
+}
+
+/**
+ * Replaces a token's traits
+ * @param {number} nftId - nfts.id
+ * @param {Array<{trait_type: string, value: string}>} attributes - Normalized attributes
+ */
+function setTokenTraits(db, nftId, attributes) {
+    db.prepare('DELETE FROM nft_traits WHERE nft_id = ?').run(nftId);
+
+    const insert = db.prepare('INSERT OR REPLACE INTO nft_traits (nft_id, trait_type, value) VALUES (?, ?, ?)');
+    for (const attribute of attributes) {
+        insert.run(nftId, attribute.trait_type, attribute.value);
+    }
+}
+
+/**
+ * Builds the metadata JSON for a token
+ * @param {Object} nft - nfts row
+ * @param {Object} collection - collections row the token belongs to
+ * @returns {Object} - { name, description, image, attributes, inscription, ... }
+ */
+function buildTokenMetadata(db, nft, collection) {
+    const attributes = db.prepare('SELECT trait_type, value FROM nft_traits WHERE nft_id = ? ORDER BY trait_type')
+        .all(nft.id);
+
+    return {
+        name: `${collection.token_name} #${nft.token_number}`,
+        description: collection.description,
+        collection: collection.slug,
+        image: `ipfs://${nft.cid}`,
+        mimeType: nft.mimeType,
+        attributes,
+        owner: nft.owner_address || null,
+        holder: nft.holder_address || null,
+        inscription: {
+            status: nft.inscriptionTxid ? 'inscribed' : 'not_inscribed',
+            txid: nft.inscriptionTxid || null,
+            block: nft.inscriptionBlock || null,
+            inscribedAt: nft.inscribedAt || null
+        }
+    };
+}
+
+module.exports = {
+    normalizeAttributes,
+    setTokenTraits,
+    buildTokenMetadata
+};
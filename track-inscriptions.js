@@ -1,92 +1,68 @@
-const axios = require('axios');
 const Database = require('better-sqlite3');
-const bs58 = require('bs58');
-const DB_PATH = process.env.DATABASE_PATH || 'nfts.db';
-const db = new Database(DB_PATH);
+const { rpcCall, logEndpoints } = require('./chain-client');
+const { decodeZincInscription } = require('./zinc-inscriptions');
+const { recordBlock, isReorg, findForkPoint, forgetBlocksAbove, recordScanProgress } = require('./block-tracker');
+const { findHolderOutput, findNftAtLocation, recordTransfer, rollbackTransfers } = require('./inscription-transfers');
+const { syncDefaultCollection } = require('./collections');
+const { getConfig } = require('./config');
+const { requireCurrentSchema } = require('./migrator');
+const metrics = require('./metrics');
+const { reportReady, reportAlive, onShutdown, createTaskTracker } = require('./service-lifecycle');
 
-const GETBLOCK_URL = 'https://go.getblock.io/c532b1037c924be386735ccbcd2f3afa';
-const MAX_SUPPLY = 5000;
-const SCAN_INTERVAL_MS = 120000; // 2 minutes
-const BLOCK_PAUSE_MS = 250; // Pause 250ms between each block
+const config = getConfig();
+const db = new Database(config.databasePath);
 
-// --- FIX ---
-// Load CIDs from the correct 'cid' column, not 'imageCid'
-const collectionCids = db.prepare('SELECT cid FROM nfts WHERE id <= ?').all(MAX_SUPPLY).map(n => n.cid);
-const cidSet = new Set(collectionCids);
-console.log(`📋 Tracking ${cidSet.size} unique Zec Dogs CIDs`);
+const SCAN_INTERVAL_MS = config.scanIntervalMs;
+const BLOCK_PAUSE_MS = config.blockPauseMs; // Pause between each block
+const SCANNER = 'inscription';
 
-/**
- * Parses the hex data from a Zinc OP_RETURN to find an IPFS CID
- * @param {string} hexString - The hex data from scriptPubKey
- * @returns {string|null} - The extracted CID (Qm...) or null
- */
-function parseZincInscription(hexString) {
-    try {
-        const hex = hexString.replace(/\s/g, '');
-        const buffer = Buffer.from(hex, 'hex');
-
-        // 7A = Zinc Magic Byte
-        // 11 = Zinc Mint Op (from your test tx)
-        // 00 = IPFS Content Protocol
-        if (buffer[0] !== 0x7A || buffer[1] !== 0x11 || buffer[2] !== 0x00) {
-            return null; // Not a Zinc IPFS mint
-        }
+// CID -> nfts.id for the sellable tokens of every collection. Reloaded before
+// each scan so collections added while the tracker runs are watched too.
+let trackedCids = new Map();
 
-        // Extract CID bytes (34 bytes for CIDv0, starting at offset 3)
-        const cidBytes = buffer.slice(3, 37);
+const inscriptionsFound = metrics.counter('inscriptions_found_total', 'Collection inscriptions found on chain, per collection');
+const inscriptionTransfers = metrics.counter('inscription_transfers_total', 'Inscribed NFTs seen moving to a new output');
+const trackedCidCount = metrics.gauge('inscription_tracker_tracked_cids', 'CIDs the inscription tracker is watching for');
 
-        // Convert to base58 (Qm... format)
-        const cid = bs58.encode(cidBytes);
-        return cid;
+function loadTrackedCids() {
+    const rows = db.prepare(`
+        SELECT n.id, n.cid, c.slug FROM nfts n
+        JOIN collections c ON c.id = n.collection_id
+        WHERE n.token_number <= c.max_supply
+    `).all();
 
-    } catch (err) {
-        return null; // Error parsing
-    }
-}
+    const previousSize = trackedCids.size;
+    trackedCids = new Map(rows.map(n => [n.cid, n.id]));
+    trackedCidCount.set({}, trackedCids.size);
 
-/**
- * Makes an RPC call to the GetBlock API
- * @param {string} method - The RPC method (e.g., "getblockcount")
- * @param {Array} params - The parameters for the method
- * @returns {Promise<any>} - The result from the RPC call
- */
-async function rpcCall(method, params) {
-    try {
-        const response = await axios.post(GETBLOCK_URL, {
-            jsonrpc: '2.0',
-            method: method,
-            params: params,
-            id: 1
-        }, { timeout: 10000 }); // 10 second timeout
-
-        if (response.data.error) {
-            console.error('RPC Error:', response.data.error);
-            return null;
-        }
-        return response.data.result;
-
-    } catch (err) {
-        console.error(`Request failed for ${method}:`, err.message);
-        return null;
+    if (trackedCids.size !== previousSize) {
+        const collections = new Set(rows.map(n => n.slug));
+        console.log(`📋 Tracking ${trackedCids.size} unique CIDs across ${collections.size} collection(s)`);
     }
 }
 
 /**
- * Scans a single block for Zec Dogs inscriptions
+ * Scans a single block for inscriptions of any collection
  * @param {number} blockHeight - The height of the block to scan
+ * @returns {Promise<{found: number, reorg: boolean}>} - New inscriptions, or reorg if the block is on a different branch
  */
 async function scanBlock(blockHeight) {
-    const blockHash = await rpcCall('getblockhash', [blockHeight]);
+    const blockHash = await rpcCall('getblockhash', [blockHeight], 5);
     if (!blockHash) {
         console.log(`- Failed to get hash for block ${blockHeight}`);
-        return 0;
+        return { found: 0, reorg: false };
     }
 
     // Use verbosity 2 to get ALL transaction data in one call
-    const block = await rpcCall('getblock', [blockHash, 2]);
+    const block = await rpcCall('getblock', [blockHash, 2], 30);
     if (!block) {
         console.log(`- Failed to get block data for ${blockHeight}`);
-        return 0;
+        return { found: 0, reorg: false };
+    }
+
+    if (isReorg(db, SCANNER, block)) {
+        console.log(`\n⚠️  Block ${blockHeight} doesn't build on the block we scanned - chain reorganization!`);
+        return { found: 0, reorg: true };
     }
 
     console.log(`🔍 Scanning block ${blockHeight} (${block.tx.length} txs)...`);
@@ -94,27 +70,45 @@ async function scanBlock(blockHeight) {
 
     // Loop through all transactions LOCALLY (no API calls)
     for (const tx of block.tx) {
+        followTransfers(tx, blockHeight);
+
         for (const vout of tx.vout) {
             if (vout.scriptPubKey.type === 'nulldata') {
                 const hex = vout.scriptPubKey.hex;
-                const cid = parseZincInscription(hex);
+                const result = decodeZincInscription(hex);
 
-                // Check if this CID is in our collection
-                if (cid && cidSet.has(cid)) {
-                    console.log(`\n🎉 FOUND ZEC DOGS INSCRIPTION!`);
+                if (!result.cid) {
+                    // Only Zinc payloads are worth reporting - other OP_RETURNs are expected noise
+                    if (result.zinc) {
+                        console.log(`   ⚠️  Rejected Zinc candidate ${tx.txid}:${vout.n}: ${result.reason}`);
+                    }
+                    continue;
+                }
+
+                // Collection CIDs are stored as CIDv0 - CIDv1 inscriptions of the same content match too
+                const cid = result.cidV0 || result.cid;
+
+                // Check if this CID is in one of our collections
+                if (trackedCids.has(cid)) {
+                    console.log(`\n🎉 FOUND INSCRIPTION!`);
                     console.log(`   Txid: ${tx.txid}`);
                     console.log(`   CID: ${cid}`);
 
-                    // --- FIX ---
-                    // Query using the correct 'cid' column
-                    const nft = db.prepare('SELECT id, inscriptionTxid FROM nfts WHERE cid = ?').get(cid);
+                    const nft = db.prepare(`
+                        SELECT n.id, n.token_number, n.inscriptionTxid, c.slug FROM nfts n
+                        JOIN collections c ON c.id = n.collection_id
+                        WHERE n.id = ?
+                    `).get(trackedCids.get(cid));
                     
                     if (nft && !nft.inscriptionTxid) {
-                        // --- FIX ---
-                        // Update using the correct 'cid' column
-                        db.prepare('UPDATE nfts SET inscriptionTxid = ?, inscribedAt = CURRENT_TIMESTAMP WHERE cid = ?')
-                          .run(tx.txid, cid);
-                        console.log(`   ✅ Database updated for NFT #${nft.id}!`);
+                        db.prepare('UPDATE nfts SET inscriptionTxid = ?, inscriptionBlock = ?, inscribedAt = CURRENT_TIMESTAMP WHERE id = ?')
+                          .run(tx.txid, blockHeight, nft.id);
+
+                        const holder = findHolderOutput(tx);
+                        recordTransfer(db, { nftId: nft.id, kind: 'inscription', txid: tx.txid, blockHeight, holder });
+                        inscriptionsFound.inc({ collection: nft.slug });
+                        console.log(`   ✅ Database updated for ${nft.slug} #${nft.token_number}!`);
+                        console.log(`   📍 Held by ${holder ? `${holder.address} (${tx.txid}:${holder.vout})` : 'no transparent output - untrackable'}`);
                         found++;
                     } else if (nft && nft.inscriptionTxid) {
                         console.log(`   ... (Already tracked)`);
@@ -123,7 +117,65 @@ async function scanBlock(blockHeight) {
             }
         }
     }
-    return found;
+
+    recordBlock(db, SCANNER, block);
+    return { found, reorg: false };
+}
+
+/**
+ * Moves any inscription whose output this transaction spends
+ * @param {Object} tx - Verbose transaction from getblock
+ * @param {number} blockHeight - Height of the block containing it
+ */
+function followTransfers(tx, blockHeight) {
+    for (const input of tx.vin) {
+        if (!input.txid) continue; // Coinbase
+
+        const nft = findNftAtLocation(db, input.txid, input.vout);
+        if (!nft) continue;
+
+        const holder = findHolderOutput(tx);
+        recordTransfer(db, {
+            nftId: nft.id,
+            kind: 'transfer',
+            txid: tx.txid,
+            blockHeight,
+            fromAddress: nft.holder_address,
+            holder
+        });
+        inscriptionTransfers.inc();
+
+        console.log(`\n🔁 NFT #${nft.id} TRANSFERRED in ${tx.txid}`);
+        console.log(`   ${nft.holder_address || 'unknown'} → ${holder ? holder.address : 'shielded / burned - no longer trackable'}`);
+    }
+}
+
+/**
+ * Clears inscriptions that were confirmed in orphaned blocks so the rescan can find them again
+ * @param {number} forkHeight - Last block still on the main chain
+ */
+function rollbackToHeight(forkHeight) {
+    console.log(`\n⚠️  CHAIN REORGANIZATION - rolling back to block ${forkHeight}`);
+
+    db.transaction(() => {
+        const transfers = rollbackTransfers(db, forkHeight);
+        if (transfers > 0) {
+            console.log(`   ↩️  Undid ${transfers} inscription transfers`);
+        }
+
+        const orphaned = db.prepare('SELECT id, inscriptionTxid FROM nfts WHERE inscriptionBlock > ?').all(forkHeight);
+
+        for (const nft of orphaned) {
+            db.prepare('UPDATE nfts SET inscriptionTxid = NULL, inscriptionBlock = NULL, inscribedAt = NULL WHERE id = ?')
+              .run(nft.id);
+            console.log(`   ↩️  NFT #${nft.id} inscription ${nft.inscriptionTxid} orphaned`);
+        }
+
+        forgetBlocksAbove(db, SCANNER, forkHeight);
+        db.prepare('UPDATE settings SET value = ? WHERE key = ?').run(forkHeight, 'last_scanned_block');
+
+        console.log(`   ✅ Rolled back ${orphaned.length} inscriptions - rescanning from block ${forkHeight + 1}`);
+    })();
 }
 
 /**
@@ -131,7 +183,24 @@ async function scanBlock(blockHeight) {
  */
 async function monitorInscriptions() {
     console.log('\n⏰ Running scan...');
-    const currentHeight = await rpcCall('getblockcount', []);
+    loadTrackedCids();
+
+    // Make sure the last block we scanned is still on the main chain
+    const lastScannedCheck = db.prepare('SELECT value FROM settings WHERE key = ?').get('last_scanned_block');
+    if (lastScannedCheck) {
+        const lastScanned = parseInt(lastScannedCheck.value);
+        const forkHeight = await findForkPoint(db, SCANNER, lastScanned, rpcCall);
+
+        if (forkHeight === null) {
+            console.log('Failed to verify chain tip. Retrying later.');
+            return;
+        }
+        if (forkHeight < lastScanned) {
+            rollbackToHeight(forkHeight);
+        }
+    }
+
+    const currentHeight = await rpcCall('getblockcount', [], 5);
     if (!currentHeight) {
         console.log('Failed to get block height. Retrying later.');
         return;
@@ -148,6 +217,7 @@ async function monitorInscriptions() {
     }
 
     const startBlock = parseInt(lastScannedRow.value) + 1;
+    recordScanProgress(SCANNER, currentHeight, startBlock - 1);
 
     if (startBlock > currentHeight) {
         console.log('📊 Already fully synced. Waiting for new blocks.');
@@ -159,39 +229,61 @@ async function monitorInscriptions() {
 
     let totalFound = 0;
     for (let height = startBlock; height <= currentHeight; height++) {
-        const found = await scanBlock(height);
+        if (tasks.isStopping()) break; // Progress is saved per block
+        const { found, reorg } = await scanBlock(height);
+
+        if (reorg) {
+            const forkHeight = await findForkPoint(db, SCANNER, height - 1, rpcCall);
+            if (forkHeight === null) {
+                console.log('Failed to find fork point. Retrying later.');
+                return;
+            }
+
+            rollbackToHeight(forkHeight);
+            height = forkHeight; // Loop continues from the first orphaned height
+            continue;
+        }
         totalFound += found;
 
         // Save progress after every block
         db.prepare('UPDATE settings SET value = ? WHERE key = ?')
           .run(height, 'last_scanned_block');
+        recordScanProgress(SCANNER, currentHeight, height);
+        reportAlive();
 
         // Pause to be nice to the API
         await new Promise(r => setTimeout(r, BLOCK_PAUSE_MS));
     }
 
-    console.log(`\n✅ Scan complete! Found ${totalFound} new Zec Dogs inscriptions.`);
+    console.log(`\n✅ Scan complete! Found ${totalFound} new inscriptions.`);
 }
 
+const tasks = createTaskTracker();
+const runScan = tasks.wrap(monitorInscriptions);
+
+// Let a running scan finish its block before the database closes
+onShutdown(async () => {
+    await tasks.stop();
+    db.close();
+});
+
 /**
  * Main function to start the tracker
  */
 async function start() {
     console.log('🚀 Starting Zec Dogs Inscription Tracker...');
+    logEndpoints();
 
-    // Create settings table if it doesn't exist
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS settings (
-        key TEXT PRIMARY KEY,
-        value TEXT
-      )
-    `);
+    requireCurrentSchema(db);
+    syncDefaultCollection(db, config);
+    metrics.startPublishingMetrics(db, 'inscription-tracker');
 
     // Run the first scan immediately
-    await monitorInscriptions();
+    await runScan();
+    reportReady();
 
-    // Run again every 2 minutes
-    setInterval(monitorInscriptions, SCAN_INTERVAL_MS);
+    // Run again every scan interval
+    setInterval(runScan, SCAN_INTERVAL_MS);
 }
 
 start();
\ No newline at end of file
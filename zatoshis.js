@@ -0,0 +1,38 @@
+// All amounts are stored, computed and compared as integer zatoshis.
+// Decimal ZEC only appears at the edges (RPC input, API output, logs).
+const ZATOSHIS_PER_ZEC = 100000000;
+
+/**
+ * Reads an output's value in zatoshis
+ * Prefers zcashd's exact valueZat/valueSat fields over the float `value`
+ * @param {Object} vout - Transaction output from getrawtransaction/getblock
+ * @returns {number} - Integer zatoshis
+ */
+function voutZatoshis(vout) {
+    if (Number.isInteger(vout.valueZat)) return vout.valueZat;
+    if (Number.isInteger(vout.valueSat)) return vout.valueSat;
+    return zecToZatoshis(vout.value);
+}
+
+/**
+ * Converts a decimal ZEC amount (number or string) to integer zatoshis
+ */
+function zecToZatoshis(zec) {
+    return Math.round(Number(zec) * ZATOSHIS_PER_ZEC);
+}
+
+/**
+ * Renders integer zatoshis as a decimal ZEC string with 8 places (e.g. "0.01000001")
+ */
+function formatZec(zatoshis) {
+    const whole = Math.floor(zatoshis / ZATOSHIS_PER_ZEC);
+    const fraction = String(zatoshis % ZATOSHIS_PER_ZEC).padStart(8, '0');
+    return `${whole}.${fraction}`;
+}
+
+module.exports = {
+    ZATOSHIS_PER_ZEC,
+    voutZatoshis,
+    zecToZatoshis,
+    formatZec
+};
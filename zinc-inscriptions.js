@@ -0,0 +1,298 @@
+const bs58 = require('bs58');
+const { base32nopad } = require('@scure/base');
+
+// Zinc inscription payload: magic, operation, content protocol, then the CID bytes
+const ZINC_MAGIC = 0x7A;
+const ZINC_OP_MINT = 0x11;
+const ZINC_PROTOCOL_IPFS = 0x00;
+
+// Multicodec codes used by IPFS CIDs
+const DAG_PB = 0x70;
+const SHA2_256 = 0x12;
+
+const OP_0 = 0x00;
+const OP_PUSHDATA1 = 0x4C;
+const OP_PUSHDATA2 = 0x4D;
+const OP_PUSHDATA4 = 0x4E;
+const OP_RETURN = 0x6A;
+
+// Sapling (v4) transaction header
+const TX_VERSION = 0x80000004; // version 4 with the overwintered flag
+const TX_VERSION_GROUP_ID = 0x892F2085;
+
+/**
+ * Walks a script's opcodes
+ * @param {Buffer} script - scriptPubKey bytes
+ * @returns {Array<{opcode: number, data: Buffer|null}>} - data is set for push opcodes
+ * @throws {Error} - If a push runs past the end of the script
+ */
+function parseScript(script) {
+    const ops = [];
+    let i = 0;
+
+    while (i < script.length) {
+        const opcode = script[i++];
+        let length = null;
+
+        if (opcode === OP_0) {
+            length = 0;
+        } else if (opcode < OP_PUSHDATA1) {
+            length = opcode;
+        } else if (opcode === OP_PUSHDATA1) {
+            if (i + 1 > script.length) throw new Error('OP_PUSHDATA1 is missing its length byte');
+            length = script.readUInt8(i);
+            i += 1;
+        } else if (opcode === OP_PUSHDATA2) {
+            if (i + 2 > script.length) throw new Error('OP_PUSHDATA2 is missing its length bytes');
+            length = script.readUInt16LE(i);
+            i += 2;
+        } else if (opcode === OP_PUSHDATA4) {
+            if (i + 4 > script.length) throw new Error('OP_PUSHDATA4 is missing its length bytes');
+            length = script.readUInt32LE(i);
+            i += 4;
+        }
+
+        if (length === null) {
+            ops.push({ opcode, data: null });
+            continue;
+        }
+        if (i + length > script.length) {
+            throw new Error(`push of ${length} bytes at offset ${i} runs past the end of the script`);
+        }
+        ops.push({ opcode, data: script.subarray(i, i + length) });
+        i += length;
+    }
+
+    return ops;
+}
+
+function readVarint(buffer, offset) {
+    let value = 0;
+    let shift = 0;
+
+    for (let i = offset; i < buffer.length && i < offset + 9; i++) {
+        value += (buffer[i] & 0x7F) * 2 ** shift;
+        if ((buffer[i] & 0x80) === 0) {
+            return { value, length: i - offset + 1 };
+        }
+        shift += 7;
+    }
+    throw new Error('truncated varint');
+}
+
+/**
+ * Decodes binary CID bytes (CIDv0 multihash or CIDv1) from the start of a buffer
+ * @param {Buffer} bytes - Content bytes after the Zinc header
+ * @returns {{cid: string, cidV0: string|null, version: number, length: number}}
+ *   cidV0 is the Qm... form when the CID can be expressed as one (dag-pb + sha2-256)
+ */
+function decodeCid(bytes) {
+    // CIDv0 is a bare sha2-256 multihash: 0x12 0x20 + 32 byte digest
+    if (bytes[0] === SHA2_256 && bytes[1] === 32) {
+        if (bytes.length < 34) throw new Error(`CIDv0 needs 34 bytes, got ${bytes.length}`);
+        const cid = bs58.encode(bytes.subarray(0, 34));
+        return { cid, cidV0: cid, version: 0, length: 34 };
+    }
+
+    let offset = 0;
+    const version = readVarint(bytes, offset);
+    offset += version.length;
+    if (version.value !== 1) {
+        throw new Error(`unsupported CID version ${version.value}`);
+    }
+
+    const codec = readVarint(bytes, offset);
+    offset += codec.length;
+    const hashCode = readVarint(bytes, offset);
+    offset += hashCode.length;
+    const digestLength = readVarint(bytes, offset);
+    offset += digestLength.length;
+
+    const end = offset + digestLength.value;
+    if (end > bytes.length) {
+        throw new Error(`CIDv1 digest needs ${digestLength.value} bytes, got ${bytes.length - offset}`);
+    }
+
+    const cidBytes = bytes.subarray(0, end);
+    const multihash = bytes.subarray(offset - hashCode.length - digestLength.length, end);
+    const isV0Compatible = codec.value === DAG_PB && hashCode.value === SHA2_256 && digestLength.value === 32;
+
+    return {
+        cid: 'b' + base32nopad.encode(cidBytes).toLowerCase(),
+        cidV0: isV0Compatible ? bs58.encode(multihash) : null,
+        version: 1,
+        length: end
+    };
+}
+
+function hex2(byte) {
+    return byte.toString(16).padStart(2, '0');
+}
+
+/**
+ * Decodes a Zinc mint from an OP_RETURN scriptPubKey
+ * Data pushes after OP_RETURN are concatenated, so payloads split over several pushes decode too
+ * @param {string} hexString - scriptPubKey hex
+ * @returns {Object} - { cid, cidV0, version, trailingBytes } on success,
+ *   otherwise { cid: null, zinc, reason } where zinc tells whether the payload carried the Zinc magic byte
+ */
+function decodeZincInscription(hexString) {
+    const reject = (reason, zinc = false) => ({ cid: null, zinc, reason });
+
+    const hex = String(hexString || '').replace(/\s/g, '');
+    if (!/^([0-9a-f]{2})+$/i.test(hex)) {
+        return reject('script is not valid hex');
+    }
+
+    let ops;
+    try {
+        ops = parseScript(Buffer.from(hex, 'hex'));
+    } catch (err) {
+        return reject(`malformed script: ${err.message}`);
+    }
+
+    if (ops.length === 0 || ops[0].opcode !== OP_RETURN) {
+        return reject('script does not start with OP_RETURN');
+    }
+
+    const pushes = ops.slice(1);
+    const nonPush = pushes.find(op => op.data === null);
+    const payload = Buffer.concat(pushes.filter(op => op.data).map(op => op.data));
+
+    if (payload[0] !== ZINC_MAGIC) {
+        return reject(payload.length === 0 ? 'empty OP_RETURN' : `magic byte 0x${hex2(payload[0])} is not Zinc`);
+    }
+    if (nonPush) {
+        return reject(`non-push opcode 0x${hex2(nonPush.opcode)} after OP_RETURN`, true);
+    }
+    if (payload.length < 3) {
+        return reject(`Zinc header truncated (${payload.length} bytes)`, true);
+    }
+    if (payload[1] !== ZINC_OP_MINT) {
+        return reject(`unsupported Zinc operation 0x${hex2(payload[1])}`, true);
+    }
+    if (payload[2] !== ZINC_PROTOCOL_IPFS) {
+        return reject(`unsupported content protocol 0x${hex2(payload[2])}`, true);
+    }
+
+    try {
+        const content = payload.subarray(3);
+        const { cid, cidV0, version, length } = decodeCid(content);
+        return { cid, cidV0, version, trailingBytes: content.length - length };
+    } catch (err) {
+        return reject(`invalid CID: ${err.message}`, true);
+    }
+}
+
+/**
+ * Parses a Zinc OP_RETURN script to find an IPFS CID
+ * @param {string} hexString - The scriptPubKey hex
+ * @returns {string|null} - The CID in Qm... form when possible (otherwise the CIDv1 string), or null
+ */
+function parseZincInscription(hexString) {
+    const result = decodeZincInscription(hexString);
+    return result.cid ? (result.cidV0 || result.cid) : null;
+}
+
+/**
+ * Builds the Zinc mint payload for a CIDv0 (the data pushed after OP_RETURN)
+ * @param {string} cid - Base58 CIDv0 (Qm...)
+ * @returns {Buffer} - 7A 11 00 followed by the 34 byte multihash
+ */
+function buildZincPayload(cid) {
+    let cidBytes;
+    try {
+        cidBytes = Buffer.from(bs58.decode(cid));
+    } catch (err) {
+        throw new Error(`Invalid CID ${cid}: not base58.`);
+    }
+
+    // CIDv0 is a bare sha2-256 multihash: 0x12 0x20 + 32 byte digest
+    if (cidBytes.length !== 34 || cidBytes[0] !== SHA2_256 || cidBytes[1] !== 32) {
+        throw new Error(`Invalid CID ${cid}: expected a CIDv0 sha2-256 multihash.`);
+    }
+
+    return Buffer.concat([Buffer.from([ZINC_MAGIC, ZINC_OP_MINT, ZINC_PROTOCOL_IPFS]), cidBytes]);
+}
+
+/**
+ * Wraps data in an OP_RETURN script with the smallest push opcode that fits
+ * @param {Buffer} data - Payload (at most 255 bytes)
+ * @returns {Buffer} - scriptPubKey bytes
+ */
+function buildOpReturnScript(data) {
+    if (data.length > 0xFF) {
+        throw new Error(`OP_RETURN payload too large (${data.length} bytes).`);
+    }
+
+    const push = data.length < OP_PUSHDATA1
+        ? Buffer.from([data.length])
+        : Buffer.from([OP_PUSHDATA1, data.length]);
+    return Buffer.concat([Buffer.from([OP_RETURN]), push, data]);
+}
+
+function writeUInt32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value);
+    return buffer;
+}
+
+function compactSize(n) {
+    if (n < 0xFD) return Buffer.from([n]);
+    const buffer = Buffer.alloc(3);
+    buffer[0] = 0xFD;
+    buffer.writeUInt16LE(n, 1);
+    return buffer;
+}
+
+/**
+ * Serializes an unsigned Sapling (v4) transaction with no inputs and a single
+ * zero-value output carrying the script. Fund it with `fundrawtransaction`
+ * (which adds inputs and change), then `signrawtransaction` and broadcast.
+ * @param {Buffer} script - scriptPubKey of the only output
+ * @returns {string} - Raw transaction hex
+ */
+function buildUnsignedTransaction(script) {
+    return Buffer.concat([
+        writeUInt32(TX_VERSION),
+        writeUInt32(TX_VERSION_GROUP_ID),
+        compactSize(0),              // vin
+        compactSize(1),              // vout
+        Buffer.alloc(8),             //   value: 0 zatoshis
+        compactSize(script.length),
+        script,
+        writeUInt32(0),              // nLockTime
+        writeUInt32(0),              // nExpiryHeight (none)
+        Buffer.alloc(8),             // valueBalance
+        compactSize(0),              // vShieldedSpend
+        compactSize(0),              // vShieldedOutput
+        compactSize(0)               // vJoinSplit
+    ]).toString('hex');
+}
+
+/**
+ * Everything a buyer needs to inscribe one CID
+ * @param {string} cid - Base58 CIDv0
+ * @returns {{cid: string, payloadHex: string, scriptHex: string, unsignedTxHex: string}}
+ */
+function buildInscription(cid) {
+    const payload = buildZincPayload(cid);
+    const script = buildOpReturnScript(payload);
+
+    return {
+        cid,
+        payloadHex: payload.toString('hex'),
+        scriptHex: script.toString('hex'),
+        unsignedTxHex: buildUnsignedTransaction(script)
+    };
+}
+
+module.exports = {
+    parseScript,
+    decodeZincInscription,
+    parseZincInscription,
+    buildZincPayload,
+    buildOpReturnScript,
+    buildUnsignedTransaction,
+    buildInscription
+};
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const bs58 = require('bs58');
+const { base32nopad } = require('@scure/base');
+const {
+    parseScript,
+    decodeZincInscription,
+    parseZincInscription,
+    buildZincPayload,
+    buildOpReturnScript,
+    buildInscription
+} = require('./zinc-inscriptions');
+
+const ZINC_HEADER = Buffer.from([0x7A, 0x11, 0x00]);
+
+function digest(seed) {
+    return crypto.createHash('sha256').update(seed).digest();
+}
+
+function cidV0(seed) {
+    return bs58.encode(Buffer.concat([Buffer.from([0x12, 0x20]), digest(seed)]));
+}
+
+function cidV1Bytes(codec, seed) {
+    return Buffer.concat([Buffer.from([0x01, codec, 0x12, 0x20]), digest(seed)]);
+}
+
+function scriptFor(payload) {
+    return buildOpReturnScript(payload).toString('hex');
+}
+
+test('buildInscription output parses back to the same CIDv0', () => {
+    const cid = cidV0('dog #1');
+    const inscription = buildInscription(cid);
+
+    assert.equal(inscription.scriptHex.slice(0, 4), '6a25'); // OP_RETURN, push 37 bytes
+    assert.equal(inscription.scriptHex.slice(4), inscription.payloadHex);
+    assert.equal(parseZincInscription(inscription.scriptHex), cid);
+    assert.deepEqual(decodeZincInscription(inscription.scriptHex), { cid, cidV0: cid, version: 0, trailingBytes: 0 });
+});
+
+test('the unsigned transaction carries the inscription script', () => {
+    const { scriptHex, unsignedTxHex } = buildInscription(cidV0('dog #2'));
+
+    assert.ok(unsignedTxHex.startsWith('04000080' + '85202f89')); // v4 overwintered, Sapling group id
+    assert.ok(unsignedTxHex.includes(scriptHex));
+});
+
+test('a CIDv1 dag-pb inscription parses to its CIDv0 form', () => {
+    const bytes = cidV1Bytes(0x70, 'dog #3');
+    const result = decodeZincInscription(scriptFor(Buffer.concat([ZINC_HEADER, bytes])));
+
+    assert.equal(result.version, 1);
+    assert.equal(result.cid, 'b' + base32nopad.encode(bytes).toLowerCase());
+    assert.equal(result.cidV0, cidV0('dog #3'));
+    assert.equal(parseZincInscription(scriptFor(Buffer.concat([ZINC_HEADER, bytes]))), cidV0('dog #3'));
+});
+
+test('a CIDv1 raw inscription keeps its base32 form', () => {
+    const bytes = cidV1Bytes(0x55, 'dog #4');
+    const cid = 'b' + base32nopad.encode(bytes).toLowerCase();
+
+    assert.equal(parseZincInscription(scriptFor(Buffer.concat([ZINC_HEADER, bytes]))), cid);
+});
+
+test('payloads of 76 bytes or more use OP_PUSHDATA1 and still parse', () => {
+    const padding = Buffer.alloc(40, 0xAB);
+    const payload = Buffer.concat([ZINC_HEADER, bs58.decode(cidV0('dog #5')), padding]);
+    const script = buildOpReturnScript(payload);
+
+    assert.deepEqual([...script.subarray(0, 3)], [0x6A, 0x4C, payload.length]);
+    assert.deepEqual(decodeZincInscription(script.toString('hex')), {
+        cid: cidV0('dog #5'),
+        cidV0: cidV0('dog #5'),
+        version: 0,
+        trailingBytes: padding.length
+    });
+});
+
+test('a payload split over several pushes is concatenated', () => {
+    const payload = buildZincPayload(cidV0('dog #6'));
+    const script = Buffer.concat([
+        Buffer.from([0x6A]),
+        Buffer.from([10]), payload.subarray(0, 10),
+        Buffer.from([0x4C, payload.length - 10]), payload.subarray(10)
+    ]);
+
+    assert.equal(parseZincInscription(script.toString('hex')), cidV0('dog #6'));
+});
+
+test('parseScript reads every push opcode and rejects pushes past the end', () => {
+    const ops = parseScript(Buffer.from('6a00024142' + '4c0143' + '4d0100' + '44' + '4e01000000' + '45', 'hex'));
+
+    assert.deepEqual(ops.map(op => op.opcode), [0x6A, 0x00, 0x02, 0x4C, 0x4D, 0x4E]);
+    assert.deepEqual(ops.map(op => op.data && op.data.toString('hex')), [null, '', '4142', '43', '44', '45']);
+    assert.throws(() => parseScript(Buffer.from('6a05aabb', 'hex')), /runs past the end/);
+    assert.throws(() => parseScript(Buffer.from('6a4c', 'hex')), /missing its length byte/);
+});
+
+test('malformed scripts are rejected with a reason', () => {
+    const payload = buildZincPayload(cidV0('dog #7'));
+    const cases = [
+        ['zz', /not valid hex/, false],
+        ['', /not valid hex/, false],
+        ['76a914' + '00'.repeat(20) + '88ac', /does not start with OP_RETURN/, false],
+        ['6a', /empty OP_RETURN/, false],
+        ['6a05aabb', /malformed script/, false],
+        [scriptFor(Buffer.from('deadbeef', 'hex')), /magic byte 0xde is not Zinc/, false],
+        [scriptFor(Buffer.from([0x7A, 0x11])), /header truncated/, true],
+        [scriptFor(Buffer.from([0x7A, 0x12, 0x00])), /unsupported Zinc operation 0x12/, true],
+        [scriptFor(Buffer.from([0x7A, 0x11, 0x01])), /unsupported content protocol 0x01/, true],
+        [scriptFor(payload.subarray(0, 20)), /invalid CID: CIDv0 needs 34 bytes/, true],
+        [scriptFor(Buffer.concat([ZINC_HEADER, Buffer.from([0x02, 0x70])])), /unsupported CID version 2/, true],
+        [scriptFor(Buffer.concat([ZINC_HEADER, cidV1Bytes(0x70, 'x').subarray(0, 20)])), /digest needs 32 bytes/, true],
+        [scriptFor(payload) + '51', /non-push opcode 0x51/, true]
+    ];
+
+    for (const [hex, reason, zinc] of cases) {
+        const result = decodeZincInscription(hex);
+        assert.equal(result.cid, null, hex);
+        assert.match(result.reason, reason, hex);
+        assert.equal(result.zinc, zinc, hex);
+        assert.equal(parseZincInscription(hex), null, hex);
+    }
+});
+
+test('the builder only accepts CIDv0 strings', () => {
+    assert.throws(() => buildZincPayload('not-base58-0OIl'), /not base58/);
+    assert.throws(() => buildZincPayload('b' + base32nopad.encode(cidV1Bytes(0x70, 'x')).toLowerCase()), /not base58|expected a CIDv0/);
+    assert.throws(() => buildZincPayload(bs58.encode(Buffer.from([0x12, 0x20, 1, 2, 3]))), /expected a CIDv0/);
+    assert.throws(() => buildOpReturnScript(Buffer.alloc(256)), /too large/);
+});